@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+const { runCli } = require('../lib/cli');
+
+runCli(process.argv.slice(2), {
+    stdout: process.stdout,
+    stderr: process.stderr
+}).then((code) => {
+    process.exitCode = code;
+});
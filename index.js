@@ -1,6 +1,85 @@
-const { Database, DatabasePool } = require('./lib/database');
+const {
+    Database,
+    DatabasePool,
+    TransactionOptionsError,
+    QueryResultError,
+    QueryResultSomeError,
+    QueryResultManyError,
+    QueryResultNoneError,
+    QueryResultRowCountError,
+    PoolClosedError,
+    PoolEndTimeoutError,
+    PoolAcquireTimeoutError,
+    PoolQueueFullError
+} = require('./lib/database');
+const { sql } = require('./lib/sql');
+const { NamedParameterError } = require('./lib/named');
+const { QueryTimeoutError, QueryAbortedError } = require('./lib/cancel');
+const { createCsvStream, createBinaryStream } = require('./lib/copy');
+const { Migrator, MigrationError, MigrationChecksumError } = require('./lib/migrate');
+const { AdvisoryLockError } = require('./lib/lock');
+const { camelCase } = require('./lib/rows');
+const {
+    DatabaseError,
+    ConnectionError,
+    IntegrityConstraintViolationError,
+    NotNullViolationError,
+    ForeignKeyViolationError,
+    UniqueViolationError,
+    CheckViolationError,
+    ExclusionViolationError,
+    TransactionRollbackError,
+    SerializationFailureError,
+    DeadlockError,
+    LockNotAvailableError,
+    QueryCanceledError
+} = require('./lib/errors');
+const { createOpenTelemetryTracer } = require('./lib/trace');
+const { DatabaseMetrics } = require('./lib/metrics');
+const { loggingMiddleware } = require('./lib/middleware');
+const { PreparedStatementConflictError } = require('./lib/prepare');
+const { MemoryCacheStore } = require('./lib/cache');
 
 module.exports = {
     Database,
-    DatabasePool
+    DatabasePool,
+    TransactionOptionsError,
+    QueryResultError,
+    QueryResultSomeError,
+    QueryResultManyError,
+    QueryResultNoneError,
+    QueryResultRowCountError,
+    PoolClosedError,
+    PoolEndTimeoutError,
+    PoolAcquireTimeoutError,
+    PoolQueueFullError,
+    QueryTimeoutError,
+    QueryAbortedError,
+    sql,
+    NamedParameterError,
+    createCsvStream,
+    createBinaryStream,
+    Migrator,
+    MigrationError,
+    MigrationChecksumError,
+    AdvisoryLockError,
+    camelCase,
+    DatabaseError,
+    ConnectionError,
+    IntegrityConstraintViolationError,
+    NotNullViolationError,
+    ForeignKeyViolationError,
+    UniqueViolationError,
+    CheckViolationError,
+    ExclusionViolationError,
+    TransactionRollbackError,
+    SerializationFailureError,
+    DeadlockError,
+    LockNotAvailableError,
+    QueryCanceledError,
+    createOpenTelemetryTracer,
+    DatabaseMetrics,
+    loggingMiddleware,
+    PreparedStatementConflictError,
+    MemoryCacheStore
 };
\ No newline at end of file
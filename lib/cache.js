@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+
+/**
+ * Values are plain `{ rows, rowCount }` objects, stores that serialize them
+ * must keep the row values intact, e.g. with `v8.serialize`.
+ *
+ * @typedef {Object} CacheStoreInterface
+ * @property {function(string): Promise<*>} get resolves `undefined` on a miss
+ * @property {function(string, *, CacheOptions): Promise<void>} set
+ * @property {function(Array<string>): Promise<void>} invalidate removes the entries with any of the tags
+ */
+
+/**
+ * @typedef CacheOptions
+ * @property {number} [ttl] milliseconds, entries are otherwise kept until evicted or invalidated
+ * @property {Array<string>} [tags]
+ */
+
+/**
+ * In-process store, the least recently used entries are evicted beyond
+ * `maxEntries`. Values are cloned, so callers may modify the rows.
+ */
+class MemoryCacheStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries]
+     */
+    constructor({ maxEntries = 1000 } = {}) {
+        this.maxEntries = maxEntries;
+        /** @type {Map<string, { value: *, expiresAt: number, tags: Array<string> }>} least recently used first */
+        this.entries = new Map();
+        /** @type {Map<string, Set<string>>} */
+        this.keysByTag = new Map();
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<*>}
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.delete(key);
+            return undefined;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        return structuredClone(entry.value);
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     * @param {CacheOptions} [options]
+     * @returns {Promise<void>}
+     */
+    async set(key, value, { ttl, tags = [] } = {}) {
+        this.delete(key);
+        this.entries.set(key, {
+            value: structuredClone(value),
+            expiresAt: ttl === undefined ? Infinity : Date.now() + ttl,
+            tags
+        });
+        for (const tag of tags) {
+            let keys = this.keysByTag.get(tag);
+            if (!keys) {
+                keys = new Set();
+                this.keysByTag.set(tag, keys);
+            }
+            keys.add(key);
+        }
+
+        if (this.entries.size > this.maxEntries) {
+            const [evicted] = this.entries.keys();
+            this.delete(evicted);
+        }
+    }
+
+    /**
+     * @param {Array<string>} tags
+     * @returns {Promise<void>}
+     */
+    async invalidate(tags) {
+        for (const tag of tags) {
+            const keys = this.keysByTag.get(tag);
+            if (keys) {
+                for (const key of keys) {
+                    this.delete(key);
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {string} key
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return;
+        }
+
+        this.entries.delete(key);
+        for (const tag of entry.tags) {
+            const keys = this.keysByTag.get(tag);
+            keys.delete(key);
+            if (keys.size === 0) {
+                this.keysByTag.delete(tag);
+            }
+        }
+    }
+}
+
+/**
+ * @param {QueryConfig} pgQueryConfig
+ * @returns {string}
+ */
+function createCacheKey(pgQueryConfig) {
+    const { text, values = [], rowMode = null } = pgQueryConfig;
+    // bigints are sent as their decimal text, like strings
+    const json = JSON.stringify([text, values, rowMode], (key, value) => typeof value === 'bigint' ? value.toString() : value);
+
+    return 'js_postgres:' + crypto.createHash('sha256').update(json).digest('hex');
+}
+
+/**
+ * Store failures are logged as `sql-cache-error` and treated as misses.
+ *
+ * @param {Database} db
+ * @param {string} key
+ * @returns {Promise<PgResult|undefined>}
+ */
+async function readCache(db, key) {
+    try {
+        return await db.cacheStore.get(key);
+    } catch (err) {
+        db.logger.error('sql-cache-error', {
+            key,
+            error: err
+        });
+        return undefined;
+    }
+}
+
+/**
+ * @param {Database} db
+ * @param {string} key
+ * @param {PgResult} result
+ * @param {CacheOptions} options
+ * @returns {Promise<void>}
+ */
+async function writeCache(db, key, result, options) {
+    try {
+        await db.cacheStore.set(key, {
+            rows: result.rows,
+            rowCount: result.rowCount
+        }, options);
+    } catch (err) {
+        db.logger.error('sql-cache-error', {
+            key,
+            error: err
+        });
+    }
+}
+
+/**
+ * Failures are logged, not thrown: the writes they follow have already
+ * been committed.
+ *
+ * @param {Queryable} db
+ * @param {Array<string>} tags
+ * @returns {Promise<void>}
+ */
+async function invalidateCache(db, tags) {
+    if (tags.length === 0) {
+        return;
+    }
+
+    try {
+        await db.cacheStore.invalidate(tags);
+    } catch (err) {
+        db.logger.error('sql-cache-error', {
+            tags,
+            error: err
+        });
+    }
+}
+
+module.exports = {
+    MemoryCacheStore,
+    createCacheKey,
+    readCache,
+    writeCache,
+    invalidateCache
+};
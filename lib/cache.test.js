@@ -0,0 +1,193 @@
+const { createFakeDatabase } = require('./testing');
+const { MemoryCacheStore, createCacheKey } = require('./cache');
+const { camelCase } = require('./rows');
+
+function createCachingDb(options) {
+    const db = createFakeDatabase(options);
+    db.pool.respond(() => true, () => [{ user_id: db.pool.queries.length }]);
+
+    return db;
+}
+
+function createFailingStore() {
+    return {
+        async get() {
+            throw new Error('store down');
+        },
+        async set() {
+            throw new Error('store down');
+        },
+        async invalidate() {
+            throw new Error('store down');
+        }
+    };
+}
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('cache keys', () => {
+    test('text, values and row mode', () => {
+        const key = createCacheKey({ text: 'select $1', values: [1] });
+
+        expect(key).toMatch(/^js_postgres:[0-9a-f]{64}$/);
+        expect(createCacheKey({ text: 'select $1', values: [1] })).toBe(key);
+        expect(createCacheKey({ text: 'select $1', values: ['1'] })).not.toBe(key);
+        expect(createCacheKey({ text: 'select $1', values: [1], rowMode: 'array' })).not.toBe(key);
+        expect(createCacheKey({ text: 'select $1', values: [1n] })).toBe(createCacheKey({ text: 'select $1', values: ['1'] }));
+    });
+});
+
+describe('memory store', () => {
+    test('ttl', async () => {
+        let now = 1000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        const store = new MemoryCacheStore();
+
+        await store.set('a', 1, { ttl: 100 });
+        await store.set('b', 2);
+        now += 100;
+
+        expect(await store.get('a')).toBeUndefined();
+        expect(await store.get('b')).toBe(2);
+        expect(store.entries.size).toBe(1);
+    });
+
+    test('least recently used entries are evicted', async () => {
+        const store = new MemoryCacheStore({ maxEntries: 2 });
+
+        await store.set('a', 1, { tags: ['t'] });
+        await store.set('b', 2);
+        await store.get('a');
+        await store.set('c', 3);
+
+        expect([...store.entries.keys()]).toEqual(['a', 'c']);
+        await store.set('d', 4);
+        expect(store.keysByTag.size).toBe(0);
+    });
+
+    test('tags', async () => {
+        const store = new MemoryCacheStore();
+
+        await store.set('a', 1, { tags: ['users'] });
+        await store.set('b', 2, { tags: ['users', 'orders'] });
+        await store.set('c', 3, { tags: ['orders'] });
+        await store.invalidate(['users', 'missing']);
+
+        expect([...store.entries.keys()]).toEqual(['c']);
+        expect([...store.keysByTag.keys()]).toEqual(['orders']);
+    });
+
+    test('values are copies', async () => {
+        const store = new MemoryCacheStore();
+        const value = { rows: [{ id: 1 }] };
+
+        await store.set('a', value);
+        value.rows[0].id = 2;
+        (await store.get('a')).rows.push({ id: 3 });
+
+        expect(await store.get('a')).toEqual({ rows: [{ id: 1 }] });
+    });
+});
+
+describe('cached', () => {
+    test('hits do not use the pool', async () => {
+        const db = createCachingDb();
+
+        expect(await db.cached({ text: 'select $1', values: [1] }, { tags: ['users'] })).toEqual([{ user_id: 1 }]);
+        expect(await db.cached({ text: 'select $1', values: [1] }, { tags: ['users'] })).toEqual([{ user_id: 1 }]);
+        expect(await db.cached({ text: 'select $1', values: [2] })).toEqual([{ user_id: 2 }]);
+
+        expect(db.pool.released.length).toBe(2);
+        expect(db.logger.logs.map(([message, data]) => [message, data.cache])).toEqual([
+            ['sql-query', 'miss'],
+            ['sql-query', 'hit'],
+            ['sql-query', 'miss']
+        ]);
+    });
+
+    test('only with the cache option', async () => {
+        const db = createCachingDb();
+
+        await db.any({ text: 'select 1' });
+        await db.any({ text: 'select 1' });
+        await db.one({ text: 'select 1', cache: {} });
+        await db.one({ text: 'select 1', cache: {} });
+
+        expect(db.pool.texts()).toEqual(['select 1', 'select 1', 'select 1']);
+        expect(db.logger.logs.map(([, data]) => data.cache)).toEqual([undefined, undefined, 'miss', 'hit']);
+        expect(db.logger.logs[0][1]).not.toHaveProperty('cache');
+    });
+
+    test('rows are mapped on every read', async () => {
+        const db = createCachingDb({ rowMapper: camelCase });
+
+        await db.cached({ text: 'select 1' });
+        const rows = await db.cached({ text: 'select 1' });
+
+        expect(rows).toEqual([{ userId: 1 }]);
+        expect(await db.cached({ text: 'select 1', map: false })).toEqual([{ user_id: 1 }]);
+    });
+
+    test('ignored inside transactions', async () => {
+        const db = createCachingDb();
+
+        await db.cached({ text: 'select 1' });
+        await db.tx((txDb) => txDb.any({ text: 'select 1', cache: {} }));
+
+        expect(db.pool.texts()).toEqual(['select 1', 'BEGIN', 'select 1', 'COMMIT']);
+    });
+
+    test('store failures are misses', async () => {
+        const db = createCachingDb({ cacheStore: createFailingStore() });
+
+        expect(await db.cached({ text: 'select 1' })).toEqual([{ user_id: 1 }]);
+        await db.invalidate('users');
+
+        expect(db.logger.logs.map(([message]) => message)).toEqual(['sql-cache-error', 'sql-cache-error', 'sql-query', 'sql-cache-error']);
+        expect(db.logger.logs[3][1]).toEqual({ tags: ['users'], error: expect.objectContaining({ message: 'store down' }) });
+    });
+});
+
+describe('invalidate', () => {
+    test('immediate outside of transactions', async () => {
+        const db = createCachingDb();
+
+        await db.cached({ text: 'select 1' }, { tags: ['users'] });
+        await db.invalidate('users');
+        await db.cached({ text: 'select 1' }, { tags: ['users'] });
+        await db.task((taskDb) => taskDb.invalidate(['users']));
+        await db.cached({ text: 'select 1' }, { tags: ['users'] });
+
+        expect(db.pool.texts()).toEqual(['select 1', 'select 1', 'select 1']);
+    });
+
+    test('after commit', async () => {
+        const db = createCachingDb();
+        await db.cached({ text: 'select 1' }, { tags: ['users'] });
+
+        await db.tx(async (txDb) => {
+            await txDb.query({ text: 'update users' });
+            await txDb.tx((savepointDb) => savepointDb.invalidate('users'));
+
+            expect(await db.cached({ text: 'select 1' }, { tags: ['users'] })).toEqual([{ user_id: 1 }]);
+        });
+        await db.cached({ text: 'select 1' }, { tags: ['users'] });
+
+        expect(db.pool.texts()).toEqual(['select 1', 'BEGIN', 'update users', expect.stringMatching(/^SAVEPOINT/), expect.stringMatching(/^RELEASE/), 'COMMIT', 'select 1']);
+    });
+
+    test('dropped on rollback', async () => {
+        const db = createCachingDb();
+        await db.cached({ text: 'select 1' }, { tags: ['users'] });
+
+        await expect(db.tx(async (txDb) => {
+            await txDb.invalidate(['users']);
+            throw new Error('rollback');
+        })).rejects.toThrow('rollback');
+        await db.cached({ text: 'select 1' }, { tags: ['users'] });
+
+        expect(db.pool.texts()).toEqual(['select 1', 'BEGIN', 'ROLLBACK']);
+    });
+});
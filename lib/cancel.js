@@ -0,0 +1,136 @@
+const { noop } = require('./util');
+
+class QueryTimeoutError extends Error {
+    /**
+     * @param {number} timeout
+     */
+    constructor(timeout) {
+        super(`Query timed out after ${timeout} ms.`);
+        this.timeout = timeout;
+    }
+}
+
+class QueryAbortedError extends Error {
+    /**
+     * @param {*} [reason]
+     */
+    constructor(reason) {
+        super('Query was aborted.');
+        this.reason = reason;
+    }
+}
+
+/**
+ * @typedef CancelOptions
+ * @property {number} [timeout] milliseconds
+ * @property {AbortSignal|null} [signal] `null` ignores the signal of the enclosing `tx`/`task`
+ */
+
+/**
+ * @typedef CancelSignal
+ * @property {AbortSignal} [signal] aborted with a {@link QueryTimeoutError} or {@link QueryAbortedError} reason
+ * @property {Function} clear stops the timer and detaches from the parent signals
+ */
+
+/**
+ * @param {AbortSignal} signal
+ * @returns {Error}
+ */
+function getAbortError(signal) {
+    return signal.reason instanceof QueryTimeoutError || signal.reason instanceof QueryAbortedError
+        ? signal.reason
+        : new QueryAbortedError(signal.reason);
+}
+
+/**
+ * Combines a timeout, an optional user signal and the signal of the
+ * enclosing scope into one signal.
+ *
+ * @param {CancelOptions} options
+ * @param {AbortSignal} [parentSignal]
+ * @returns {CancelSignal}
+ */
+function createCancelSignal({ timeout, signal }, parentSignal) {
+    const parents = [signal === null ? null : parentSignal, signal].filter(Boolean);
+    if (timeout === undefined && parents.length < 2) {
+        return {
+            signal: parents[0],
+            clear: noop
+        };
+    }
+
+    const controller = new AbortController();
+    const listeners = parents.map((parent) => {
+        const onAbort = () => {
+            controller.abort(getAbortError(parent));
+        };
+        if (parent.aborted) {
+            onAbort();
+        } else {
+            parent.addEventListener('abort', onAbort, { once: true });
+        }
+
+        return [parent, onAbort];
+    });
+
+    let timer = null;
+    if (timeout !== undefined && !controller.signal.aborted) {
+        timer = setTimeout(() => {
+            controller.abort(new QueryTimeoutError(timeout));
+        }, timeout);
+    }
+
+    return {
+        signal: controller.signal,
+        clear() {
+            clearTimeout(timer);
+            for (const [parent, onAbort] of listeners) {
+                parent.removeEventListener('abort', onAbort);
+            }
+        }
+    };
+}
+
+/**
+ * Rejects as soon as `signal` aborts, calling `onCancel` so the statement can
+ * be cancelled server-side. The callback's own outcome is ignored afterwards.
+ *
+ * @param {AbortSignal} [signal]
+ * @param {function(): Promise<*>} callback
+ * @param {function(): *} onCancel
+ * @returns {Promise<*>}
+ */
+async function runCancellable(signal, callback, onCancel) {
+    if (!signal) {
+        return callback();
+    }
+    if (signal.aborted) {
+        throw getAbortError(signal);
+    }
+
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+        onAbort = () => {
+            onCancel();
+            reject(getAbortError(signal));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    const pending = callback();
+    pending.catch(noop);
+
+    try {
+        return await Promise.race([pending, aborted]);
+    } finally {
+        signal.removeEventListener('abort', onAbort);
+    }
+}
+
+module.exports = {
+    QueryTimeoutError,
+    QueryAbortedError,
+    getAbortError,
+    createCancelSignal,
+    runCancellable
+};
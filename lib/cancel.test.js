@@ -0,0 +1,72 @@
+const {
+    QueryTimeoutError,
+    QueryAbortedError,
+    createCancelSignal,
+    runCancellable
+} = require('./cancel');
+
+function never() {
+    return new Promise(() => {});
+}
+
+describe('cancel signal', () => {
+    test('no options reuse the parent signal', () => {
+        const parent = new AbortController();
+
+        expect(createCancelSignal({}).signal).toBeUndefined();
+        expect(createCancelSignal({}, parent.signal).signal).toBe(parent.signal);
+        expect(createCancelSignal({ signal: null }, parent.signal).signal).toBeUndefined();
+    });
+
+    test('timeout', async () => {
+        const { signal, clear } = createCancelSignal({ timeout: 1 });
+
+        await expect(runCancellable(signal, never, () => {})).rejects.toThrow(QueryTimeoutError);
+        clear();
+    });
+
+    test('user signal', async () => {
+        const controller = new AbortController();
+        const { signal, clear } = createCancelSignal({ timeout: 1000, signal: controller.signal });
+
+        let cancelled = false;
+        const pending = runCancellable(signal, never, () => {
+            cancelled = true;
+        });
+        controller.abort('stop');
+
+        const err = await pending.catch((error) => error);
+        expect(err).toBeInstanceOf(QueryAbortedError);
+        expect(err.reason).toBe('stop');
+        expect(cancelled).toBe(true);
+        clear();
+    });
+
+    test('parent timeout is kept', async () => {
+        const parent = createCancelSignal({ timeout: 1 });
+        const child = createCancelSignal({ timeout: 1000 }, parent.signal);
+
+        await expect(runCancellable(child.signal, never, () => {})).rejects.toThrow(QueryTimeoutError);
+        parent.clear();
+        child.clear();
+    });
+
+    test('already aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const { signal, clear } = createCancelSignal({ timeout: 1000, signal: controller.signal });
+
+        expect(signal.aborted).toBe(true);
+        await expect(runCancellable(signal, never, () => {})).rejects.toThrow(QueryAbortedError);
+        await expect(runCancellable(controller.signal, never, () => {})).rejects.toThrow(QueryAbortedError);
+        clear();
+    });
+
+    test('result is returned before abort', async () => {
+        const { signal, clear } = createCancelSignal({ timeout: 1000 });
+
+        expect(await runCancellable(signal, async () => 1, () => {})).toBe(1);
+        expect(await runCancellable(undefined, async () => 2, () => {})).toBe(2);
+        clear();
+    });
+});
@@ -0,0 +1,189 @@
+const path = require('path');
+const { Migrator } = require('./migrate');
+
+const usage = `Usage: js-postgres migrate <command> [options]
+
+Commands:
+  up                 apply every pending migration
+  down               revert the latest migration
+  to <version>       migrate up or down to <version>, 0 reverts everything
+  status             list migrations and whether they are applied
+
+Options:
+  --dir <path>       migrations directory (default: ./migrations)
+  --database <path>  module exporting a Database, or a function returning one
+                     (default: a pg pool for DATABASE_URL)
+  --table <name>     migrations table (default: schema_migrations)
+  --dry-run          print the plan without applying it
+`;
+
+class CliUsageError extends Error {}
+
+/**
+ * @param {Array<string>} argv arguments after the executable and script
+ * @returns {{ command: string, version: number|undefined, dir: string, database: string|undefined, table: string|undefined, dryRun: boolean }}
+ */
+function parseMigrateArgs(argv) {
+    const args = {
+        command: undefined,
+        version: undefined,
+        dir: 'migrations',
+        database: undefined,
+        table: undefined,
+        dryRun: false
+    };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else if (arg === '--dir' || arg === '--database' || arg === '--table') {
+            if (i + 1 >= argv.length) {
+                throw new CliUsageError(`${arg} requires a value.`);
+            }
+            args[arg.slice(2)] = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new CliUsageError(`Unknown option ${arg}.`);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    const [group, command, version] = positional;
+    if (group !== 'migrate' || !['up', 'down', 'to', 'status'].includes(command)) {
+        throw new CliUsageError('Unknown command.');
+    }
+    if (command === 'to') {
+        if (!/^\d+$/.test(version || '')) {
+            throw new CliUsageError('to requires a numeric version.');
+        }
+        args.version = Number(version);
+    }
+    args.command = command;
+
+    return args;
+}
+
+/**
+ * @param {string|undefined} modulePath
+ * @returns {Promise<{ database: Database, close: function(): Promise<void> }>}
+ */
+async function loadDatabase(modulePath) {
+    if (modulePath) {
+        let exported = require(path.resolve(modulePath));
+        if (typeof exported === 'function') {
+            exported = await exported();
+        }
+
+        return {
+            database: exported.database || exported,
+            close: async () => {}
+        };
+    }
+
+    if (!process.env.DATABASE_URL) {
+        throw new CliUsageError('Set DATABASE_URL or pass --database.');
+    }
+
+    const { Pool } = require('pg');
+    const { Database, DatabasePool } = require('./database');
+    const pgPool = new Pool({
+        connectionString: process.env.DATABASE_URL
+    });
+
+    return {
+        database: new Database({
+            pool: new DatabasePool({ pgPool }),
+            logger: {
+                debug() {},
+                error() {}
+            }
+        }),
+        close: () => pgPool.end()
+    };
+}
+
+/**
+ * @param {Array<MigrationStatus>} statuses
+ * @returns {string}
+ */
+function formatStatus(statuses) {
+    return statuses.map((status) => {
+        let state = status.applied ? `applied ${status.appliedAt ? new Date(status.appliedAt).toISOString() : ''}`.trim() : 'pending';
+        if (status.changed) {
+            state += ' (changed since applied)';
+        }
+        if (status.missing) {
+            state += ' (file missing)';
+        }
+
+        return `${status.version}_${status.name}  ${state}`;
+    }).join('\n');
+}
+
+/**
+ * @param {Array<MigrationPlanStep>} steps
+ * @param {boolean} dryRun
+ * @returns {string}
+ */
+function formatSteps(steps, dryRun) {
+    if (steps.length === 0) {
+        return 'Nothing to migrate.';
+    }
+
+    return steps.map(({ version, name, direction }) => {
+        return `${dryRun ? 'would migrate' : 'migrated'} ${direction} ${version}_${name}`;
+    }).join('\n');
+}
+
+/**
+ * @param {Array<string>} argv
+ * @param {Object} io
+ * @param {NodeJS.WritableStream} io.stdout
+ * @param {NodeJS.WritableStream} io.stderr
+ * @returns {Promise<number>} exit code
+ */
+async function runCli(argv, { stdout, stderr }) {
+    let args;
+    try {
+        args = parseMigrateArgs(argv);
+    } catch (err) {
+        stderr.write(`${err.message}\n\n${usage}`);
+        return 2;
+    }
+
+    let connection;
+    try {
+        connection = await loadDatabase(args.database);
+        const migrator = new Migrator({
+            database: connection.database,
+            directory: path.resolve(args.dir),
+            table: args.table
+        });
+
+        if (args.command === 'status') {
+            stdout.write(formatStatus(await migrator.status()) + '\n');
+        } else {
+            const options = { dryRun: args.dryRun };
+            const steps = args.command === 'to'
+                ? await migrator.to(args.version, options)
+                : await migrator[args.command](options);
+            stdout.write(formatSteps(steps, args.dryRun) + '\n');
+        }
+
+        return 0;
+    } catch (err) {
+        stderr.write(`${err.message}\n`);
+        return 1;
+    } finally {
+        if (connection) {
+            await connection.close();
+        }
+    }
+}
+
+module.exports = {
+    parseMigrateArgs,
+    runCli
+};
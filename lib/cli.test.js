@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseMigrateArgs, runCli } = require('./cli');
+
+jest.mock('pg', () => {
+    const pools = [];
+
+    class Pool {
+        constructor(options) {
+            this.options = options;
+            this.ended = false;
+            pools.push(this);
+        }
+
+        async connect() {
+            return {
+                async query({ text }) {
+                    if (text.includes('to_regclass')) {
+                        return { rows: [{ regclass: null }] };
+                    }
+
+                    return { rows: text.includes('pg_advisory') ? [{ result: true }] : [] };
+                },
+                release() {}
+            };
+        }
+
+        async end() {
+            this.ended = true;
+        }
+    }
+
+    return { Pool, pools };
+});
+
+function createOutput() {
+    const output = {
+        text: '',
+        write(chunk) {
+            output.text += chunk;
+        }
+    };
+    return output;
+}
+
+describe('cli arguments', () => {
+    test('commands and options', () => {
+        expect(parseMigrateArgs(['migrate', 'up'])).toEqual({
+            command: 'up',
+            version: undefined,
+            dir: 'migrations',
+            database: undefined,
+            table: undefined,
+            dryRun: false
+        });
+
+        expect(parseMigrateArgs(['migrate', 'to', '0003', '--dir', 'db', '--database', 'db.js', '--table', 't', '--dry-run'])).toEqual({
+            command: 'to',
+            version: 3,
+            dir: 'db',
+            database: 'db.js',
+            table: 't',
+            dryRun: true
+        });
+    });
+
+    test('invalid arguments', () => {
+        expect(() => parseMigrateArgs([])).toThrow('Unknown command');
+        expect(() => parseMigrateArgs(['migrate', 'sideways'])).toThrow('Unknown command');
+        expect(() => parseMigrateArgs(['migrate', 'to'])).toThrow('numeric version');
+        expect(() => parseMigrateArgs(['migrate', 'up', '--dir'])).toThrow('requires a value');
+        expect(() => parseMigrateArgs(['migrate', 'up', '--force'])).toThrow('Unknown option');
+    });
+});
+
+describe('cli', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'js-postgres-cli-'));
+    fs.writeFileSync(path.join(directory, '0001_a.up.sql'), 'a');
+
+    const databaseModule = path.join(directory, 'database.js');
+    fs.writeFileSync(databaseModule, `
+        const { Database } = require(${JSON.stringify(path.join(__dirname, 'database'))});
+        module.exports = async () => new Database({
+            logger: { debug() {}, error() {} },
+            pool: {
+                use(callback) {
+                    return callback({
+                        async query({ text }) {
+                            if (text.includes('to_regclass')) {
+                                return { rows: [{ regclass: null }] };
+                            }
+
+                            return { rows: text.includes('pg_advisory') ? [{ result: true }] : [] };
+                        }
+                    });
+                }
+            }
+        });
+    `);
+
+    test('usage error', async () => {
+        const stderr = createOutput();
+
+        expect(await runCli(['nope'], { stdout: createOutput(), stderr })).toBe(2);
+        expect(stderr.text).toContain('Usage: js-postgres migrate');
+    });
+
+    test('dry run and status', async () => {
+        const stdout = createOutput();
+        const io = { stdout, stderr: createOutput() };
+        const common = ['--dir', directory, '--database', databaseModule];
+
+        expect(await runCli(['migrate', 'up', '--dry-run', ...common], io)).toBe(0);
+        expect(stdout.text).toBe('would migrate up 1_a\n');
+
+        expect(await runCli(['migrate', 'status', ...common], io)).toBe(0);
+        expect(stdout.text).toContain('1_a  pending');
+
+        expect(await runCli(['migrate', 'to', '0', ...common], io)).toBe(0);
+        expect(stdout.text).toContain('Nothing to migrate.');
+    });
+
+    test('connects with DATABASE_URL', async () => {
+        const { pools } = require('pg');
+        const stdout = createOutput();
+        const databaseUrl = process.env.DATABASE_URL;
+        process.env.DATABASE_URL = 'postgres://localhost/app';
+
+        expect(await runCli(['migrate', 'status', '--dir', directory], { stdout, stderr: createOutput() })).toBe(0);
+        expect(stdout.text).toContain('1_a  pending');
+        expect(pools.map(({ options, ended }) => [options, ended])).toEqual([[{ connectionString: 'postgres://localhost/app' }, true]]);
+
+        if (databaseUrl === undefined) {
+            delete process.env.DATABASE_URL;
+        } else {
+            process.env.DATABASE_URL = databaseUrl;
+        }
+    });
+
+    test('missing connection settings', async () => {
+        const stderr = createOutput();
+        const databaseUrl = process.env.DATABASE_URL;
+        delete process.env.DATABASE_URL;
+
+        expect(await runCli(['migrate', 'status'], { stdout: createOutput(), stderr })).toBe(1);
+        expect(stderr.text).toContain('DATABASE_URL');
+
+        process.env.DATABASE_URL = databaseUrl;
+    });
+});
@@ -0,0 +1,227 @@
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const pgEpochMillis = Date.UTC(2000, 0, 1);
+const millisPerDay = 86_400_000;
+const binarySignature = Buffer.from('PGCOPY\n\xff\r\n\0', 'latin1');
+
+/**
+ * `pg-copy-streams` compatible factory.
+ *
+ * @typedef CopyStreams
+ * @property {function(string): Writable} from
+ * @property {function(string): Readable} to
+ */
+
+/**
+ * @typedef CopyStats
+ * @property {number} rows
+ * @property {number} bytes
+ */
+
+/**
+ * @param {CopyStats} stats
+ * @returns {Transform}
+ */
+function createByteCounter(stats) {
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            stats.bytes += chunk.length;
+            callback(null, chunk);
+        }
+    });
+}
+
+/**
+ * Pipes `source` into a `COPY ... FROM STDIN` statement.
+ *
+ * @param {PgClient} pgClient
+ * @param {CopyStreams} copyStreams
+ * @param {string} text
+ * @param {Readable} source
+ * @returns {Promise<CopyStats>}
+ */
+async function runCopyFrom(pgClient, copyStreams, text, source) {
+    const stats = {
+        rows: 0,
+        bytes: 0
+    };
+    const target = pgClient.query(copyStreams.from(text));
+
+    await pipeline(source, createByteCounter(stats), target);
+    stats.rows = target.rowCount;
+
+    return stats;
+}
+
+/**
+ * Pipes a `COPY ... TO STDOUT` statement into `output`, resolving once the
+ * consumer has read everything.
+ *
+ * @param {PgClient} pgClient
+ * @param {CopyStreams} copyStreams
+ * @param {string} text
+ * @param {PassThrough} output
+ * @returns {Promise<CopyStats>}
+ */
+async function runCopyTo(pgClient, copyStreams, text, output) {
+    const stats = {
+        rows: 0,
+        bytes: 0
+    };
+    const source = pgClient.query(copyStreams.to(text));
+
+    await pipeline(source, createByteCounter(stats), output);
+    stats.rows = source.rowCount;
+
+    return stats;
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function formatCsvValue(value) {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Buffer.isBuffer(value)) {
+        return '\\x' + value.toString('hex');
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+
+    return String(value);
+}
+
+/**
+ * `null`/`undefined` become unquoted empty fields, which COPY reads as NULL,
+ * while empty strings are quoted.
+ *
+ * @param {*} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function encodeCsvField(value, delimiter) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = formatCsvValue(value);
+    if (text === '' || text.includes(delimiter) || /["\r\n]/.test(text) || text === '\\.') {
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+
+    return text;
+}
+
+/**
+ * Encodes row objects for `COPY ... FROM STDIN WITH (FORMAT csv)`.
+ *
+ * @param {Iterable<Object>|AsyncIterable<Object>} rows
+ * @param {Object} options
+ * @param {Array<string>} options.columns order must match the COPY column list
+ * @param {string} [options.delimiter]
+ * @returns {Readable}
+ */
+function createCsvStream(rows, { columns, delimiter = ',' }) {
+    return Readable.from((async function* encode() {
+        for await (const row of rows) {
+            yield columns.map((name) => encodeCsvField(row[name], delimiter)).join(delimiter) + '\n';
+        }
+    })(), { objectMode: false });
+}
+
+/**
+ * @param {number} size
+ * @param {function(Buffer): void} write
+ * @returns {Buffer}
+ */
+function allocate(size, write) {
+    const buffer = Buffer.alloc(size);
+    write(buffer);
+    return buffer;
+}
+
+/**
+ * @param {Date|string|number} value
+ * @returns {bigint} microseconds since 2000-01-01 UTC
+ */
+function toPgMicros(value) {
+    return BigInt(new Date(value).getTime() - pgEpochMillis) * 1000n;
+}
+
+const binaryEncoders = {
+    bool: (value) => Buffer.from([value ? 1 : 0]),
+    int2: (value) => allocate(2, (buffer) => buffer.writeInt16BE(value)),
+    int4: (value) => allocate(4, (buffer) => buffer.writeInt32BE(value)),
+    int8: (value) => allocate(8, (buffer) => buffer.writeBigInt64BE(BigInt(value))),
+    float4: (value) => allocate(4, (buffer) => buffer.writeFloatBE(value)),
+    float8: (value) => allocate(8, (buffer) => buffer.writeDoubleBE(value)),
+    text: (value) => Buffer.from(String(value), 'utf8'),
+    json: (value) => Buffer.from(JSON.stringify(value), 'utf8'),
+    jsonb: (value) => Buffer.concat([Buffer.from([1]), Buffer.from(JSON.stringify(value), 'utf8')]),
+    bytea: (value) => Buffer.from(value),
+    uuid: (value) => Buffer.from(value.replace(/-/g, ''), 'hex'),
+    timestamp: (value) => allocate(8, (buffer) => buffer.writeBigInt64BE(toPgMicros(value))),
+    date: (value) => allocate(4, (buffer) => {
+        buffer.writeInt32BE(Math.floor((new Date(value).getTime() - pgEpochMillis) / millisPerDay));
+    })
+};
+binaryEncoders.varchar = binaryEncoders.text;
+binaryEncoders.timestamptz = binaryEncoders.timestamp;
+
+/**
+ * @param {Array<{ name: string, type: string }>} columns
+ * @param {Object} row
+ * @returns {Buffer}
+ */
+function encodeBinaryTuple(columns, row) {
+    const parts = [allocate(2, (buffer) => buffer.writeInt16BE(columns.length))];
+
+    for (const { name, type } of columns) {
+        const value = row[name];
+        if (value === null || value === undefined) {
+            parts.push(allocate(4, (buffer) => buffer.writeInt32BE(-1)));
+            continue;
+        }
+
+        const field = binaryEncoders[type](value);
+        parts.push(allocate(4, (buffer) => buffer.writeInt32BE(field.length)), field);
+    }
+
+    return Buffer.concat(parts);
+}
+
+/**
+ * Encodes row objects for `COPY ... FROM STDIN WITH (FORMAT binary)`.
+ *
+ * @param {Iterable<Object>|AsyncIterable<Object>} rows
+ * @param {Object} options
+ * @param {Array<{ name: string, type: string }>} options.columns `type` is one of bool, int2, int4, int8,
+ * float4, float8, text, varchar, json, jsonb, bytea, uuid, timestamp, timestamptz or date
+ * @returns {Readable}
+ */
+function createBinaryStream(rows, { columns }) {
+    for (const { type } of columns) {
+        if (!binaryEncoders[type]) {
+            throw new TypeError(`Unsupported binary COPY type "${type}".`);
+        }
+    }
+
+    return Readable.from((async function* encode() {
+        yield Buffer.concat([binarySignature, Buffer.alloc(8)]);
+        for await (const row of rows) {
+            yield encodeBinaryTuple(columns, row);
+        }
+        yield allocate(2, (buffer) => buffer.writeInt16BE(-1));
+    })(), { objectMode: false });
+}
+
+module.exports = {
+    runCopyFrom,
+    runCopyTo,
+    createCsvStream,
+    createBinaryStream
+};
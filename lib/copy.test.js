@@ -0,0 +1,258 @@
+const { Readable, Writable } = require('stream');
+const { createFakeDatabase } = require('./testing');
+const { createCsvStream, createBinaryStream } = require('./copy');
+
+function createFakeCopyStreams() {
+    const copyStreams = {
+        received: [],
+        output: ['a,1\n', 'b,2\n'],
+        from(text) {
+            const chunks = [];
+            const stream = new Writable({
+                write(chunk, encoding, callback) {
+                    chunks.push(chunk);
+                    callback();
+                },
+                final(callback) {
+                    const data = Buffer.concat(chunks).toString();
+                    copyStreams.received.push([text, data]);
+                    stream.rowCount = data.split('\n').length - 1;
+                    callback();
+                }
+            });
+            return stream;
+        },
+        to() {
+            const stream = Readable.from(copyStreams.output.map((line) => Buffer.from(line)));
+            stream.on('end', () => {
+                stream.rowCount = copyStreams.output.length;
+            });
+            return stream;
+        }
+    };
+
+    return copyStreams;
+}
+
+function createCopyDb() {
+    const released = [];
+    const client = {
+        query(submittable) {
+            return submittable;
+        }
+    };
+    const db = createFakeDatabase({
+        pool: {
+            async use(callback) {
+                try {
+                    const result = await callback(client);
+                    released.push(null);
+                    return result;
+                } catch (err) {
+                    released.push(err);
+                    throw err;
+                }
+            }
+        },
+        copyStreams: createFakeCopyStreams()
+    });
+    db.released = released;
+
+    return db;
+}
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+describe('copy', () => {
+    test('copy from', async () => {
+        const db = createCopyDb();
+        const text = 'COPY t (a, b) FROM STDIN WITH (FORMAT csv)';
+
+        const stats = await db.copyFrom(text, createCsvStream([{ a: 'x', b: 1 }, { a: 'y', b: 2 }], { columns: ['a', 'b'] }));
+
+        expect(stats).toEqual({ rows: 2, bytes: 8 });
+        expect(db.copyStreams.received).toEqual([[text, 'x,1\ny,2\n']]);
+        expect(db.released).toEqual([null]);
+
+        const [message, data] = db.logger.logs[0];
+        expect(message).toBe('sql-query');
+        expect(data.query.text).toBe(text);
+        expect(data.copy).toEqual(stats);
+        expect(data.duration.total).toBeGreaterThan(0);
+    });
+
+    test('copy to', async () => {
+        const db = createCopyDb();
+
+        const output = await readAll(db.copyTo('COPY t TO STDOUT'));
+        await new Promise(setImmediate);
+
+        expect(output.toString()).toBe('a,1\nb,2\n');
+        expect(db.logger.logs[0][1].copy).toEqual({ rows: 2, bytes: 8 });
+        expect(db.released).toEqual([null]);
+    });
+
+    test('copy from error releases with error', async () => {
+        const db = createCopyDb();
+        const source = new Readable({
+            read() {
+                this.destroy(new Error('source failed'));
+            }
+        });
+
+        await expect(db.copyFrom('COPY t FROM STDIN', source)).rejects.toThrow('source failed');
+        expect(db.released[0]).toBeInstanceOf(Error);
+        expect(db.logger.logs[0][0]).toBe('sql-error');
+    });
+
+    test('copy to error destroys the stream', async () => {
+        const db = createCopyDb();
+        db.copyStreams.to = () => new Readable({
+            read() {
+                this.destroy(new Error('copy failed'));
+            }
+        });
+
+        await expect(readAll(db.copyTo('COPY t TO STDOUT'))).rejects.toThrow('copy failed');
+    });
+
+    test('task and transaction', async () => {
+        const db = createCopyDb();
+
+        await db.task(async (taskDb) => {
+            await taskDb.copyFrom('COPY t FROM STDIN', Readable.from(['a\n']));
+            expect((await readAll(taskDb.copyTo('COPY t TO STDOUT'))).toString()).toBe('a,1\nb,2\n');
+        });
+        await db.tx(async (txDb) => {
+            await expect(txDb.copyFrom('COPY t FROM STDIN', new Readable({
+                read() {
+                    this.destroy(new Error('source failed'));
+                }
+            }))).rejects.toThrow('source failed');
+        });
+
+        expect(db.logger.logs.filter(([message, data]) => message === 'sql-query' && data.copy).length).toBe(2);
+        expect(db.logger.logs.filter(([message]) => message === 'sql-error').length).toBe(1);
+    });
+
+    test('middlewares', async () => {
+        const seen = [];
+        const db = createCopyDb();
+        db.middlewares = [{
+            beforeQuery(context) {
+                if (context.copy) {
+                    context.queryConfig = { text: `${context.queryConfig.text} WITH (FORMAT csv)` };
+                }
+            },
+            afterQuery({ queryConfig, result, copy }) {
+                seen.push([queryConfig.text, copy, result]);
+            }
+        }];
+
+        await db.copyFrom('COPY t FROM STDIN', Readable.from(['a\n']));
+        await db.tx((txDb) => readAll(txDb.copyTo('COPY t TO STDOUT')));
+
+        expect(db.copyStreams.received).toEqual([['COPY t FROM STDIN WITH (FORMAT csv)', 'a\n']]);
+        expect(seen).toEqual([
+            ['COPY t FROM STDIN WITH (FORMAT csv)', true, { rows: 1, bytes: 2 }],
+            ['BEGIN', false, expect.anything()],
+            ['COPY t TO STDOUT WITH (FORMAT csv)', true, { rows: 2, bytes: 8 }],
+            ['COMMIT', false, expect.anything()]
+        ]);
+        expect(db.logger.logs).toEqual([]);
+    });
+});
+
+describe('csv stream', () => {
+    test('encoding', async () => {
+        const rows = [
+            { a: 'plain', b: null, c: '' },
+            { a: 'with,comma', b: 'quote"d', c: 'line\nbreak' },
+            { a: new Date(Date.UTC(2020, 0, 1)), b: Buffer.from([1, 255]), c: { json: true } },
+            { a: '\\.', b: true, c: 5 }
+        ];
+
+        const csv = (await readAll(createCsvStream(rows, { columns: ['a', 'b', 'c'] }))).toString();
+
+        expect(csv).toBe([
+            'plain,,""',
+            '"with,comma","quote""d","line\nbreak"',
+            '2020-01-01T00:00:00.000Z,\\x01ff,"{""json"":true}"',
+            '"\\.",true,5',
+            ''
+        ].join('\n'));
+    });
+
+    test('delimiter', async () => {
+        const csv = (await readAll(createCsvStream([{ a: 'x|y', b: 1 }], { columns: ['a', 'b'], delimiter: '|' }))).toString();
+
+        expect(csv).toBe('"x|y"|1\n');
+    });
+});
+
+describe('binary stream', () => {
+    test('encoding', async () => {
+        const columns = ['bool', 'int2', 'int4', 'int8', 'float4', 'float8', 'text', 'varchar', 'json', 'jsonb', 'bytea', 'uuid', 'timestamp', 'timestamptz', 'date']
+            .map((type) => ({ name: type, type }));
+        const row = {
+            bool: true,
+            int2: 1,
+            int4: 2,
+            int8: 3,
+            float4: 1.5,
+            float8: 2.5,
+            text: 'a',
+            varchar: null,
+            json: { a: 1 },
+            jsonb: [1],
+            bytea: Buffer.from([7]),
+            uuid: '00000000-0000-0000-0000-000000000001',
+            timestamp: new Date(Date.UTC(2000, 0, 1, 0, 0, 1)),
+            timestamptz: Date.UTC(2000, 0, 1),
+            date: '2000-01-03'
+        };
+
+        const data = await readAll(createBinaryStream([row], { columns }));
+
+        expect(data.subarray(0, 11).toString('latin1')).toBe('PGCOPY\n\xff\r\n\0');
+        expect(data.readInt32BE(11)).toBe(0);
+        expect(data.readInt16BE(19)).toBe(columns.length);
+        expect(data.readInt16BE(data.length - 2)).toBe(-1);
+
+        const fields = [];
+        let offset = 21;
+        for (let i = 0; i < columns.length; i++) {
+            const length = data.readInt32BE(offset);
+            offset += 4;
+            fields.push(length === -1 ? null : data.subarray(offset, offset + length));
+            offset += Math.max(length, 0);
+        }
+        expect(offset).toBe(data.length - 2);
+
+        expect(fields[0]).toEqual(Buffer.from([1]));
+        expect(fields[1].readInt16BE()).toBe(1);
+        expect(fields[2].readInt32BE()).toBe(2);
+        expect(fields[3].readBigInt64BE()).toBe(3n);
+        expect(fields[4].readFloatBE()).toBe(1.5);
+        expect(fields[5].readDoubleBE()).toBe(2.5);
+        expect(fields[6].toString()).toBe('a');
+        expect(fields[7]).toBeNull();
+        expect(fields[8].toString()).toBe('{"a":1}');
+        expect(fields[9].toString('latin1')).toBe('\x01[1]');
+        expect(fields[10]).toEqual(Buffer.from([7]));
+        expect(fields[11].toString('hex')).toBe('00000000000000000000000000000001');
+        expect(fields[12].readBigInt64BE()).toBe(1_000_000n);
+        expect(fields[13].readBigInt64BE()).toBe(0n);
+        expect(fields[14].readInt32BE()).toBe(2);
+    });
+
+    test('unsupported type', () => {
+        expect(() => createBinaryStream([], { columns: [{ name: 'a', type: 'point' }] })).toThrow(TypeError);
+    });
+});
@@ -1,6 +1,28 @@
+const { PassThrough } = require('stream');
+const pgCopyStreams = require('pg-copy-streams');
 const { createSavepointName } = require('./savepoint');
+const { compileNamedQuery } = require('./named');
+const { createRetryPolicy, runWithRetry } = require('./retry');
+const { getAbortError, createCancelSignal, runCancellable } = require('./cancel');
+const { createCursorStream } = require('./stream');
+const { createInsertQueries, runInsertQueries } = require('./insert');
+const { runCopyFrom, runCopyTo } = require('./copy');
+const { NotificationListener } = require('./listen');
+const { advisoryLockQuery, runWithAdvisoryLock, tryRunWithAdvisoryLock } = require('./lock');
+const { mapRows } = require('./rows');
+const { wrapDatabaseError } = require('./errors');
+const { startScopeSpan, startQuerySpan, addPoolWaitEvent, endSpan } = require('./trace');
+const { normalizeSlowQueryOptions, detectSlowQuery } = require('./slow');
+const { loggingMiddleware, createLogQuery, runHooks, runQueryMiddleware } = require('./middleware');
+const { createReplicaRouter, isWriteQuery } = require('./replica');
+const { createSessionQuery, createTransactionSessionCallback, createTaskSessionCallback } = require('./session');
+const { createPreparedStatementCache } = require('./prepare');
+const { MemoryCacheStore, createCacheKey, readCache, writeCache, invalidateCache } = require('./cache');
+const { noop, nanosToMillis, splitOptions } = require('./util');
 
 const hrtime = process.hrtime.bigint;
+// per-call options of `query`, `cache` and `primary` only apply outside of tasks and transactions
+const queryOptionKeys = ['cache', 'primary', 'timeout', 'signal'];
 const transactionQueries = {
     begin: {
         text: 'BEGIN'
@@ -9,13 +31,22 @@ const transactionQueries = {
         text: 'COMMIT'
     },
     rollback: {
-        text: 'ROLLBACK'
+        text: 'ROLLBACK',
+        signal: null
     }
 };
+const isolationLevels = {
+    'serializable': 'SERIALIZABLE',
+    'repeatable read': 'REPEATABLE READ',
+    'read committed': 'READ COMMITTED',
+    'read uncommitted': 'READ UNCOMMITTED'
+};
 
 /**
  * @typedef PgPool
  * @property {PgPool_connect} connect
+ * @property {Object} [options] client options, `max` bounds the `DatabasePool` slots
+ * @property {Function} [Client] opens the connections of `DatabasePool#cancel`
  */
 /**
  * @callback PgPool_connect
@@ -36,6 +67,7 @@ const transactionQueries = {
 /**
  * @typedef PgClient
  * @property {PgClient_query} query
+ * @property {number} [processID] backend pid, used to cancel timed out statements
  */
 /**
  * @callback PgClient_query
@@ -46,10 +78,16 @@ const transactionQueries = {
 /**
  * @typedef {Object} DatabasePoolInterface
  * @property {DatabasePoolInterface_use} use
+ * @property {function(): Promise<PgPoolClient>} [connect] long-lived checkout, required by `listen`
+ * @property {function(Object): Promise<PoolPingResult>} [ping] required by `healthCheck`
+ * @property {function(Object): Promise<void>} [end] required by `Database#end`
+ * @property {function(number): Promise<void>} [cancel] cancels the statement of a backend pid without
+ * waiting for a client of this pool
  */
 /**
  * @callback DatabasePoolInterface_use
  * @param {DatabasePoolInterface_useCallback} callback
+ * @param {PoolUseOptions} [options]
  */
 /**
  * @callback DatabasePoolInterface_useCallback
@@ -88,8 +126,15 @@ const transactionQueries = {
  * @property {DatabaseInterface_one} one
  * @property {DatabaseInterface_oneOrNone} oneOrNone
  * @property {DatabaseInterface_many} many
+ * @property {DatabaseInterface_result} result
+ * @property {DatabaseInterface_affectsOne} affectsOne
  * @property {DatabaseInterface_tx} tx
  * @property {DatabaseInterface_task} task
+ * @property {DatabaseInterface_stream} stream
+ * @property {DatabaseInterface_insertMany} insertMany
+ * @property {DatabaseInterface_copyFrom} copyFrom
+ * @property {DatabaseInterface_copyTo} copyTo
+ * @property {DatabaseInterface_notify} notify
  */
 /**
  * @callback DatabaseInterface_any
@@ -116,20 +161,100 @@ const transactionQueries = {
  * @param {QueryConfig} queryConfig
  * @returns {Promise<Array<*>>}
  */
+/**
+ * @callback DatabaseInterface_result
+ * @param {QueryConfig} queryConfig
+ * @param {Object} [options]
+ * @param {RowCountRange} [options.rowCount] expected number of affected rows
+ * @returns {Promise<PgResult>}
+ */
+/**
+ * @callback DatabaseInterface_affectsOne
+ * @param {QueryConfig} queryConfig `UPDATE`/`DELETE`/`INSERT` statement that must affect exactly one row
+ * @returns {Promise<PgResult>}
+ */
+/**
+ * @typedef RowCountRange
+ * @property {number} [min]
+ * @property {number} [max]
+ */
 /**
  * @callback DatabaseInterface_tx
- * @param {DatabaseInterface_dbCallback} callback
+ * @param {TransactionOptions|DatabaseInterface_dbCallback} options
+ * @param {DatabaseInterface_dbCallback} [callback]
  * @returns {Promise<*>}
  */
 /**
  * @callback DatabaseInterface_task
- * @param {DatabaseInterface_dbCallback} callback
+ * @param {CancelOptions|DatabaseInterface_dbCallback} options `session` and `priority` are also accepted by `Database#task`
+ * @param {DatabaseInterface_dbCallback} [callback]
  * @returns {Promise<*>}
  */
+/**
+ * @callback DatabaseInterface_stream
+ * @param {QueryConfig} queryConfig
+ * @param {StreamOptions} [options]
+ * @returns {CursorStream}
+ */
+/**
+ * @callback DatabaseInterface_insertMany
+ * @param {string|Array<string>} table
+ * @param {Array<Object>} rows
+ * @param {InsertManyOptions} [options]
+ * @returns {Promise<Array<*>>} concatenated `RETURNING` rows
+ */
+/**
+ * @callback DatabaseInterface_copyFrom
+ * @param {string} text `COPY ... FROM STDIN` statement
+ * @param {Readable} source
+ * @returns {Promise<CopyStats>}
+ */
+/**
+ * @callback DatabaseInterface_copyTo
+ * @param {string} text `COPY ... TO STDOUT` statement
+ * @returns {Readable}
+ */
+/**
+ * @callback DatabaseInterface_notify
+ * @param {string} channel
+ * @param {*} [payload] non-string payloads are sent as JSON
+ * @returns {Promise<null>}
+ */
 /**
  * @callback DatabaseInterface_dbCallback
  * @param {DatabaseInterface} db
  */
+/**
+ * @callback DatabaseInterface_withAdvisoryLock
+ * @param {AdvisoryLockKey} key
+ * @param {DatabaseInterface_dbCallback} callback
+ * @param {AdvisoryLockOptions} [options]
+ * @returns {Promise<*>}
+ */
+/**
+ * @callback DatabaseInterface_tryWithAdvisoryLock
+ * @param {AdvisoryLockKey} key
+ * @param {DatabaseInterface_dbCallback} callback
+ * @param {Object} [options]
+ * @param {boolean} [options.shared]
+ * @returns {Promise<*>} the callback's result, or `false` without running it when another session holds the lock
+ */
+
+
+/**
+ * {@link https://www.postgresql.org/docs/current/sql-set-transaction.html}
+ *
+ * @typedef TransactionOptions
+ * @property {string} [isolationLevel] `serializable`, `repeatable read`, `read committed` or `read uncommitted`
+ * @property {boolean} [readOnly]
+ * @property {boolean} [deferrable]
+ * @property {RetryPolicy|boolean} [retry] overrides the database retry policy, outermost transactions only;
+ * `true` retries 3 attempts unless the database policy already allows more than one, `false` disables retries
+ * @property {number} [timeout] milliseconds, applies to every statement of the transaction
+ * @property {AbortSignal} [signal]
+ * @property {SessionOptions} [session] applied with `set_config(..., true)` at the start, outermost transactions only
+ * @property {number} [priority] of the wait for a pooled client, see {@link PoolUseOptions}
+ */
 
 
 /**
@@ -138,6 +263,11 @@ const transactionQueries = {
  * @typedef QueryConfig
  * @property {string} text
  * @property {Array<*>} [values]
+ * @property {Object<string, *>} [params] named values for `:name` placeholders, see {@link compileNamedQuery}
+ * @property {number} [timeout] milliseconds, see {@link CancelOptions}
+ * @property {AbortSignal|null} [signal]
+ * @property {RowMapper|boolean} [map] runs after the database `rowMapper` in `any`, `one`, `oneOrNone` and `many`,
+ * `false` skips both
  * @property {string} [name]
  * @property {string} [rowMode]
  * @property {Object} [types]
@@ -149,366 +279,1834 @@ const transactionQueries = {
  *
  * @typedef PgResult
  * @property {Array<Object>} rows
+ * @property {number|null} [rowCount] rows affected by `INSERT`/`UPDATE`/`DELETE`, returned by `SELECT`
  */
 
 
 /**
- * @param {bigint} value
- * @returns {number}
+ * @param {Queryable} db
+ * @param {QueryConfig} pgQueryConfig
+ * @param {Object} duration logged durations in milliseconds
+ * @param {Error} [err]
  */
-function nanosToMillis(value) {
-    return Number(value) / 1_000_000;
-}
-
-class DatabasePool {
-    /**
-     * @param {Object} options
-     * @param {PgPool} options.pgPool
-     */
-    constructor({ pgPool }) {
-        this.pgPool = pgPool;
+function observeQuery(db, pgQueryConfig, duration, err) {
+    if (db.metrics) {
+        db.metrics.observeQuery(pgQueryConfig, duration, err);
     }
+}
 
-    /**
-     * @param {DatabasePoolInterface_useCallback} callback
-     * @returns {Promise<*>}
-     */
-    async use(callback) {
-        const client = await this.pgPool.connect();
-
-        try {
-            const result = await callback(client);
-            client.release();
-
-            return result;
-        } catch (err) {
-            client.release(err);
-
-            throw err;
-        }
-    }
+/**
+ * @param {Queryable} db
+ * @param {QueryConfig} pgQueryConfig
+ * @returns {string|null} the statement name for `autoPrepare`
+ */
+function resolveStatementName(db, pgQueryConfig) {
+    return db.preparedStatements ? db.preparedStatements.resolveName(pgQueryConfig) : null;
 }
 
-class QueryResultError extends Error {}
+/**
+ * The name only reaches the driver, logs, spans and metrics keep the
+ * statement unnamed.
+ *
+ * @param {Queryable} db
+ * @param {PgClient} pgClient
+ * @param {QueryConfig} pgQueryConfig
+ * @param {string} statementName
+ * @returns {Promise<QueryConfig>}
+ */
+async function prepareStatement(db, pgClient, pgQueryConfig, statementName) {
+    await db.preparedStatements.use(pgClient, statementName, pgQueryConfig.text);
 
-class QueryResultSomeError extends QueryResultError {
-    constructor() {
-        super('No return data was expected.');
-    }
+    return {
+        ...pgQueryConfig,
+        name: statementName
+    };
 }
 
-class QueryResultManyError extends QueryResultError {
-    constructor() {
-        super('Multiple rows were not expected.');
-    }
-}
+/**
+ * @param {Queryable} db
+ * @param {PgClient} pgClient
+ * @param {QueryConfig} preparedQueryConfig
+ * @param {string|null} statementName
+ * @returns {Promise<PgResult>}
+ */
+async function runPreparedQuery(db, pgClient, preparedQueryConfig, statementName) {
+    try {
+        return await pgClient.query(preparedQueryConfig);
+    } catch (err) {
+        if (statementName !== null) {
+            db.preparedStatements.discardFailed(pgClient, statementName);
+        }
 
-class QueryResultNoneError extends QueryResultError {
-    constructor() {
-        super('No data returned from the query.');
+        throw err;
     }
 }
 
 /**
- * @type {DatabaseInterface_any}
- * @this Queryable
+ * Records whether a task or transaction modified data, shared with its
+ * nested transactions and savepoints.
+ *
+ * @returns {{written: boolean}}
  */
-async function databaseAny(queryConfig) {
-    const result = await this.query(queryConfig);
-    return result.rows;
+function createWrites() {
+    return {
+        written: false
+    };
 }
 
 /**
- * @type {DatabaseInterface_none}
- * @this Queryable
+ * Starts the read-your-writes window of the current request context.
+ *
+ * @param {Database} db
  */
-async function databaseNone(queryConfig) {
-    const result = await this.query(queryConfig);
-    if (result.rows.length > 0) {
-        throw new QueryResultSomeError();
+function markWrite(db) {
+    if (db.replicaRouter) {
+        db.replicaRouter.markWrite();
     }
-    return null;
 }
 
 /**
- * @type {DatabaseInterface_one}
- * @this Queryable
+ * @param {Database} db
+ * @param {QueryConfig} pgQueryConfig
+ * @param {boolean} pinned `primary: true` was passed
+ * @param {function(PgClient, DatabasePoolInterface): Promise<*>} callback
+ * @param {PoolUseOptions} [options]
+ * @returns {Promise<*>}
  */
-async function databaseOne(queryConfig) {
-    const result = await this.query(queryConfig);
-    if (result.rows.length === 0) {
-        throw new QueryResultNoneError();
-    }
-    if (result.rows.length > 1) {
-        throw new QueryResultManyError();
+function usePool(db, pgQueryConfig, pinned, callback, options) {
+    if (db.replicaRouter) {
+        return db.replicaRouter.use(pgQueryConfig, pinned, callback, options);
     }
-    return result.rows[0];
+
+    return db.pool.use((client) => callback(client, db.pool), options);
 }
 
 /**
- * @type {DatabaseInterface_oneOrNone}
- * @this Queryable
+ * @typedef PoolHealth
+ * @property {boolean} healthy
+ * @property {number} [latency] milliseconds, when healthy
+ * @property {Error} [error] when not healthy
+ * @property {number} [active]
+ * @property {number} [total]
+ * @property {number} [idle]
+ * @property {number} [waiting]
  */
-async function databaseOneOrNone(queryConfig) {
-    const result = await this.query(queryConfig);
-    if (result.rows.length > 1) {
-        throw new QueryResultManyError();
-    }
-    if (result.rows.length === 1) {
-        return result.rows[0];
-    }
-    return null;
-}
 
 /**
- * @type {DatabaseInterface_many}
- * @this Queryable
+ * @param {DatabasePoolInterface} pool
+ * @param {Object} options passed to `ping`
+ * @returns {Promise<PoolHealth>}
  */
-async function databaseMany(queryConfig) {
-    const result = await this.query(queryConfig);
-    if (result.rows.length === 0) {
-        throw new QueryResultNoneError();
+async function checkPoolHealth(pool, options) {
+    try {
+        return {
+            healthy: true,
+            ...await pool.ping(options)
+        };
+    } catch (err) {
+        return {
+            healthy: false,
+            error: err,
+            ...(pool.stats ? pool.stats() : {})
+        };
     }
-    return result.rows;
 }
 
 /**
- * @param {Function} cls
+ * @param {number} processID
+ * @returns {QueryConfig}
  */
-function makeDatabase(cls) {
-    cls.prototype.any = databaseAny;
-    cls.prototype.manyOrNone = databaseAny;
-    cls.prototype.none = databaseNone;
-    cls.prototype.one = databaseOne;
-    cls.prototype.oneOrNone = databaseOneOrNone;
-    cls.prototype.many = databaseMany;
+function createCancelQuery(processID) {
+    return {
+        text: 'SELECT pg_cancel_backend($1)',
+        values: [processID]
+    };
 }
 
 /**
- * @param {DatabaseInterface} db
- * @param {Object} queries
- * @param {QueryConfig} queries.begin
- * @param {QueryConfig} queries.commit
- * @param {QueryConfig} queries.rollback
- * @param {DatabaseInterface_dbCallback} callback
- * @returns {Promise<*>}
+ * Cancels the statement running on `pgClient` through the pool's `cancel`,
+ * or else through a pooled connection ahead of every waiting caller.
+ * Failures are only logged, the caller has already been rejected.
+ *
+ * @param {Object} db
+ * @param {DatabasePoolInterface} db.pool
+ * @param {DatabaseLoggerInterface} db.logger
+ * @param {PgClient} pgClient
  */
-async function runTransaction(db, queries, callback) {
-    await db.query(queries.begin);
-
-    try {
-        const result = await callback(db);
-        await db.query(queries.commit);
-
-        return result;
-    } catch (err) {
-        await db.query(queries.rollback);
-
-        throw err;
+function cancelBackend(db, pgClient) {
+    const { processID } = pgClient;
+    if (processID === undefined) {
+        return;
     }
-}
 
-class Database {
-    /**
-     * @param {Object} options
-     * @param {DatabasePoolInterface} options.pool
-     * @param {DatabaseLoggerInterface} options.logger
-     * @param {Function} [options.transactionDatabaseClass]
-     * @param {Function} [options.taskDatabaseClass]
-     */
-    constructor({
-        pool,
-        logger,
-        transactionDatabaseClass = TransactionDatabase,
-        taskDatabaseClass = TaskDatabase
-    }) {
-        this.pool = pool;
-        this.logger = logger;
-        this.transactionDatabaseClass = transactionDatabaseClass;
-        this.taskDatabaseClass = taskDatabaseClass;
-    }
+    const cancelled = db.pool.cancel
+        ? db.pool.cancel(processID)
+        : db.pool.use((client) => client.query(createCancelQuery(processID)), { priority: Infinity });
+    cancelled.catch((err) => {
+        db.logger.error('sql-cancel-error', {
+            processID,
+            error: err
+        });
+    });
+}
 
-    /**
-     * @type {Queryable_query}
-     */
-    async query(queryConfig) {
-        const logData = {
-            query: queryConfig,
-            duration: {
-                query: 0,
-                client: 0,
-                total: 0
-            }
+/**
+ * Runs a COPY statement on a pooled client through the middlewares, like a
+ * query. The context has `copy` set, its result is the `CopyStats`.
+ *
+ * @param {Database} db
+ * @param {string} text
+ * @param {function(PgClient, string): Promise<CopyStats>} run called with the client and the statement
+ * @returns {Promise<CopyStats>}
+ */
+function databaseCopy(db, text, run) {
+    return runQueryMiddleware(db, { text }, async (context) => {
+        const { queryConfig } = context;
+        const duration = {
+            query: 0,
+            client: 0,
+            total: 0
         };
+        context.pgQueryConfig = queryConfig;
+        context.duration = duration;
 
+        const span = startQuerySpan(db.tracer, queryConfig);
         const totalStartTime = hrtime();
         try {
-            const poolResult = await this.pool.use(async (client) => {
-                logData.duration.client = nanosToMillis(hrtime() - totalStartTime);
+            const stats = await db.pool.use(async (client) => {
+                duration.client = nanosToMillis(hrtime() - totalStartTime);
+                addPoolWaitEvent(span, duration.client);
 
                 const queryStartTime = hrtime();
-                const clientResult = await client.query(queryConfig);
-                logData.duration.query = nanosToMillis(hrtime() - queryStartTime);
+                const clientStats = await run(client, queryConfig.text);
+                duration.query = nanosToMillis(hrtime() - queryStartTime);
 
-                return clientResult;
+                return clientStats;
             });
 
-            logData.duration.total = nanosToMillis(hrtime() - totalStartTime);
-            this.logger.debug('sql-query', logData);
+            duration.total = nanosToMillis(hrtime() - totalStartTime);
+            endSpan(span);
+            observeQuery(db, queryConfig, duration);
 
-            return poolResult;
-        } catch (err) {
+            return stats;
+        } catch (driverError) {
+            const err = wrapDatabaseError(driverError, queryConfig);
             err.parentStack = new Error().stack;
 
-            logData.duration.total = nanosToMillis(hrtime() - totalStartTime);
-            logData.error = err;
-            this.logger.error('sql-error', logData);
+            duration.total = nanosToMillis(hrtime() - totalStartTime);
+            endSpan(span, err);
+            observeQuery(db, queryConfig, duration, err);
 
             throw err;
         }
-    }
-
-    /**
-     * @type {DatabaseInterface_tx}
-     */
-    tx(callback) {
-        return this.pool.use((pgClient) => {
-            return runTransaction(
-                new this.transactionDatabaseClass({
-                    pgClient,
-                    parentDatabase: this
-                }),
-                transactionQueries,
-                callback
-            );
-        });
-    }
-
-    /**
-     * @type {DatabaseInterface_task}
-     */
-    task(callback) {
-        return this.pool.use(async (pgClient) => {
-            return callback(new this.taskDatabaseClass({
-                pgClient,
-                parentDatabase: this
-            }));
-        });
-    }
+    }, true);
 }
-makeDatabase(Database);
 
 /**
- * @type {Queryable_query}
- * @this TransactionDatabase|TaskDatabase
+ * Runs a COPY statement on the client of a task or transaction.
+ *
+ * @param {TransactionDatabase|TaskDatabase} db
+ * @param {string} text
+ * @param {function(PgClient, string): Promise<CopyStats>} run called with the client and the statement
+ * @returns {Promise<CopyStats>}
  */
-async function innerDatabaseQuery(queryConfig) {
-    const logData = {
-        query: queryConfig,
-        duration: {
+function innerDatabaseCopy(db, text, run) {
+    return runQueryMiddleware(db, { text }, async (context) => {
+        const { queryConfig } = context;
+        const duration = {
             query: 0
-        }
-    };
-
-    const queryStartTime = hrtime();
-    try {
-        const result = await this.pgClient.query(queryConfig);
-        logData.duration.query = nanosToMillis(hrtime() - queryStartTime);
-        this.logger.debug('sql-query', logData);
+        };
+        context.pgQueryConfig = queryConfig;
+        context.duration = duration;
 
-        return result;
-    } catch (err) {
-        err.parentStack = new Error().stack;
+        const span = startQuerySpan(db.tracer, queryConfig, db.span);
+        const queryStartTime = hrtime();
+        try {
+            const stats = await run(db.pgClient, queryConfig.text);
+            duration.query = nanosToMillis(hrtime() - queryStartTime);
+            endSpan(span);
+            observeQuery(db, queryConfig, duration);
+
+            return stats;
+        } catch (driverError) {
+            const err = wrapDatabaseError(driverError, queryConfig);
+            err.parentStack = new Error().stack;
 
-        logData.duration.query = nanosToMillis(hrtime() - queryStartTime);
-        logData.error = err;
-        this.logger.error('sql-error', logData);
+            duration.query = nanosToMillis(hrtime() - queryStartTime);
+            endSpan(span, err);
+            observeQuery(db, queryConfig, duration, err);
 
-        throw err;
-    }
+            throw err;
+        }
+    }, true);
 }
 
 /**
- * @param {Function} cls
+ * @param {function(PassThrough): Promise<*>} run
+ * @returns {PassThrough} destroyed with the error if the copy fails
  */
-function makeInnerDatabase(cls) {
-    cls.prototype.query = innerDatabaseQuery;
+function createCopyOutput(run) {
+    const output = new PassThrough();
+    run(output).catch((err) => {
+        output.destroy(err);
+    });
+
+    return output;
 }
 
-class TransactionDatabase {
+class PoolClosedError extends Error {}
+
+class PoolAcquireTimeoutError extends Error {
     /**
-     * @param {Object} options
-     * @param {PgClient} options.pgClient
-     * @param {Object} options.parentDatabase
-     * @param {DatabaseLoggerInterface} options.parentDatabase.logger
+     * @param {number} timeout
+     * @param {number} waited milliseconds
      */
-    constructor({ pgClient, parentDatabase }) {
-        this.pgClient = pgClient;
-        this.logger = parentDatabase.logger;
+    constructor(timeout, waited) {
+        super(`Timed out after ${timeout} ms waiting for a pooled client.`);
+        this.timeout = timeout;
+        this.waited = waited;
     }
+}
 
+class PoolQueueFullError extends Error {
     /**
-     * @type {DatabaseInterface_tx}
+     * @param {number} maxWaiting
      */
-    async tx(callback) {
-        const savepointName = createSavepointName();
-
-        return runTransaction(
-            this,
-            {
-                begin: {
-                    text: `SAVEPOINT ${savepointName}`
-                },
-                commit: {
-                    text: `RELEASE SAVEPOINT ${savepointName}`
-                },
-                rollback: {
-                    text: `ROLLBACK TO SAVEPOINT ${savepointName}`
-                }
-            },
-            callback
-        );
+    constructor(maxWaiting) {
+        super(`${maxWaiting} callers are already waiting for a pooled client.`);
+        this.maxWaiting = maxWaiting;
+        this.waited = 0;
     }
+}
 
+class PoolEndTimeoutError extends Error {
     /**
-     * @type {DatabaseInterface_task}
+     * @param {number} timeout
+     * @param {number} active
+     * @param {number} checkedOut clients still checked out of the pg pool, e.g. by `listen`
      */
-    async task(callback) {
-        return callback(this);
+    constructor(timeout, active, checkedOut) {
+        super(`Pool did not end within ${timeout} ms, ${active} callbacks were still active and ${checkedOut} clients checked out.`);
+        this.timeout = timeout;
+        this.active = active;
+        this.checkedOut = checkedOut;
     }
 }
-makeInnerDatabase(TransactionDatabase);
-makeDatabase(TransactionDatabase);
 
-class TaskDatabase {
+/**
+ * @typedef PoolUseOptions
+ * @property {number} [priority] waiting callers with a higher priority get a client first, default `0`
+ * @property {AbortSignal} [signal] stops waiting for a client, rejecting with the abort reason
+ */
+
+/**
+ * @typedef PoolStats
+ * @property {number} active callbacks of `use` in progress, including those waiting for a client
+ * @property {number} queued callbacks waiting for one of the `max` slots
+ * @property {number} [total] clients connected, as reported by the pg pool
+ * @property {number} [idle]
+ * @property {number} [waiting] checkouts queued in the pg pool
+ */
+
+/**
+ * @typedef {PoolStats} PoolPingResult
+ * @property {number} latency milliseconds until `SELECT 1` returned, including the checkout
+ */
+
+// milliseconds to connect and cancel, the statement's caller is not waiting for it
+const cancelTimeout = 5000;
+
+class DatabasePool {
     /**
+     * Callers of `use` beyond `max` wait in a queue of their own, ordered by
+     * priority, instead of in the pg pool. Clients checked out with
+     * `connect` are not counted.
+     *
      * @param {Object} options
-     * @param {PgClient} options.pgClient
-     * @param {Object} options.parentDatabase
-     * @param {DatabaseLoggerInterface} options.parentDatabase.logger
-     * @param {Function} options.parentDatabase.transactionDatabaseClass
+     * @param {PgPool} options.pgPool
+     * @param {DatabaseMetrics} [options.metrics] tracks the clients checked out by `use`
+     * @param {number} [options.max] clients checked out by `use` at once, defaults to the pg pool's `max`
+     * @param {number} [options.acquireTimeout] milliseconds to wait for a client, then
+     * `use` rejects with a {@link PoolAcquireTimeoutError}
+     * @param {number} [options.maxWaiting] callers allowed to wait, further ones are rejected with a {@link PoolQueueFullError}
      */
     constructor({
-        pgClient,
-        parentDatabase
+        pgPool,
+        metrics = null,
+        max = pgPool.options && pgPool.options.max ? pgPool.options.max : Infinity,
+        acquireTimeout,
+        maxWaiting = Infinity
     }) {
-        this.pgClient = pgClient;
-        this.logger = parentDatabase.logger;
-        this.transactionDatabaseClass = parentDatabase.transactionDatabaseClass;
+        this.pgPool = pgPool;
+        this.metrics = metrics;
+        this.max = max;
+        this.acquireTimeout = acquireTimeout;
+        this.maxWaiting = maxWaiting;
+        this.checkedOut = 0;
+        /** @type {Array<{ priority: number, resolve: Function, reject: Function, timer: *, signal: AbortSignal, onAbort: Function }>} */
+        this.waiters = [];
+        this.active = 0;
+        this.closed = false;
+        this.pgPoolEnd = null;
+        this.endPromise = null;
+        this.onIdle = null;
+    }
+
+    /**
+     * @param {number} priority
+     * @param {number} [timeout]
+     * @param {bigint} startTime of the `use` call
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<void>} resolves once one of the `max` slots is taken
+     */
+    takeSlot(priority, timeout, startTime, signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(getAbortError(signal));
+        }
+        if (this.checkedOut < this.max) {
+            this.checkedOut++;
+            return Promise.resolve();
+        }
+        if (this.waiters.length >= this.maxWaiting) {
+            return Promise.reject(new PoolQueueFullError(this.maxWaiting));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                priority,
+                resolve,
+                reject,
+                timer: null,
+                signal,
+                onAbort: null
+            };
+            // behind the waiters with the same or a higher priority
+            const index = this.waiters.findIndex((other) => other.priority < priority);
+            this.waiters.splice(index === -1 ? this.waiters.length : index, 0, waiter);
+
+            if (timeout !== undefined) {
+                waiter.timer = setTimeout(() => {
+                    this.dropWaiter(waiter);
+                    reject(new PoolAcquireTimeoutError(timeout, nanosToMillis(hrtime() - startTime)));
+                }, timeout);
+            }
+            if (signal) {
+                waiter.onAbort = () => {
+                    this.dropWaiter(waiter);
+                    reject(getAbortError(signal));
+                };
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Removes the waiter from the queue and stops its timer and abort listener.
+     *
+     * @param {Object} waiter
+     */
+    dropWaiter(waiter) {
+        const index = this.waiters.indexOf(waiter);
+        if (index !== -1) {
+            this.waiters.splice(index, 1);
+        }
+        clearTimeout(waiter.timer);
+        if (waiter.signal) {
+            waiter.signal.removeEventListener('abort', waiter.onAbort);
+        }
+    }
+
+    /**
+     * Hands the slot to the first waiter, or frees it.
+     */
+    releaseSlot() {
+        const waiter = this.waiters[0];
+        if (waiter) {
+            this.dropWaiter(waiter);
+            waiter.resolve();
+        } else {
+            this.checkedOut--;
+        }
+    }
+
+    /**
+     * @param {number} priority
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<PgPoolClient>} holding a slot until {@link DatabasePool#releaseSlot}
+     */
+    async acquire(priority, signal) {
+        const startTime = hrtime();
+        await this.takeSlot(priority, this.acquireTimeout, startTime, signal);
+
+        try {
+            const client = await this.connectPgClient(startTime);
+            if (signal && signal.aborted) {
+                // the caller gave up while connecting, the client itself is fine
+                client.release();
+                throw getAbortError(signal);
+            }
+
+            return client;
+        } catch (err) {
+            this.releaseSlot();
+
+            throw err;
+        }
+    }
+
+    /**
+     * @param {bigint} startTime of the `use` call
+     * @returns {Promise<PgPoolClient>}
+     */
+    async connectPgClient(startTime) {
+        const connecting = this.pgPool.connect();
+        if (this.acquireTimeout === undefined) {
+            return connecting;
+        }
+
+        const remaining = this.acquireTimeout - nanosToMillis(hrtime() - startTime);
+        let timer;
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                // a client connected too late goes straight back
+                connecting.then((client) => client.release(), noop);
+                reject(new PoolAcquireTimeoutError(this.acquireTimeout, nanosToMillis(hrtime() - startTime)));
+            }, Math.max(remaining, 0));
+        });
+        try {
+            return await Promise.race([connecting, timedOut]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * @param {DatabasePoolInterface_useCallback} callback
+     * @param {PoolUseOptions} [options]
+     * @returns {Promise<*>}
+     */
+    async use(callback, { priority = 0, signal } = {}) {
+        if (this.closed) {
+            throw new PoolClosedError('The pool has been closed.');
+        }
+
+        this.active++;
+        try {
+            const client = await this.acquire(priority, signal);
+            if (this.metrics) {
+                this.metrics.observeClients(1);
+            }
+
+            try {
+                const result = await callback(client);
+                client.release();
+
+                return result;
+            } catch (err) {
+                client.release(err);
+
+                throw err;
+            } finally {
+                this.releaseSlot();
+                if (this.metrics) {
+                    this.metrics.observeClients(-1);
+                }
+            }
+        } finally {
+            this.active--;
+            if (this.active === 0 && this.onIdle) {
+                this.onIdle();
+            }
+        }
+    }
+
+    /**
+     * Rejects new `use` calls with a {@link PoolClosedError}, waits for the
+     * active ones and ends the pg pool, which also waits for clients checked
+     * out with `connect`, e.g. by `listen`; see `Database#end`. Calling it
+     * again returns the same promise.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.timeout] milliseconds to wait for both, rejects with a {@link PoolEndTimeoutError}
+     * after ending the pg pool, which closes the remaining clients once released
+     * @returns {Promise<void>}
+     */
+    end(options = {}) {
+        if (!this.endPromise) {
+            this.closed = true;
+            this.endPromise = this.drain(options);
+        }
+
+        return this.endPromise;
+    }
+
+    /**
+     * @param {Object} options
+     * @param {number} [options.timeout]
+     * @returns {Promise<void>}
+     */
+    async drain({ timeout }) {
+        const idle = this.active === 0 ? Promise.resolve() : new Promise((resolve) => {
+            this.onIdle = resolve;
+        });
+        const ended = idle.then(() => this.endPgPool());
+        if (timeout === undefined) {
+            return ended;
+        }
+
+        let timer;
+        const timedOut = new Promise((resolve) => {
+            timer = setTimeout(resolve, timeout, true);
+        });
+        const expired = await Promise.race([ended.then(() => false), timedOut]);
+        clearTimeout(timer);
+
+        if (expired) {
+            const err = new PoolEndTimeoutError(timeout, this.active, this.pgPool.totalCount - this.pgPool.idleCount);
+            ended.catch(noop);
+            this.endPgPool().catch(noop);
+
+            throw err;
+        }
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    endPgPool() {
+        if (!this.pgPoolEnd) {
+            this.pgPoolEnd = this.pgPool.end();
+        }
+
+        return this.pgPoolEnd;
+    }
+
+    /**
+     * Cancels the statement running on another client on a connection of its
+     * own: the statements to cancel typically hold every slot, and a
+     * transaction cannot roll back before its statement ends. Pools without
+     * a `Client` constructor use a slot ahead of every waiting caller.
+     *
+     * @param {number} processID
+     * @returns {Promise<void>}
+     */
+    async cancel(processID) {
+        const { Client, options = {} } = this.pgPool;
+        if (!Client) {
+            await this.use((client) => client.query(createCancelQuery(processID)), { priority: Infinity });
+            return;
+        }
+
+        const client = new Client({
+            ...options,
+            connectionTimeoutMillis: options.connectionTimeoutMillis || cancelTimeout,
+            query_timeout: cancelTimeout
+        });
+        client.on('error', noop);
+        try {
+            await client.connect();
+            await client.query(createCancelQuery(processID));
+        } finally {
+            await client.end().catch(noop);
+        }
+    }
+
+    /**
+     * @returns {PoolStats}
+     */
+    stats() {
+        return {
+            active: this.active,
+            queued: this.waiters.length,
+            total: this.pgPool.totalCount,
+            idle: this.pgPool.idleCount,
+            waiting: this.pgPool.waitingCount
+        };
+    }
+
+    /**
+     * Runs `SELECT 1` on a pooled client.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.timeout] milliseconds, including the wait for a client
+     * @returns {Promise<PoolPingResult>}
+     */
+    async ping({ timeout = 5000 } = {}) {
+        const { signal, clear } = createCancelSignal({ timeout });
+        const startTime = hrtime();
+        try {
+            await runCancellable(signal, () => this.use((client) => client.query({ text: 'SELECT 1' }), { signal }), () => {});
+        } finally {
+            clear();
+        }
+
+        return {
+            latency: nanosToMillis(hrtime() - startTime),
+            ...this.stats()
+        };
+    }
+
+    /**
+     * Checks out a client for long-lived use, such as `LISTEN`. The caller
+     * must release it.
+     *
+     * @returns {Promise<PgPoolClient>}
+     */
+    async connect() {
+        if (this.closed) {
+            throw new PoolClosedError('The pool has been closed.');
+        }
+
+        return this.pgPool.connect();
+    }
+}
+
+class TransactionOptionsError extends Error {}
+
+/**
+ * Supports both `tx(callback)` and `tx(options, callback)`, same for `task`.
+ *
+ * @param {TransactionOptions|CancelOptions|DatabaseInterface_dbCallback} options
+ * @param {DatabaseInterface_dbCallback} [callback]
+ * @returns {[TransactionOptions|CancelOptions, DatabaseInterface_dbCallback]}
+ */
+function resolveTransactionArgs(options, callback) {
+    if (typeof options === 'function') {
+        return [{}, options];
+    }
+
+    return [options || {}, callback];
+}
+
+/**
+ * @param {TransactionOptions} options
+ * @returns {TransactionOptions}
+ */
+function normalizeTransactionOptions({ isolationLevel, readOnly, deferrable }) {
+    const normalized = {};
+
+    if (isolationLevel !== undefined) {
+        normalized.isolationLevel = isolationLevels[String(isolationLevel).toLowerCase()];
+        if (!normalized.isolationLevel) {
+            throw new TransactionOptionsError(`Unknown isolation level "${isolationLevel}".`);
+        }
+    }
+    if (readOnly !== undefined) {
+        normalized.readOnly = Boolean(readOnly);
+    }
+    if (deferrable !== undefined) {
+        normalized.deferrable = Boolean(deferrable);
+    }
+
+    return normalized;
+}
+
+/**
+ * @param {TransactionOptions} options normalized options
+ * @returns {{ begin: QueryConfig, commit: QueryConfig, rollback: QueryConfig }}
+ */
+function createTransactionQueries({ isolationLevel, readOnly, deferrable }) {
+    const modes = [];
+
+    if (isolationLevel !== undefined) {
+        modes.push(`ISOLATION LEVEL ${isolationLevel}`);
+    }
+    if (readOnly !== undefined) {
+        modes.push(readOnly ? 'READ ONLY' : 'READ WRITE');
+    }
+    if (deferrable !== undefined) {
+        modes.push(deferrable ? 'DEFERRABLE' : 'NOT DEFERRABLE');
+    }
+
+    if (modes.length === 0) {
+        return transactionQueries;
+    }
+
+    return {
+        ...transactionQueries,
+        begin: {
+            text: `BEGIN ${modes.join(' ')}`
+        }
+    };
+}
+
+class QueryResultError extends Error {
+    /**
+     * @param {string} message
+     * @param {QueryConfig} queryConfig
+     * @param {number} rowCount rows returned, or affected for {@link QueryResultRowCountError}
+     */
+    constructor(message, queryConfig, rowCount) {
+        super(message);
+        this.query = queryConfig;
+        this.rowCount = rowCount;
+    }
+}
+
+class QueryResultSomeError extends QueryResultError {
+    /**
+     * @param {QueryConfig} queryConfig
+     * @param {number} rowCount
+     */
+    constructor(queryConfig, rowCount) {
+        super('No return data was expected.', queryConfig, rowCount);
+    }
+}
+
+class QueryResultManyError extends QueryResultError {
+    /**
+     * @param {QueryConfig} queryConfig
+     * @param {number} rowCount
+     */
+    constructor(queryConfig, rowCount) {
+        super('Multiple rows were not expected.', queryConfig, rowCount);
+    }
+}
+
+class QueryResultNoneError extends QueryResultError {
+    /**
+     * @param {QueryConfig} queryConfig
+     */
+    constructor(queryConfig) {
+        super('No data returned from the query.', queryConfig, 0);
+    }
+}
+
+class QueryResultRowCountError extends QueryResultError {
+    /**
+     * @param {QueryConfig} queryConfig
+     * @param {number} rowCount
+     * @param {RowCountRange} range
+     */
+    constructor(queryConfig, rowCount, { min, max }) {
+        super(`Expected ${min === max ? min : `${min} to ${max}`} affected rows, got ${rowCount}.`, queryConfig, rowCount);
+        this.min = min;
+        this.max = max;
+    }
+}
+
+/**
+ * Rows of `queryConfig` after the database `rowMapper` and the per-call `map`.
+ * `query()` itself always returns the driver's result.
+ *
+ * @param {Queryable} db
+ * @param {QueryConfig} queryConfig
+ * @returns {Promise<Array<*>>}
+ */
+async function queryRows(db, queryConfig) {
+    const [pgQueryConfig, { map }] = splitOptions(queryConfig, ['map']);
+    const result = await db.query(pgQueryConfig);
+
+    return mapRows(result.rows, pgQueryConfig, db.rowMapper, map);
+}
+
+/**
+ * @type {DatabaseInterface_any}
+ * @this Queryable
+ */
+async function databaseAny(queryConfig) {
+    return queryRows(this, queryConfig);
+}
+
+/**
+ * @type {DatabaseInterface_none}
+ * @this Queryable
+ */
+async function databaseNone(queryConfig) {
+    const result = await this.query(queryConfig);
+    if (result.rows.length > 0) {
+        throw new QueryResultSomeError(queryConfig, result.rows.length);
+    }
+    return null;
+}
+
+/**
+ * @type {DatabaseInterface_one}
+ * @this Queryable
+ */
+async function databaseOne(queryConfig) {
+    const rows = await queryRows(this, queryConfig);
+    if (rows.length === 0) {
+        throw new QueryResultNoneError(queryConfig);
+    }
+    if (rows.length > 1) {
+        throw new QueryResultManyError(queryConfig, rows.length);
+    }
+    return rows[0];
+}
+
+/**
+ * @type {DatabaseInterface_oneOrNone}
+ * @this Queryable
+ */
+async function databaseOneOrNone(queryConfig) {
+    const rows = await queryRows(this, queryConfig);
+    if (rows.length > 1) {
+        throw new QueryResultManyError(queryConfig, rows.length);
+    }
+    if (rows.length === 1) {
+        return rows[0];
+    }
+    return null;
+}
+
+/**
+ * @type {DatabaseInterface_many}
+ * @this Queryable
+ */
+async function databaseMany(queryConfig) {
+    const rows = await queryRows(this, queryConfig);
+    if (rows.length === 0) {
+        throw new QueryResultNoneError(queryConfig);
+    }
+    return rows;
+}
+
+/**
+ * @type {DatabaseInterface_result}
+ * @this Queryable
+ */
+async function databaseResult(queryConfig, { rowCount: range } = {}) {
+    const result = await this.query(queryConfig);
+    if (range) {
+        const { min = 0, max = Infinity } = range;
+        // `rowCount` is null for statements that neither return nor affect rows
+        const rowCount = result.rowCount === null || result.rowCount === undefined ? result.rows.length : result.rowCount;
+        if (rowCount < min || rowCount > max) {
+            throw new QueryResultRowCountError(queryConfig, rowCount, { min, max });
+        }
+    }
+    return result;
+}
+
+/**
+ * @type {DatabaseInterface_affectsOne}
+ * @this Queryable
+ */
+async function databaseAffectsOne(queryConfig) {
+    return databaseResult.call(this, queryConfig, {
+        rowCount: {
+            min: 1,
+            max: 1
+        }
+    });
+}
+
+/**
+ * Inside a transaction the notification is delivered on commit.
+ *
+ * @type {DatabaseInterface_notify}
+ * @this Queryable
+ */
+async function databaseNotify(channel, payload) {
+    const text = payload === undefined || typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+    // reads like a SELECT, but hot standbys reject NOTIFY
+    await this.query({
+        text: 'SELECT pg_notify($1, $2)',
+        values: [channel, text === undefined ? null : text],
+        primary: true
+    });
+    return null;
+}
+
+/**
+ * @param {Function} cls
+ */
+function makeDatabase(cls) {
+    cls.prototype.any = databaseAny;
+    cls.prototype.manyOrNone = databaseAny;
+    cls.prototype.none = databaseNone;
+    cls.prototype.one = databaseOne;
+    cls.prototype.oneOrNone = databaseOneOrNone;
+    cls.prototype.many = databaseMany;
+    cls.prototype.result = databaseResult;
+    cls.prototype.affectsOne = databaseAffectsOne;
+    cls.prototype.notify = databaseNotify;
+}
+
+/**
+ * @param {DatabaseInterface} db
+ * @param {Object} queries
+ * @param {QueryConfig} queries.begin
+ * @param {QueryConfig} queries.commit
+ * @param {QueryConfig} queries.rollback
+ * @param {DatabaseInterface_dbCallback} callback
+ * @param {Object} [options]
+ * @param {boolean} [options.savepoint]
+ * @param {function(): Promise<void>} [options.onCommit] runs after the commit, before the `afterCommit` hooks
+ * @returns {Promise<*>}
+ */
+async function runTransaction(db, queries, callback, { savepoint = false, onCommit = noop } = {}) {
+    const context = {
+        db,
+        savepoint,
+        error: null
+    };
+    await runHooks(db.middlewares, 'beforeTransaction', context);
+    await db.query(queries.begin);
+
+    let result;
+    try {
+        result = await callback(db);
+        await db.query(queries.commit);
+    } catch (err) {
+        await db.query(queries.rollback);
+        context.error = err;
+        await runHooks(db.middlewares, 'afterRollback', context);
+
+        throw err;
+    }
+
+    await onCommit();
+    try {
+        await runHooks(db.middlewares, 'afterCommit', context);
+    } catch (err) {
+        // the transaction is committed, a failing hook does not fail it
+        db.logger.error('sql-hook-error', {
+            hook: 'afterCommit',
+            error: err
+        });
+    }
+
+    return result;
+}
+
+/**
+ * {@link runTransaction} for outermost transactions, counting each attempt's outcome
+ * and applying the cache invalidations of committed ones.
+ *
+ * @param {TransactionDatabase} db
+ * @param {Object} queries
+ * @param {DatabaseInterface_dbCallback} callback
+ * @returns {Promise<*>}
+ */
+async function runOutermostTransaction(db, queries, callback) {
+    try {
+        return await runTransaction(db, queries, callback, {
+            async onCommit() {
+                if (db.metrics) {
+                    db.metrics.observeTransaction('commit');
+                }
+                await invalidateCache(db, db.invalidations);
+            }
+        });
+    } catch (err) {
+        if (db.metrics) {
+            db.metrics.observeTransaction('rollback');
+        }
+
+        throw err;
+    }
+}
+
+class Database {
+    /**
+     * @param {Object} options
+     * @param {DatabasePoolInterface} options.pool
+     * @param {DatabaseLoggerInterface} options.logger
+     * @param {Function} [options.transactionDatabaseClass]
+     * @param {Function} [options.taskDatabaseClass]
+     * @param {RetryPolicy} [options.retry] retry policy for serialization failures and deadlocks in `tx`
+     * @param {CopyStreams} [options.copyStreams] defaults to `pg-copy-streams`
+     * @param {NotificationListenerOptions} [options.listen]
+     * @param {RowMapper} [options.rowMapper] applied to the rows of `any`, `one`, `oneOrNone` and `many`, e.g. `camelCase`
+     * @param {DatabaseTracerInterface} [options.tracer] creates spans for queries, tasks and transactions
+     * @param {DatabaseMetrics} [options.metrics] records query durations, errors and transaction outcomes
+     * @param {SlowQueryOptions} [options.slowQuery] logs `sql-slow` for queries slower than the threshold
+     * @param {Array<DatabaseMiddleware>} [options.middlewares] replaces the default `[loggingMiddleware]`
+     * @param {ReplicaOptions} [options.replicas] routes reads of `query`, `any`, `one`, etc. to replica pools,
+     * `pool` remains the primary for writes, transactions, tasks, streams, COPY and `listen`
+     * @param {AutoPrepareOptions|boolean} [options.autoPrepare] names parameterized queries after a hash of their text,
+     * so the server reuses their plans
+     * @param {CacheStoreInterface} [options.cacheStore] backs `cached`, defaults to a {@link MemoryCacheStore}
+     */
+    constructor({
+        pool,
+        logger,
+        transactionDatabaseClass = TransactionDatabase,
+        taskDatabaseClass = TaskDatabase,
+        retry,
+        copyStreams = pgCopyStreams,
+        listen,
+        rowMapper = null,
+        tracer = null,
+        metrics = null,
+        slowQuery,
+        middlewares = [loggingMiddleware],
+        replicas,
+        autoPrepare,
+        cacheStore = new MemoryCacheStore()
+    }) {
+        this.pool = pool;
+        this.logger = logger;
+        this.transactionDatabaseClass = transactionDatabaseClass;
+        this.taskDatabaseClass = taskDatabaseClass;
+        this.retryPolicy = createRetryPolicy(retry);
+        this.copyStreams = copyStreams;
+        this.listenOptions = listen;
+        this.notificationListener = null;
+        this.rowMapper = rowMapper;
+        this.tracer = tracer;
+        this.metrics = metrics;
+        this.slowQuery = normalizeSlowQueryOptions(slowQuery);
+        this.middlewares = middlewares.slice();
+        this.replicaRouter = createReplicaRouter(replicas, pool, logger);
+        this.preparedStatements = createPreparedStatementCache(autoPrepare);
+        this.cacheStore = cacheStore;
+    }
+
+    /**
+     * Reads in `callback` go to the primary for `replicas.stickyMs` after a
+     * write made in it, e.g. run each HTTP request in its own context.
+     *
+     * @param {function(): *} callback
+     * @returns {*} the result of `callback`
+     */
+    runInRequestContext(callback) {
+        return this.replicaRouter ? this.replicaRouter.runInContext(callback) : callback();
+    }
+
+    /**
+     * Drops every `listen` subscription and releases the connection they
+     * shared.
+     *
+     * @returns {Promise<void>}
+     */
+    async unlistenAll() {
+        const listener = this.notificationListener;
+        this.notificationListener = null;
+        if (listener) {
+            await listener.close();
+        }
+    }
+
+    /**
+     * Releases the `listen` connection and ends the primary and replica
+     * pools.
+     *
+     * @param {Object} [options] passed to each pool's `end`, e.g. `timeout`
+     * @returns {Promise<void>}
+     */
+    async end(options) {
+        await this.unlistenAll();
+
+        const pools = [this.pool];
+        if (this.replicaRouter) {
+            pools.push(...this.replicaRouter.replicas.map((replica) => replica.pool));
+        }
+        await Promise.all(pools.map((pool) => pool.end(options)));
+    }
+
+    /**
+     * Pings the primary and the replicas for readiness probes. Only the
+     * primary decides `healthy`, reads fall back to it when replicas fail.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.timeout] milliseconds per ping
+     * @returns {Promise<PoolHealth & { replicas?: Array<PoolHealth & { ejected: boolean }> }>} never rejects
+     */
+    async healthCheck(options) {
+        const replicas = this.replicaRouter ? this.replicaRouter.replicas : [];
+        const [primary, ...replicaHealth] = await Promise.all(
+            [this.pool, ...replicas.map(({ pool }) => pool)].map((pool) => checkPoolHealth(pool, options))
+        );
+        if (!this.replicaRouter) {
+            return primary;
+        }
+
+        const now = Date.now();
+        return {
+            ...primary,
+            replicas: replicaHealth.map((health, i) => ({
+                ...health,
+                ejected: replicas[i].ejectedUntil > now
+            }))
+        };
+    }
+
+    /**
+     * Runs `callback` with a role, search path and custom settings, e.g. for
+     * row-level security. In a transaction they are set locally; in a task
+     * they are set for the session and reset before the client is released.
+     *
+     * @param {SessionOptions} session
+     * @param {DatabaseInterface_dbCallback} callback
+     * @param {Object} [options]
+     * @param {boolean} [options.transaction]
+     * @returns {Promise<*>}
+     */
+    withSession(session, callback, { transaction = true } = {}) {
+        return transaction ? this.tx({ session }, callback) : this.task({ session }, callback);
+    }
+
+    /**
+     * Rows of `queryConfig`, like `any`, read through the cache store.
+     * Hits do not touch the pool; call `invalidate` with a tag after
+     * changing the data.
+     *
+     * @param {QueryConfig} queryConfig
+     * @param {CacheOptions} [options]
+     * @returns {Promise<Array<*>>}
+     */
+    cached(queryConfig, options = {}) {
+        return queryRows(this, {
+            ...queryConfig,
+            cache: options
+        });
+    }
+
+    /**
+     * @param {string|Array<string>} tags
+     * @returns {Promise<void>}
+     */
+    invalidate(tags) {
+        return invalidateCache(this, [].concat(tags));
+    }
+
+    /**
+     * Adds a middleware after the existing ones. Transactions and tasks use
+     * the middlewares of their database, including ones added later.
+     *
+     * @param {DatabaseMiddleware} middleware
+     * @returns {this}
+     */
+    use(middleware) {
+        this.middlewares.push(middleware);
+
+        return this;
+    }
+
+    /**
+     * @type {Queryable_query}
+     */
+    async query(queryConfig) {
+        return runQueryMiddleware(this, queryConfig, async (context) => {
+            const [splitQueryConfig, { cache: cacheOptions, primary, ...cancelOptions }] = splitOptions(context.queryConfig, queryOptionKeys);
+            const pinned = Boolean(primary);
+            const pgQueryConfig = compileNamedQuery(splitQueryConfig);
+            const statementName = resolveStatementName(this, pgQueryConfig);
+            const duration = {
+                query: 0,
+                client: 0,
+                total: 0
+            };
+            context.pgQueryConfig = pgQueryConfig;
+            context.duration = duration;
+
+            const cacheKey = cacheOptions ? createCacheKey(pgQueryConfig) : null;
+            if (cacheKey) {
+                const cachedResult = await readCache(this, cacheKey);
+                context.cache = cachedResult === undefined ? 'miss' : 'hit';
+                if (cachedResult !== undefined) {
+                    return cachedResult;
+                }
+            }
+
+            const { signal, clear } = createCancelSignal(cancelOptions);
+            const span = startQuerySpan(this.tracer, pgQueryConfig);
+            const totalStartTime = hrtime();
+            try {
+                const poolResult = await runCancellable(signal, () => usePool(this, pgQueryConfig, pinned, async (client, pool) => {
+                    if (signal && signal.aborted) {
+                        // given up while waiting, the client goes back without an error
+                        return null;
+                    }
+                    duration.client = nanosToMillis(hrtime() - totalStartTime);
+                    addPoolWaitEvent(span, duration.client);
+
+                    // awaited only when needed, an unprepared statement is sent in the same tick
+                    const preparedQueryConfig = statementName === null
+                        ? pgQueryConfig
+                        : await prepareStatement(this, client, pgQueryConfig, statementName);
+                    const queryStartTime = hrtime();
+                    const clientResult = await runCancellable(
+                        signal,
+                        () => runPreparedQuery(this, client, preparedQueryConfig, statementName),
+                        () => cancelBackend({ pool, logger: this.logger }, client)
+                    );
+                    duration.query = nanosToMillis(hrtime() - queryStartTime);
+
+                    return clientResult;
+                }, { signal }), () => {});
+
+                duration.total = nanosToMillis(hrtime() - totalStartTime);
+                endSpan(span);
+                observeQuery(this, pgQueryConfig, duration);
+                detectSlowQuery(this, pgQueryConfig, {
+                    query: createLogQuery(splitQueryConfig, pgQueryConfig),
+                    duration
+                });
+                if (cacheKey) {
+                    await writeCache(this, cacheKey, poolResult, cacheOptions);
+                }
+
+                return poolResult;
+            } catch (driverError) {
+                const err = wrapDatabaseError(driverError, splitQueryConfig);
+                err.parentStack = new Error().stack;
+
+                duration.total = nanosToMillis(hrtime() - totalStartTime);
+                if (err.waited !== undefined) {
+                    // no client was acquired, the whole call was spent waiting
+                    duration.client = err.waited;
+                }
+                endSpan(span, err);
+                observeQuery(this, pgQueryConfig, duration, err);
+
+                throw err;
+            } finally {
+                clear();
+            }
+        });
+    }
+
+    /**
+     * @type {DatabaseInterface_tx}
+     */
+    async tx(options, callback) {
+        [options, callback] = resolveTransactionArgs(options, callback);
+        const transactionOptions = normalizeTransactionOptions(options);
+        const queries = createTransactionQueries(transactionOptions);
+        const sessionCallback = createTransactionSessionCallback(createSessionQuery(options.session, true), callback);
+        const { signal, clear } = createCancelSignal(options);
+        const span = startScopeSpan(this.tracer, 'transaction');
+        const writes = createWrites();
+
+        try {
+            const result = await runWithRetry(createRetryPolicy(this.retryPolicy, options.retry), this.logger, () => {
+                const startTime = hrtime();
+                return this.pool.use((pgClient) => {
+                    addPoolWaitEvent(span, nanosToMillis(hrtime() - startTime));
+                    return runOutermostTransaction(
+                        new this.transactionDatabaseClass({
+                            pgClient,
+                            parentDatabase: this,
+                            transactionOptions,
+                            signal,
+                            span,
+                            session: options.session,
+                            writes
+                        }),
+                        queries,
+                        sessionCallback
+                    );
+                }, {
+                    priority: options.priority,
+                    signal
+                });
+            });
+            endSpan(span);
+
+            return result;
+        } catch (err) {
+            endSpan(span, err);
+
+            throw err;
+        } finally {
+            clear();
+            if (writes.written) {
+                markWrite(this);
+            }
+        }
+    }
+
+    /**
+     * @type {DatabaseInterface_task}
+     */
+    async task(options, callback) {
+        [options, callback] = resolveTransactionArgs(options, callback);
+        const sessionCallback = createTaskSessionCallback(createSessionQuery(options.session, false), callback);
+        const { signal, clear } = createCancelSignal(options);
+        const span = startScopeSpan(this.tracer, 'task');
+        const startTime = hrtime();
+        const writes = createWrites();
+
+        try {
+            const result = await this.pool.use(async (pgClient) => {
+                addPoolWaitEvent(span, nanosToMillis(hrtime() - startTime));
+                return sessionCallback(new this.taskDatabaseClass({
+                    pgClient,
+                    parentDatabase: this,
+                    signal,
+                    span,
+                    session: options.session,
+                    writes
+                }));
+            }, {
+                priority: options.priority,
+                signal
+            });
+            endSpan(span);
+
+            return result;
+        } catch (err) {
+            endSpan(span, err);
+
+            throw err;
+        } finally {
+            clear();
+            if (writes.written) {
+                markWrite(this);
+            }
+        }
+    }
+
+    /**
+     * Holds one pooled client in a transaction until the stream ends.
+     *
+     * @type {DatabaseInterface_stream}
+     */
+    stream(queryConfig, options) {
+        return createCursorStream((callback) => this.tx({ retry: false }, callback), queryConfig, options);
+    }
+
+    /**
+     * Several statements run in one transaction.
+     *
+     * @type {DatabaseInterface_insertMany}
+     */
+    async insertMany(table, rows, options) {
+        const queries = createInsertQueries(table, rows, options);
+        if (queries.length <= 1) {
+            return runInsertQueries(this, queries);
+        }
+
+        return this.tx((txDb) => runInsertQueries(txDb, queries));
+    }
+
+    /**
+     * Runs `callback` on one pooled client holding a session advisory lock.
+     *
+     * @type {DatabaseInterface_withAdvisoryLock}
+     */
+    withAdvisoryLock(key, callback, options) {
+        return this.task((db) => runWithAdvisoryLock(db, key, callback, options));
+    }
+
+    /**
+     * Runs `callback` on one pooled client if a session advisory lock is free.
+     *
+     * @type {DatabaseInterface_tryWithAdvisoryLock}
+     */
+    tryWithAdvisoryLock(key, callback, options) {
+        return this.task((db) => tryRunWithAdvisoryLock(db, key, callback, options));
+    }
+
+    /**
+     * Subscribes over one dedicated connection shared by all channels.
+     *
+     * @param {string} channel
+     * @param {NotificationHandler} handler
+     * @param {ListenOptions} [options]
+     * @returns {Promise<function(): Promise<void>>} unsubscribe
+     */
+    listen(channel, handler, options) {
+        if (!this.notificationListener) {
+            this.notificationListener = new NotificationListener({
+                ...this.listenOptions,
+                pool: this.pool,
+                logger: this.logger
+            });
+        }
+
+        return this.notificationListener.listen(channel, handler, options);
+    }
+
+    /**
+     * @type {DatabaseInterface_copyFrom}
+     */
+    async copyFrom(text, source) {
+        try {
+            return await databaseCopy(this, text, (pgClient, copyText) => runCopyFrom(pgClient, this.copyStreams, copyText, source));
+        } finally {
+            markWrite(this);
+        }
+    }
+
+    /**
+     * The pooled client is held until the returned stream has been consumed.
+     *
+     * @type {DatabaseInterface_copyTo}
+     */
+    copyTo(text) {
+        return createCopyOutput((output) => {
+            return databaseCopy(this, text, (pgClient, copyText) => runCopyTo(pgClient, this.copyStreams, copyText, output));
+        });
+    }
+}
+makeDatabase(Database);
+
+/**
+ * @type {Queryable_query}
+ * @this TransactionDatabase|TaskDatabase
+ */
+async function innerDatabaseQuery(queryConfig) {
+    return runQueryMiddleware(this, queryConfig, async (context) => {
+        // already on the primary, and transactions must see their own writes, so `primary` and `cache` are ignored
+        const [splitQueryConfig, queryOptions] = splitOptions(context.queryConfig, queryOptionKeys);
+        const pgQueryConfig = compileNamedQuery(splitQueryConfig);
+        const statementName = resolveStatementName(this, pgQueryConfig);
+        const duration = {
+            query: 0
+        };
+        context.pgQueryConfig = pgQueryConfig;
+        context.duration = duration;
+
+        const { signal, clear } = createCancelSignal(queryOptions, this.signal);
+        const span = startQuerySpan(this.tracer, pgQueryConfig, this.span);
+        const queryStartTime = hrtime();
+        try {
+            const preparedQueryConfig = statementName === null
+                ? pgQueryConfig
+                : await prepareStatement(this, this.pgClient, pgQueryConfig, statementName);
+            const result = await runCancellable(
+                signal,
+                () => runPreparedQuery(this, this.pgClient, preparedQueryConfig, statementName),
+                () => cancelBackend(this, this.pgClient)
+            );
+            duration.query = nanosToMillis(hrtime() - queryStartTime);
+            endSpan(span);
+            observeQuery(this, pgQueryConfig, duration);
+            detectSlowQuery(this, pgQueryConfig, {
+                query: createLogQuery(splitQueryConfig, pgQueryConfig),
+                duration
+            });
+            if (isWriteQuery(pgQueryConfig.text)) {
+                this.writes.written = true;
+            }
+
+            return result;
+        } catch (driverError) {
+            const err = wrapDatabaseError(driverError, splitQueryConfig);
+            err.parentStack = new Error().stack;
+
+            duration.query = nanosToMillis(hrtime() - queryStartTime);
+            endSpan(span, err);
+            observeQuery(this, pgQueryConfig, duration, err);
+
+            throw err;
+        } finally {
+            clear();
+        }
+    });
+}
+
+/**
+ * @type {DatabaseInterface_insertMany}
+ * @this TransactionDatabase|TaskDatabase
+ */
+async function innerDatabaseInsertMany(table, rows, options) {
+    return runInsertQueries(this, createInsertQueries(table, rows, options));
+}
+
+/**
+ * @type {DatabaseInterface_copyFrom}
+ * @this TransactionDatabase|TaskDatabase
+ */
+async function innerDatabaseCopyFrom(text, source) {
+    const result = await innerDatabaseCopy(this, text, (pgClient, copyText) => runCopyFrom(pgClient, this.copyStreams, copyText, source));
+    this.writes.written = true;
+
+    return result;
+}
+
+/**
+ * @type {DatabaseInterface_copyTo}
+ * @this TransactionDatabase|TaskDatabase
+ */
+function innerDatabaseCopyTo(text) {
+    return createCopyOutput((output) => {
+        return innerDatabaseCopy(this, text, (pgClient, copyText) => runCopyTo(pgClient, this.copyStreams, copyText, output));
+    });
+}
+
+/**
+ * @param {Function} cls
+ */
+function makeInnerDatabase(cls) {
+    cls.prototype.query = innerDatabaseQuery;
+    cls.prototype.insertMany = innerDatabaseInsertMany;
+    cls.prototype.copyFrom = innerDatabaseCopyFrom;
+    cls.prototype.copyTo = innerDatabaseCopyTo;
+}
+
+class TransactionDatabase {
+    /**
+     * @param {Object} options
+     * @param {PgClient} options.pgClient
+     * @param {Object} options.parentDatabase
+     * @param {DatabaseLoggerInterface} options.parentDatabase.logger
+     * @param {DatabasePoolInterface} options.parentDatabase.pool
+     * @param {CopyStreams} options.parentDatabase.copyStreams
+     * @param {RowMapper|null} options.parentDatabase.rowMapper
+     * @param {DatabaseTracerInterface|null} options.parentDatabase.tracer
+     * @param {DatabaseMetrics|null} options.parentDatabase.metrics
+     * @param {SlowQueryOptions|null} options.parentDatabase.slowQuery
+     * @param {Array<DatabaseMiddleware>} options.parentDatabase.middlewares
+     * @param {PreparedStatementCache|null} options.parentDatabase.preparedStatements
+     * @param {CacheStoreInterface} options.parentDatabase.cacheStore
+     * @param {TransactionOptions} [options.transactionOptions] normalized options of the outermost transaction
+     * @param {AbortSignal} [options.signal] cancels every statement of the transaction
+     * @param {DatabaseSpanInterface|null} [options.span] parent of the spans of every statement
+     * @param {SessionOptions|null} [options.session] settings applied by the outermost transaction, for logging
+     * @param {{written: boolean}} [options.writes] whether a statement modified data, defaults to the parent's
+     */
+    constructor({
+        pgClient,
+        parentDatabase,
+        transactionOptions = {},
+        signal,
+        span = null,
+        session = null,
+        writes = parentDatabase.writes || createWrites()
+    }) {
+        this.pgClient = pgClient;
+        this.pool = parentDatabase.pool;
+        this.logger = parentDatabase.logger;
+        this.copyStreams = parentDatabase.copyStreams;
+        this.rowMapper = parentDatabase.rowMapper;
+        this.tracer = parentDatabase.tracer;
+        this.metrics = parentDatabase.metrics;
+        this.slowQuery = parentDatabase.slowQuery;
+        this.middlewares = parentDatabase.middlewares;
+        this.preparedStatements = parentDatabase.preparedStatements;
+        this.cacheStore = parentDatabase.cacheStore;
+        this.transactionOptions = transactionOptions;
+        // savepoints share the list of their outermost transaction; a rolled back
+        // savepoint's invalidations still apply, which only costs cache misses
+        this.invalidations = parentDatabase.invalidations || [];
+        this.signal = signal;
+        this.span = span;
+        this.session = session;
+        this.writes = writes;
     }
 
     /**
+     * Savepoints share the outermost transaction's characteristics, so only
+     * options matching it are accepted.
+     *
      * @type {DatabaseInterface_tx}
      */
-    async tx(callback) {
-        return runTransaction(
-            new this.transactionDatabaseClass({
-                pgClient: this.pgClient,
-                parentDatabase: this
+    async tx(options, callback) {
+        [options, callback] = resolveTransactionArgs(options, callback);
+        if (options.retry !== undefined) {
+            throw new TransactionOptionsError('Nested transactions cannot be retried, set retry on the outermost transaction.');
+        }
+        if (options.timeout !== undefined || options.signal !== undefined) {
+            throw new TransactionOptionsError('Nested transactions cannot set timeout or signal, set them on the outermost transaction.');
+        }
+        if (options.session !== undefined) {
+            throw new TransactionOptionsError('Nested transactions cannot set session, set it on the outermost transaction.');
+        }
+
+        const transactionOptions = normalizeTransactionOptions(options);
+        for (const [key, value] of Object.entries(transactionOptions)) {
+            const outerValue = this.transactionOptions[key];
+            if (outerValue !== value) {
+                throw new TransactionOptionsError(
+                    `Nested transaction cannot set ${key} to ${value}, the outer transaction uses ${outerValue === undefined ? 'the default' : outerValue}.`
+                );
+            }
+        }
+
+        const savepointName = createSavepointName();
+        const span = startScopeSpan(this.tracer, 'savepoint', this.span);
+        // a traced savepoint gets its own database, its statements become children of its span
+        const db = span ? new this.constructor({
+            pgClient: this.pgClient,
+            parentDatabase: this,
+            transactionOptions: this.transactionOptions,
+            signal: this.signal,
+            span,
+            session: this.session
+        }) : this;
+
+        try {
+            const result = await runTransaction(
+                db,
+                {
+                    begin: {
+                        text: `SAVEPOINT ${savepointName}`
+                    },
+                    commit: {
+                        text: `RELEASE SAVEPOINT ${savepointName}`
+                    },
+                    rollback: {
+                        text: `ROLLBACK TO SAVEPOINT ${savepointName}`,
+                        signal: null
+                    }
+                },
+                callback,
+                {
+                    savepoint: true
+                }
+            );
+            endSpan(span);
+
+            return result;
+        } catch (err) {
+            endSpan(span, err);
+
+            throw err;
+        }
+    }
+
+    /**
+     * @type {DatabaseInterface_task}
+     */
+    async task(callback) {
+        return callback(this);
+    }
+
+    /**
+     * The stream must be consumed before the transaction ends.
+     *
+     * @type {DatabaseInterface_stream}
+     */
+    stream(queryConfig, options) {
+        return createCursorStream((callback) => callback(this), queryConfig, options);
+    }
+
+    /**
+     * Waits for an advisory lock that is released when the outermost
+     * transaction ends.
+     *
+     * @param {AdvisoryLockKey} key
+     * @param {Object} [options]
+     * @param {boolean} [options.shared]
+     * @returns {Promise<null>}
+     */
+    async advisoryXactLock(key, { shared = false } = {}) {
+        await this.one({
+            ...advisoryLockQuery('xact_lock', key, {
+                try: false,
+                shared
             }),
-            transactionQueries,
-            callback
-        );
+            map: false
+        });
+
+        return null;
+    }
+
+    /**
+     * @param {AdvisoryLockKey} key
+     * @param {Object} [options]
+     * @param {boolean} [options.shared]
+     * @returns {Promise<boolean>} `false` when another session holds the lock
+     */
+    async tryAdvisoryXactLock(key, { shared = false } = {}) {
+        const { result } = await this.one({
+            ...advisoryLockQuery('xact_lock', key, {
+                try: true,
+                shared
+            }),
+            map: false
+        });
+
+        return result;
+    }
+
+    /**
+     * Deferred until the outermost transaction commits, and dropped if it
+     * rolls back. Reads racing the commit may still cache a stale result
+     * until its `ttl` expires.
+     *
+     * @param {string|Array<string>} tags
+     * @returns {Promise<void>}
+     */
+    async invalidate(tags) {
+        this.invalidations.push(...[].concat(tags));
+    }
+}
+makeInnerDatabase(TransactionDatabase);
+makeDatabase(TransactionDatabase);
+
+class TaskDatabase {
+    /**
+     * @param {Object} options
+     * @param {PgClient} options.pgClient
+     * @param {Object} options.parentDatabase
+     * @param {DatabaseLoggerInterface} options.parentDatabase.logger
+     * @param {Function} options.parentDatabase.transactionDatabaseClass
+     * @param {RetryPolicy} options.parentDatabase.retryPolicy
+     * @param {DatabasePoolInterface} options.parentDatabase.pool
+     * @param {CopyStreams} options.parentDatabase.copyStreams
+     * @param {RowMapper|null} options.parentDatabase.rowMapper
+     * @param {DatabaseTracerInterface|null} options.parentDatabase.tracer
+     * @param {DatabaseMetrics|null} options.parentDatabase.metrics
+     * @param {SlowQueryOptions|null} options.parentDatabase.slowQuery
+     * @param {Array<DatabaseMiddleware>} options.parentDatabase.middlewares
+     * @param {PreparedStatementCache|null} options.parentDatabase.preparedStatements
+     * @param {CacheStoreInterface} options.parentDatabase.cacheStore
+     * @param {AbortSignal} [options.signal] cancels every statement of the task
+     * @param {DatabaseSpanInterface|null} [options.span] parent of the spans of every statement and transaction
+     * @param {SessionOptions|null} [options.session] settings applied by the task, for logging
+     * @param {{written: boolean}} [options.writes] whether a statement modified data
+     */
+    constructor({
+        pgClient,
+        parentDatabase,
+        signal,
+        span = null,
+        session = null,
+        writes = parentDatabase.writes || createWrites()
+    }) {
+        this.pgClient = pgClient;
+        this.pool = parentDatabase.pool;
+        this.logger = parentDatabase.logger;
+        this.copyStreams = parentDatabase.copyStreams;
+        this.rowMapper = parentDatabase.rowMapper;
+        this.tracer = parentDatabase.tracer;
+        this.metrics = parentDatabase.metrics;
+        this.slowQuery = parentDatabase.slowQuery;
+        this.middlewares = parentDatabase.middlewares;
+        this.preparedStatements = parentDatabase.preparedStatements;
+        this.cacheStore = parentDatabase.cacheStore;
+        this.signal = signal;
+        this.span = span;
+        this.session = session;
+        this.writes = writes;
+        this.transactionDatabaseClass = parentDatabase.transactionDatabaseClass;
+        this.retryPolicy = parentDatabase.retryPolicy;
+    }
+
+    /**
+     * @type {DatabaseInterface_tx}
+     */
+    async tx(options, callback) {
+        [options, callback] = resolveTransactionArgs(options, callback);
+        const transactionOptions = normalizeTransactionOptions(options);
+        const queries = createTransactionQueries(transactionOptions);
+        const sessionCallback = createTransactionSessionCallback(createSessionQuery(options.session, true), callback);
+        const { signal, clear } = createCancelSignal(options, this.signal);
+        const span = startScopeSpan(this.tracer, 'transaction', this.span);
+
+        try {
+            const result = await runWithRetry(createRetryPolicy(this.retryPolicy, options.retry), this.logger, () => {
+                return runOutermostTransaction(
+                    new this.transactionDatabaseClass({
+                        pgClient: this.pgClient,
+                        parentDatabase: this,
+                        transactionOptions,
+                        signal,
+                        span,
+                        session: options.session || this.session
+                    }),
+                    queries,
+                    sessionCallback
+                );
+            });
+            endSpan(span);
+
+            return result;
+        } catch (err) {
+            endSpan(span, err);
+
+            throw err;
+        } finally {
+            clear();
+        }
     }
 
     /**
@@ -517,6 +2115,39 @@ class TaskDatabase {
     async task(callback) {
         return callback(this);
     }
+
+    /**
+     * @type {DatabaseInterface_stream}
+     */
+    stream(queryConfig, options) {
+        return createCursorStream((callback) => this.tx({ retry: false }, callback), queryConfig, options);
+    }
+
+    /**
+     * Holds a session advisory lock on this task's client while `callback` runs.
+     *
+     * @type {DatabaseInterface_withAdvisoryLock}
+     */
+    withAdvisoryLock(key, callback, options) {
+        return runWithAdvisoryLock(this, key, callback, options);
+    }
+
+    /**
+     * Runs `callback` if a session advisory lock on this task's client is free.
+     *
+     * @type {DatabaseInterface_tryWithAdvisoryLock}
+     */
+    tryWithAdvisoryLock(key, callback, options) {
+        return tryRunWithAdvisoryLock(this, key, callback, options);
+    }
+
+    /**
+     * @param {string|Array<string>} tags
+     * @returns {Promise<void>}
+     */
+    invalidate(tags) {
+        return invalidateCache(this, [].concat(tags));
+    }
 }
 makeInnerDatabase(TaskDatabase);
 makeDatabase(TaskDatabase);
@@ -525,5 +2156,15 @@ module.exports = {
     Database,
     DatabasePool,
     TransactionDatabase,
-    TaskDatabase
+    TaskDatabase,
+    TransactionOptionsError,
+    QueryResultError,
+    QueryResultSomeError,
+    QueryResultManyError,
+    QueryResultNoneError,
+    QueryResultRowCountError,
+    PoolClosedError,
+    PoolEndTimeoutError,
+    PoolAcquireTimeoutError,
+    PoolQueueFullError
 };
\ No newline at end of file
@@ -2,8 +2,21 @@ const {
     Database,
     DatabasePool,
     TransactionDatabase,
-    TaskDatabase
+    TaskDatabase,
+    TransactionOptionsError,
+    QueryResultError,
+    QueryResultSomeError,
+    QueryResultManyError,
+    QueryResultNoneError,
+    QueryResultRowCountError,
+    PoolClosedError,
+    PoolEndTimeoutError,
+    PoolAcquireTimeoutError,
+    PoolQueueFullError
 } = require('./database');
+const { sql } = require('./sql');
+const { QueryTimeoutError, QueryAbortedError } = require('./cancel');
+const { FakePool, createFakeDatabase } = require('./testing');
 
 function createQueryResult(length) {
     const rows = [];
@@ -29,24 +42,39 @@ function createPool(client) {
 const testErrorMessage = 'test';
 
 function createRowPool(rowsLength) {
-    const client = {
-        async query(queryConfig) {
-            if (queryConfig.text === 'error') {
-                throw new Error(testErrorMessage);
+    return new FakePool()
+        .respond(() => true, () => createQueryResult(rowsLength))
+        .respond('error', { error: new Error(testErrorMessage) });
+}
+
+function createCountingPgPool({ connectDelay = 0 } = {}) {
+    const queries = [];
+
+    return {
+        queries,
+        ended: false,
+        totalCount: 2,
+        idleCount: 1,
+        waitingCount: 0,
+        async connect() {
+            if (connectDelay > 0) {
+                await new Promise((resolve) => setTimeout(resolve, connectDelay));
             }
 
-            return createQueryResult(rowsLength);
+            return {
+                async query(queryConfig) {
+                    queries.push(queryConfig.text);
+                    return { rows: [] };
+                },
+                release() {}
+            };
+        },
+        async end() {
+            this.ended = true;
         }
     };
-
-    return createPool(client);
 }
 
-const fakeLogger = {
-    debug() {},
-    error() {}
-};
-
 const fakeQuery = {
     text: 'select 1',
     values: [1, 2, 3]
@@ -56,16 +84,13 @@ const errorQuery = {
     text: 'error'
 };
 
-const zeroRowDb = new Database({
-    logger: fakeLogger,
+const zeroRowDb = createFakeDatabase({
     pool: createRowPool(0)
 });
-const oneRowDb = new Database({
-    logger: fakeLogger,
+const oneRowDb = createFakeDatabase({
     pool: createRowPool(1)
 });
-const twoRowDb = new Database({
-    logger: fakeLogger,
+const twoRowDb = createFakeDatabase({
     pool: createRowPool(2)
 });
 
@@ -73,22 +98,10 @@ const queryable = expect.objectContaining({
     query: expect.any(Function)
 });
 
-function createHistoryDb() {
-    const history = [];
-
-    const client = {
-        async query(queryConfig) {
-            history.push(queryConfig.text);
-
-            return createQueryResult(0);
-        }
-    };
-
-    const db = new Database({
-        logger: fakeLogger,
-        pool: createPool(client)
-    });
-    db.history = history;
+function createSlowDb() {
+    const db = createFakeDatabase();
+    // answered only once cancelled
+    db.pool.respond('slow', { latency: 1000 });
 
     return db;
 }
@@ -155,6 +168,117 @@ describe('database', () => {
         expect(twoResult.length).toBe(2);
     });
 
+    test('result errors', async () => {
+        const someError = await twoRowDb.none(fakeQuery).catch((err) => err);
+        expect(someError).toBeInstanceOf(QueryResultSomeError);
+        expect(someError).toBeInstanceOf(QueryResultError);
+        expect(someError.query).toBe(fakeQuery);
+        expect(someError.rowCount).toBe(2);
+
+        const manyError = await twoRowDb.oneOrNone(fakeQuery).catch((err) => err);
+        expect(manyError).toBeInstanceOf(QueryResultManyError);
+        expect(manyError.rowCount).toBe(2);
+
+        const noneError = await zeroRowDb.many(fakeQuery).catch((err) => err);
+        expect(noneError).toBeInstanceOf(QueryResultNoneError);
+        expect(noneError.query).toBe(fakeQuery);
+        expect(noneError.rowCount).toBe(0);
+    });
+
+    test('affected rows', async () => {
+        const createAffectedDb = (rowCount) => createFakeDatabase({
+            pool: createPool({
+                async query() {
+                    return {
+                        rows: [],
+                        rowCount
+                    };
+                }
+            })
+        });
+        const updateQuery = {
+            text: 'update'
+        };
+
+        const result = await createAffectedDb(1).affectsOne(updateQuery);
+        expect(result.rowCount).toBe(1);
+
+        const zeroError = await createAffectedDb(0).affectsOne(updateQuery).catch((err) => err);
+        expect(zeroError).toBeInstanceOf(QueryResultRowCountError);
+        expect(zeroError.message).toBe('Expected 1 affected rows, got 0.');
+        expect(zeroError).toEqual(expect.objectContaining({
+            query: updateQuery,
+            rowCount: 0,
+            min: 1,
+            max: 1
+        }));
+
+        await expect(createAffectedDb(3).result(updateQuery, { rowCount: { min: 1, max: 2 } })).rejects.toThrow('Expected 1 to 2 affected rows, got 3.');
+        await expect(createAffectedDb(3).result(updateQuery, { rowCount: { max: 2 } })).rejects.toThrow(QueryResultRowCountError);
+        expect((await createAffectedDb(3).result(updateQuery, { rowCount: { min: 1 } })).rowCount).toBe(3);
+        expect((await createAffectedDb(5).result(updateQuery)).rowCount).toBe(5);
+
+        expect((await twoRowDb.result(fakeQuery, { rowCount: { min: 2, max: 2 } })).rows.length).toBe(2);
+        expect(await oneRowDb.tx((txDb) => txDb.affectsOne(fakeQuery))).toEqual(expect.objectContaining({ rows: [{ value: 0 }] }));
+    });
+
+    test('sql template', async () => {
+        let received;
+        const db = createFakeDatabase({
+            pool: createPool({
+                async query(queryConfig) {
+                    received = queryConfig;
+                    return createQueryResult(1);
+                }
+            })
+        });
+
+        const row = await db.one(sql`select * from users where id = ${1} and ${sql`org = ${'a'}`}`);
+        expect(row).toEqual(expect.anything());
+        expect(received.text).toBe('select * from users where id = $1 and org = $2');
+        expect(received.values).toEqual([1, 'a']);
+    });
+
+    test('named parameters', async () => {
+        let received;
+        let debugData;
+        const db = new Database({
+            logger: {
+                debug(message, data) {
+                    debugData = data;
+                },
+                error() {}
+            },
+            pool: createPool({
+                async query(queryConfig) {
+                    received = queryConfig;
+                    return createQueryResult(1);
+                }
+            })
+        });
+        const namedQuery = {
+            text: 'select * from users where id = :id and org = :org',
+            params: {
+                id: 1,
+                org: 'a'
+            }
+        };
+
+        await db.one(namedQuery);
+        expect(received).toEqual({
+            text: 'select * from users where id = $1 and org = $2',
+            values: [1, 'a']
+        });
+        expect(debugData.query.text).toBe(received.text);
+        expect(debugData.query.named).toEqual(namedQuery);
+
+        await db.tx(async (txDb) => {
+            await txDb.one(namedQuery);
+            expect(received.text).toBe('select * from users where id = $1 and org = $2');
+            expect(debugData.query.named).toEqual(namedQuery);
+        });
+    });
+
     test('logger', async () => {
         let debugMessage;
         let debugData;
@@ -190,7 +314,7 @@ describe('database', () => {
 
 describe('transaction', () => {
     test('queryable', async () => {
-        const db = createHistoryDb();
+        const db = createFakeDatabase();
         await db.tx(async (txDb) => {
             expect(txDb).toEqual(queryable);
 
@@ -205,18 +329,18 @@ describe('transaction', () => {
     });
 
     test('success', async () => {
-        const db = createHistoryDb();
+        const db = createFakeDatabase();
         await db.tx(async (txDb) => {
             await txDb.query(fakeQuery);
         });
 
-        expect(db.history[0]).toBe('BEGIN');
-        expect(db.history[1]).toBe(fakeQuery.text);
-        expect(db.history[2]).toBe('COMMIT');
+        expect(db.pool.texts()[0]).toBe('BEGIN');
+        expect(db.pool.texts()[1]).toBe(fakeQuery.text);
+        expect(db.pool.texts()[2]).toBe('COMMIT');
     });
 
     test('fail', async () => {
-        const db = createHistoryDb();
+        const db = createFakeDatabase();
 
         await expect(
             db.tx(async (txDb) => {
@@ -226,28 +350,28 @@ describe('transaction', () => {
             })
         ).rejects.toThrow(testErrorMessage);
 
-        expect(db.history[0]).toBe('BEGIN');
-        expect(db.history[1]).toBe(fakeQuery.text);
-        expect(db.history[2]).toBe('ROLLBACK');
+        expect(db.pool.texts()[0]).toBe('BEGIN');
+        expect(db.pool.texts()[1]).toBe(fakeQuery.text);
+        expect(db.pool.texts()[2]).toBe('ROLLBACK');
     });
 
     test('savepoint success', async () => {
-        const db = createHistoryDb();
+        const db = createFakeDatabase();
         await db.tx(async (txDb) => {
             await txDb.tx(async (spDb) => {
                 await spDb.query(fakeQuery);
             });
         });
 
-        expect(db.history[0]).toBe('BEGIN');
-        expect(db.history[1]).toMatch(savepointBeginRe);
-        expect(db.history[2]).toBe(fakeQuery.text);
-        expect(db.history[3]).toMatch(savepointCommitRe);
-        expect(db.history[4]).toBe('COMMIT');
+        expect(db.pool.texts()[0]).toBe('BEGIN');
+        expect(db.pool.texts()[1]).toMatch(savepointBeginRe);
+        expect(db.pool.texts()[2]).toBe(fakeQuery.text);
+        expect(db.pool.texts()[3]).toMatch(savepointCommitRe);
+        expect(db.pool.texts()[4]).toBe('COMMIT');
     });
 
     test('savepoint fail', async () => {
-        const db = createHistoryDb();
+        const db = createFakeDatabase();
         await db.tx(async (txDb) => {
             await expect(
                 txDb.tx(async (spDb) => {
@@ -258,11 +382,133 @@ describe('transaction', () => {
             ).rejects.toThrow(testErrorMessage);
         });
 
-        expect(db.history[0]).toBe('BEGIN');
-        expect(db.history[1]).toMatch(savepointBeginRe);
-        expect(db.history[2]).toBe(fakeQuery.text);
-        expect(db.history[3]).toMatch(savepointRollbackRe);
-        expect(db.history[4]).toBe('COMMIT');
+        expect(db.pool.texts()[0]).toBe('BEGIN');
+        expect(db.pool.texts()[1]).toMatch(savepointBeginRe);
+        expect(db.pool.texts()[2]).toBe(fakeQuery.text);
+        expect(db.pool.texts()[3]).toMatch(savepointRollbackRe);
+        expect(db.pool.texts()[4]).toBe('COMMIT');
+    });
+
+    test('options', async () => {
+        const db = createFakeDatabase();
+        await db.tx({
+            isolationLevel: 'serializable',
+            readOnly: true,
+            deferrable: true
+        }, async (txDb) => {
+            await txDb.query(fakeQuery);
+        });
+        await db.tx({
+            isolationLevel: 'Repeatable Read',
+            readOnly: false,
+            deferrable: false
+        }, () => {});
+        await db.tx({}, () => {});
+
+        expect(db.pool.texts()[0]).toBe('BEGIN ISOLATION LEVEL SERIALIZABLE READ ONLY DEFERRABLE');
+        expect(db.pool.texts()[1]).toBe(fakeQuery.text);
+        expect(db.pool.texts()[2]).toBe('COMMIT');
+        expect(db.pool.texts()[3]).toBe('BEGIN ISOLATION LEVEL REPEATABLE READ READ WRITE NOT DEFERRABLE');
+        expect(db.pool.texts()[5]).toBe('BEGIN');
+    });
+
+    test('task options', async () => {
+        const db = createFakeDatabase();
+        await db.task(async (taskDb) => {
+            await taskDb.tx({ isolationLevel: 'read committed' }, () => {});
+        });
+
+        expect(db.pool.texts()[0]).toBe('BEGIN ISOLATION LEVEL READ COMMITTED');
+    });
+
+    test('invalid options', async () => {
+        const db = createFakeDatabase();
+
+        await expect(db.tx({ isolationLevel: 'snapshot' }, () => {})).rejects.toThrow(TransactionOptionsError);
+        expect(db.pool.texts().length).toBe(0);
+    });
+
+    test('savepoint options', async () => {
+        const db = createFakeDatabase();
+        await db.tx({ isolationLevel: 'serializable' }, async (txDb) => {
+            await txDb.tx({ isolationLevel: 'serializable' }, () => {});
+            await txDb.tx(null, () => {});
+
+            await expect(txDb.tx({ isolationLevel: 'read committed' }, () => {})).rejects.toThrow(TransactionOptionsError);
+            await expect(txDb.tx({ readOnly: true }, () => {})).rejects.toThrow('the default');
+        });
+
+        expect(db.pool.texts()[0]).toBe('BEGIN ISOLATION LEVEL SERIALIZABLE');
+        expect(db.pool.texts()[1]).toMatch(savepointBeginRe);
+        expect(db.pool.texts()[2]).toMatch(savepointCommitRe);
+        expect(db.pool.texts()[3]).toMatch(savepointBeginRe);
+        expect(db.pool.texts()[4]).toMatch(savepointCommitRe);
+        expect(db.pool.texts()[5]).toBe('COMMIT');
+    });
+
+    test('retry', async () => {
+        const history = [];
+        let failures = 2;
+        const client = {
+            async query(queryConfig) {
+                history.push(queryConfig.text);
+                if (queryConfig.text === 'COMMIT' && failures > 0) {
+                    failures--;
+                    const err = new Error('could not serialize access');
+                    err.code = '40001';
+                    throw err;
+                }
+
+                return createQueryResult(0);
+            }
+        };
+        const db = createFakeDatabase({
+            pool: createPool(client),
+            retry: {
+                maxAttempts: 3,
+                baseDelay: 0
+            }
+        });
+
+        let calls = 0;
+        const result = await db.tx({ isolationLevel: 'serializable' }, async (txDb) => {
+            calls++;
+            await txDb.query(fakeQuery);
+            return calls;
+        });
+
+        expect(result).toBe(3);
+        expect(history.filter((text) => text === 'BEGIN ISOLATION LEVEL SERIALIZABLE').length).toBe(3);
+        expect(history.filter((text) => text === 'ROLLBACK').length).toBe(2);
+
+        failures = 1;
+        await expect(db.tx({ retry: false }, () => {})).rejects.toThrow('could not serialize access');
+
+        failures = 1;
+        await db.task(async (taskDb) => {
+            expect(await taskDb.tx(() => 'done')).toBe('done');
+        });
+        expect(failures).toBe(0);
+    });
+
+    test('retry true enables retries per call', async () => {
+        const db = createFakeDatabase();
+        db.pool.fail('COMMIT', '40001', { once: true });
+        await expect(db.tx(() => {})).rejects.toMatchObject({ code: '40001' });
+
+        db.pool.fail('COMMIT', '40001', { once: true });
+        await db.tx({ retry: true }, () => {});
+
+        expect(db.pool.transactions().map(({ status }) => status)).toEqual(['rolled back', 'rolled back', 'committed']);
+    });
+
+    test('savepoints are not retried', async () => {
+        const db = createFakeDatabase();
+        await db.tx(async (txDb) => {
+            await expect(txDb.tx({ retry: { maxAttempts: 3 } }, () => {})).rejects.toThrow(TransactionOptionsError);
+        });
+
+        expect(db.pool.texts()).toEqual(['BEGIN', 'COMMIT']);
     });
 
     test('logger', async () => {
@@ -298,9 +544,191 @@ describe('transaction', () => {
     });
 });
 
+describe('cancellation', () => {
+    test('query timeout', async () => {
+        const db = createSlowDb();
+
+        await expect(db.query({ text: 'slow', timeout: 1 })).rejects.toThrow(QueryTimeoutError);
+        await new Promise(setImmediate);
+
+        expect(db.pool.texts()).toEqual(['slow', 'SELECT pg_cancel_backend($1)']);
+        expect(db.pool.released).toContainEqual(expect.any(QueryTimeoutError));
+    });
+
+    test('cancels outside of the pool slots', async () => {
+        const cancelClients = [];
+        let rejectSlow;
+        const pgPool = {
+            options: { max: 1, connectionString: 'postgres://localhost/app' },
+            Client: class {
+                constructor(options) {
+                    this.options = options;
+                    this.history = [];
+                    this.ended = false;
+                    cancelClients.push(this);
+                }
+
+                on() {}
+
+                async connect() {}
+
+                async query(queryConfig) {
+                    this.history.push([queryConfig.text, queryConfig.values]);
+                    rejectSlow(Object.assign(new Error('canceling statement due to user request'), { code: '57014' }));
+                    return createQueryResult(0);
+                }
+
+                async end() {
+                    this.ended = true;
+                }
+            },
+            async connect() {
+                return {
+                    processID: 7,
+                    query: () => new Promise((resolve, reject) => {
+                        rejectSlow = reject;
+                    }),
+                    release() {}
+                };
+            }
+        };
+        const db = createFakeDatabase({
+            pool: new DatabasePool({ pgPool })
+        });
+
+        await expect(db.query({ text: 'slow', timeout: 1 })).rejects.toThrow(QueryTimeoutError);
+        await new Promise(setImmediate);
+
+        expect(cancelClients.map(({ options, history, ended }) => ({ options, history, ended }))).toEqual([{
+            options: {
+                max: 1,
+                connectionString: 'postgres://localhost/app',
+                connectionTimeoutMillis: 5000,
+                query_timeout: 5000
+            },
+            history: [['SELECT pg_cancel_backend($1)', [7]]],
+            ended: true
+        }]);
+        expect(db.pool.stats().active).toBe(0);
+    });
+
+    test('cancels ahead of waiting callers without a client constructor', async () => {
+        const pool = new DatabasePool({ pgPool: createCountingPgPool() });
+        const use = jest.spyOn(pool, 'use');
+
+        await pool.cancel(7);
+
+        expect(use).toHaveBeenCalledWith(expect.any(Function), { priority: Infinity });
+        expect(pool.pgPool.queries).toEqual(['SELECT pg_cancel_backend($1)']);
+    });
+
+    test('clients handed over after the timeout go back without an error', async () => {
+        const released = [];
+        const db = createFakeDatabase({
+            pool: {
+                async use(callback) {
+                    await new Promise((resolve) => setTimeout(resolve, 20));
+                    try {
+                        await callback({ query: async () => createQueryResult(0) });
+                        released.push('ok');
+                    } catch (err) {
+                        released.push(err);
+                    }
+                }
+            }
+        });
+
+        await expect(db.query({ text: 'select 1', timeout: 1 })).rejects.toThrow(QueryTimeoutError);
+        await new Promise((resolve) => setTimeout(resolve, 30));
+
+        expect(released).toEqual(['ok']);
+    });
+
+    test('query signal', async () => {
+        const db = createSlowDb();
+        const controller = new AbortController();
+
+        const pending = db.query({ text: 'slow', signal: controller.signal });
+        controller.abort();
+        await expect(pending).rejects.toThrow(QueryAbortedError);
+
+        const aborted = new AbortController();
+        aborted.abort();
+        await expect(db.query({ text: 'select 1', signal: aborted.signal })).rejects.toThrow(QueryAbortedError);
+        expect(db.pool.texts()).toEqual(['slow', 'SELECT pg_cancel_backend($1)']);
+    });
+
+    test('transaction timeout', async () => {
+        const db = createSlowDb();
+
+        await expect(db.tx({ timeout: 1 }, async (txDb) => {
+            await txDb.query(fakeQuery);
+            await txDb.query({ text: 'slow' });
+        })).rejects.toThrow(QueryTimeoutError);
+        await new Promise(setImmediate);
+
+        expect(db.pool.texts()).toEqual(['BEGIN', fakeQuery.text, 'slow', 'SELECT pg_cancel_backend($1)', 'ROLLBACK']);
+        expect(db.pool.released.pop()).toBeInstanceOf(QueryTimeoutError);
+    });
+
+    test('task signal', async () => {
+        const db = createSlowDb();
+        const controller = new AbortController();
+
+        await expect(db.task({ signal: controller.signal }, async (taskDb) => {
+            await taskDb.tx({ timeout: 1000 }, async (txDb) => {
+                await txDb.query(fakeQuery);
+            });
+
+            const pending = taskDb.query({ text: 'slow' });
+            controller.abort();
+            await pending;
+        })).rejects.toThrow(QueryAbortedError);
+
+        expect(db.pool.texts()).toEqual(['BEGIN', fakeQuery.text, 'COMMIT', 'slow', 'SELECT pg_cancel_backend($1)']);
+    });
+
+    test('savepoints reject cancel options', async () => {
+        const db = createFakeDatabase();
+        await db.tx(async (txDb) => {
+            await expect(txDb.tx({ timeout: 1 }, () => {})).rejects.toThrow(TransactionOptionsError);
+        });
+    });
+
+    test('cancel failure is logged', async () => {
+        const client = {
+            processID: 1,
+            query(queryConfig) {
+                if (queryConfig.text === 'slow') {
+                    return new Promise(() => {});
+                }
+                return Promise.reject(new Error(testErrorMessage));
+            }
+        };
+        const db = createFakeDatabase({
+            pool: createPool(client)
+        });
+
+        await expect(db.query({ text: 'slow', timeout: 1 })).rejects.toThrow(QueryTimeoutError);
+        await new Promise(setImmediate);
+        expect(db.logger.logs.map(([message]) => message)).toContain('sql-cancel-error');
+    });
+
+    test('clients without pid are not cancelled', async () => {
+        const db = createSlowDb();
+        db.pool = createPool({
+            query() {
+                return new Promise(() => {});
+            }
+        });
+
+        await expect(db.query({ text: 'slow', timeout: 1 })).rejects.toThrow(QueryTimeoutError);
+    });
+});
+
 describe('task', () => {
     test('queryable', async () => {
-        const db = createHistoryDb();
+        const db = createFakeDatabase();
         await db.task(async (taskDb) => {
             expect(taskDb).toEqual(queryable);
 
@@ -320,8 +748,7 @@ class CustomTaskDatabase extends TaskDatabase {}
 
 describe('customization', () => {
     test('transaction instance', async () => {
-        const db = new Database({
-            logger: fakeLogger,
+        const db = createFakeDatabase({
             pool: createRowPool(0),
             transactionDatabaseClass: CustomTransactionDatabase
         });
@@ -336,8 +763,7 @@ describe('customization', () => {
     });
 
     test('task instance', async () => {
-        const db = new Database({
-            logger: fakeLogger,
+        const db = createFakeDatabase({
             pool: createRowPool(0),
             taskDatabaseClass: CustomTaskDatabase
         });
@@ -360,8 +786,7 @@ describe('customization', () => {
     });
 
     test('transaction and task instances', async () => {
-        const db = new Database({
-            logger: fakeLogger,
+        const db = createFakeDatabase({
             pool: createRowPool(0),
             transactionDatabaseClass: CustomTransactionDatabase,
             taskDatabaseClass: CustomTaskDatabase
@@ -429,4 +854,301 @@ describe('pool', () => {
         expect(successCalled).toBe(true);
         expect(errorCalled).toBe(true);
     });
+
+    test('end waits for active callbacks', async () => {
+        const pgPool = createCountingPgPool();
+        const pool = new DatabasePool({ pgPool });
+        let finish;
+        const active = pool.use(() => new Promise((resolve) => {
+            finish = resolve;
+        }));
+        await new Promise(setImmediate);
+
+        const ended = pool.end();
+        await expect(pool.use(() => {})).rejects.toThrow(PoolClosedError);
+        await expect(pool.connect()).rejects.toThrow(PoolClosedError);
+        await new Promise(setImmediate);
+        expect(pgPool.ended).toBe(false);
+
+        finish('done');
+        await expect(active).resolves.toBe('done');
+        await ended;
+        expect(pgPool.ended).toBe(true);
+        expect(pool.end()).toBe(ended);
+    });
+
+    test('end timeout', async () => {
+        const pgPool = createCountingPgPool();
+        const pool = new DatabasePool({ pgPool });
+        pool.use(() => new Promise(() => {}));
+        await new Promise(setImmediate);
+
+        const err = await pool.end({ timeout: 1 }).catch((endError) => endError);
+        expect(err).toBeInstanceOf(PoolEndTimeoutError);
+        expect(err).toMatchObject({ timeout: 1, active: 1 });
+        expect(pgPool.ended).toBe(true);
+
+        const idlePool = new DatabasePool({ pgPool: createCountingPgPool() });
+        await idlePool.end({ timeout: 1000 });
+        expect(idlePool.pgPool.ended).toBe(true);
+    });
+
+    test('end timeout covers checked out clients', async () => {
+        const pgPool = createCountingPgPool();
+        let endCalls = 0;
+        pgPool.end = () => {
+            endCalls++;
+            return new Promise(() => {});
+        };
+        const pool = new DatabasePool({ pgPool });
+
+        const err = await pool.end({ timeout: 1 }).catch((endError) => endError);
+        expect(err).toBeInstanceOf(PoolEndTimeoutError);
+        expect(err).toMatchObject({ timeout: 1, active: 0, checkedOut: 1 });
+        expect(endCalls).toBe(1);
+    });
+
+    test('ping', async () => {
+        const pool = new DatabasePool({ pgPool: createCountingPgPool() });
+
+        const result = await pool.ping();
+        expect(result).toEqual({
+            latency: expect.any(Number),
+            active: 0,
+            queued: 0,
+            total: 2,
+            idle: 1,
+            waiting: 0
+        });
+        expect(pool.pgPool.queries).toEqual(['SELECT 1']);
+
+        const slowPool = new DatabasePool({ pgPool: createCountingPgPool({ connectDelay: 50 }) });
+        await expect(slowPool.ping({ timeout: 1 })).rejects.toThrow(QueryTimeoutError);
+    });
+});
+
+describe('pool queue', () => {
+    function createGatedPgPool() {
+        const clients = [];
+        const pgPool = createCountingPgPool();
+        pgPool.options = { max: 1 };
+        const connect = pgPool.connect;
+        pgPool.connect = async function () {
+            const client = await connect.call(this);
+            clients.push(client);
+            return client;
+        };
+        pgPool.clients = clients;
+
+        return pgPool;
+    }
+
+    function hold(pool, name, order, options) {
+        let finish;
+        const done = pool.use(() => {
+            order.push(name);
+            return new Promise((resolve) => {
+                finish = resolve;
+            });
+        }, options);
+
+        return {
+            done,
+            finish: () => finish()
+        };
+    }
+
+    test('priority', async () => {
+        const pool = new DatabasePool({ pgPool: createGatedPgPool() });
+        const order = [];
+
+        const first = hold(pool, 'first', order);
+        await new Promise(setImmediate);
+        const low = hold(pool, 'low', order);
+        const normal = hold(pool, 'normal', order, { priority: 0 });
+        const high = hold(pool, 'high', order, { priority: 10 });
+        expect(pool.stats()).toMatchObject({ active: 4, queued: 3 });
+
+        for (const holder of [first, high, low, normal]) {
+            await new Promise(setImmediate);
+            holder.finish();
+            await holder.done;
+        }
+
+        expect(order).toEqual(['first', 'high', 'low', 'normal']);
+        expect(pool.stats()).toMatchObject({ active: 0, queued: 0 });
+    });
+
+    test('queue full and acquire timeout', async () => {
+        const pool = new DatabasePool({ pgPool: createGatedPgPool(), maxWaiting: 1, acquireTimeout: 20 });
+        const order = [];
+
+        const first = hold(pool, 'first', order);
+        await new Promise(setImmediate);
+        const waiting = pool.use(() => 'never');
+        await expect(pool.use(() => {})).rejects.toThrow(PoolQueueFullError);
+
+        const err = await waiting.catch((waitError) => waitError);
+        expect(err).toBeInstanceOf(PoolAcquireTimeoutError);
+        expect(err.timeout).toBe(20);
+        expect(err.waited).toBeGreaterThanOrEqual(19);
+
+        first.finish();
+        await first.done;
+        expect(await pool.use(() => 'next')).toBe('next');
+        expect(pool.checkedOut).toBe(0);
+    });
+
+    test('timed out waiters leave the queue', async () => {
+        const pgPool = createGatedPgPool();
+        const released = [];
+        const connect = pgPool.connect;
+        pgPool.connect = async function () {
+            const client = await connect.call(this);
+            client.release = (err) => released.push(err);
+            return client;
+        };
+        const db = createFakeDatabase({
+            pool: new DatabasePool({ pgPool })
+        });
+        const order = [];
+
+        const first = hold(db.pool, 'first', order);
+        await new Promise(setImmediate);
+        await expect(db.query({ text: 'select 1', timeout: 1 })).rejects.toThrow(QueryTimeoutError);
+        await expect(db.tx({ timeout: 1 }, () => {})).rejects.toThrow(QueryTimeoutError);
+        await expect(db.task({ timeout: 1 }, () => {})).rejects.toThrow(QueryTimeoutError);
+        expect(db.pool.stats()).toMatchObject({ active: 1, queued: 0 });
+
+        first.finish();
+        await first.done;
+        expect(released).toEqual([undefined]);
+        expect(pgPool.queries).toEqual([]);
+    });
+
+    test('timed out pings leave the queue', async () => {
+        const pool = new DatabasePool({ pgPool: createGatedPgPool() });
+        const order = [];
+
+        const first = hold(pool, 'first', order);
+        await new Promise(setImmediate);
+        for (let i = 0; i < 3; i++) {
+            await expect(pool.ping({ timeout: 1 })).rejects.toThrow(QueryTimeoutError);
+        }
+        expect(pool.stats()).toMatchObject({ active: 1, queued: 0 });
+
+        first.finish();
+        await first.done;
+        expect(pool.pgPool.queries).toEqual([]);
+    });
+
+    test('aborted while connecting', async () => {
+        const pgPool = createCountingPgPool({ connectDelay: 20 });
+        const released = [];
+        const connect = pgPool.connect;
+        pgPool.connect = async function () {
+            const client = await connect.call(this);
+            client.release = (err) => released.push(err);
+            return client;
+        };
+        const pool = new DatabasePool({ pgPool });
+        const controller = new AbortController();
+
+        const pending = pool.use(() => 'never', { signal: controller.signal });
+        controller.abort();
+        await expect(pending).rejects.toThrow(QueryAbortedError);
+        await expect(pool.use(() => 'never', { signal: controller.signal })).rejects.toThrow(QueryAbortedError);
+
+        expect(released).toEqual([undefined]);
+        expect(pool.checkedOut).toBe(0);
+    });
+
+    test('slow connect', async () => {
+        const pgPool = createCountingPgPool({ connectDelay: 30 });
+        const released = [];
+        const connect = pgPool.connect;
+        pgPool.connect = async function () {
+            const client = await connect.call(this);
+            client.release = () => released.push(client);
+            return client;
+        };
+        const pool = new DatabasePool({ pgPool, acquireTimeout: 5 });
+
+        await expect(pool.use(() => {})).rejects.toThrow(PoolAcquireTimeoutError);
+        expect(pool.checkedOut).toBe(0);
+        await new Promise((resolve) => setTimeout(resolve, 40));
+        expect(released.length).toBe(1);
+
+        const failing = new DatabasePool({
+            pgPool: {
+                async connect() {
+                    throw new Error('connect failed');
+                }
+            },
+            acquireTimeout: 100
+        });
+        await expect(failing.use(() => {})).rejects.toThrow('connect failed');
+        expect(failing.checkedOut).toBe(0);
+    });
+
+    test('wait is logged', async () => {
+        const db = createFakeDatabase({
+            pool: new DatabasePool({ pgPool: createGatedPgPool(), acquireTimeout: 10 })
+        });
+
+        await db.task({ priority: 1 }, async () => {
+            await expect(db.query({ text: 'select 1' })).rejects.toThrow(PoolAcquireTimeoutError);
+        });
+
+        const [[, logData]] = db.logger.logs;
+        expect(logData.duration.client).toBeGreaterThanOrEqual(9);
+        expect(logData.error.waited).toBe(logData.duration.client);
+    });
+});
+
+describe('health check', () => {
+    test('primary', async () => {
+        const db = createFakeDatabase({
+            pool: new DatabasePool({ pgPool: createCountingPgPool() })
+        });
+
+        expect(await db.healthCheck()).toEqual({
+            healthy: true,
+            latency: expect.any(Number),
+            active: 0,
+            queued: 0,
+            total: 2,
+            idle: 1,
+            waiting: 0
+        });
+
+        await db.pool.end();
+        expect(await db.healthCheck()).toEqual({
+            healthy: false,
+            error: expect.any(PoolClosedError),
+            active: 0,
+            queued: 0,
+            total: 2,
+            idle: 1,
+            waiting: 0
+        });
+    });
+
+    test('replicas', async () => {
+        const replica = new DatabasePool({ pgPool: createCountingPgPool({ connectDelay: 50 }) });
+        const db = createFakeDatabase({
+            pool: new DatabasePool({ pgPool: createCountingPgPool() }),
+            replicas: {
+                pools: [replica, createPool({})]
+            }
+        });
+        db.replicaRouter.replicas[1].ejectedUntil = Date.now() + 1000;
+
+        const health = await db.healthCheck({ timeout: 10 });
+        expect(health.healthy).toBe(true);
+        expect(health.replicas).toEqual([
+            expect.objectContaining({ healthy: false, error: expect.any(QueryTimeoutError), ejected: false }),
+            { healthy: false, error: expect.any(TypeError), ejected: true }
+        ]);
+    });
 });
@@ -0,0 +1,134 @@
+const sqlStateRe = /^[0-9A-Z]{5}$/;
+const connectionErrorCodes = new Set([
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'EPIPE',
+    'ETIMEDOUT',
+    'ENOTFOUND',
+    'EHOSTUNREACH',
+    'ENETUNREACH'
+]);
+const connectionErrorMessageRe = /^Connection terminated|^Client has encountered a connection error/;
+
+/**
+ * Error raised by PostgreSQL or by the connection to it. The driver error
+ * is kept as `cause`, its fields are copied.
+ * {@link https://www.postgresql.org/docs/current/errcodes-appendix.html}
+ */
+class DatabaseError extends Error {
+    /**
+     * @param {Error} err driver error
+     * @param {QueryConfig} [queryConfig]
+     */
+    constructor(err, queryConfig) {
+        super(err.message, { cause: err });
+        /** @type {string|undefined} SQLSTATE, or the Node.js code of a socket error */
+        this.code = err.code;
+        this.severity = err.severity;
+        this.detail = err.detail;
+        this.hint = err.hint;
+        this.schema = err.schema;
+        this.table = err.table;
+        this.column = err.column;
+        this.constraint = err.constraint;
+        this.query = queryConfig;
+    }
+}
+
+class ConnectionError extends DatabaseError {}
+
+class IntegrityConstraintViolationError extends DatabaseError {}
+
+class NotNullViolationError extends IntegrityConstraintViolationError {}
+
+class ForeignKeyViolationError extends IntegrityConstraintViolationError {}
+
+class UniqueViolationError extends IntegrityConstraintViolationError {}
+
+class CheckViolationError extends IntegrityConstraintViolationError {}
+
+class ExclusionViolationError extends IntegrityConstraintViolationError {}
+
+class TransactionRollbackError extends DatabaseError {}
+
+class SerializationFailureError extends TransactionRollbackError {}
+
+class DeadlockError extends TransactionRollbackError {}
+
+class LockNotAvailableError extends DatabaseError {}
+
+class QueryCanceledError extends DatabaseError {}
+
+/** @type {Object<string, Function>} */
+const errorClassesByCode = {
+    '23502': NotNullViolationError,
+    '23503': ForeignKeyViolationError,
+    '23505': UniqueViolationError,
+    '23514': CheckViolationError,
+    '23P01': ExclusionViolationError,
+    '40001': SerializationFailureError,
+    '40P01': DeadlockError,
+    '55P03': LockNotAvailableError,
+    '57014': QueryCanceledError,
+    '57P01': ConnectionError,
+    '57P02': ConnectionError,
+    '57P03': ConnectionError
+};
+
+/** @type {Object<string, Function>} */
+const errorClassesByClass = {
+    '08': ConnectionError,
+    '23': IntegrityConstraintViolationError,
+    '40': TransactionRollbackError
+};
+
+/**
+ * @param {Error} err
+ * @returns {Function|null}
+ */
+function getErrorClass(err) {
+    const { code } = err;
+    if (connectionErrorCodes.has(code) || (code === undefined && connectionErrorMessageRe.test(err.message))) {
+        return ConnectionError;
+    }
+    if (typeof code !== 'string' || !sqlStateRe.test(code)) {
+        return null;
+    }
+
+    return errorClassesByCode[code] || errorClassesByClass[code.slice(0, 2)] || DatabaseError;
+}
+
+/**
+ * Wraps driver errors in the matching {@link DatabaseError} subclass. Other
+ * errors, such as timeouts or mistakes in the query config, are returned as is.
+ *
+ * @param {Error} err
+ * @param {QueryConfig} queryConfig
+ * @returns {Error}
+ */
+function wrapDatabaseError(err, queryConfig) {
+    if (err instanceof DatabaseError || !(err instanceof Error)) {
+        return err;
+    }
+
+    const ErrorClass = getErrorClass(err);
+
+    return ErrorClass ? new ErrorClass(err, queryConfig) : err;
+}
+
+module.exports = {
+    DatabaseError,
+    ConnectionError,
+    IntegrityConstraintViolationError,
+    NotNullViolationError,
+    ForeignKeyViolationError,
+    UniqueViolationError,
+    CheckViolationError,
+    ExclusionViolationError,
+    TransactionRollbackError,
+    SerializationFailureError,
+    DeadlockError,
+    LockNotAvailableError,
+    QueryCanceledError,
+    wrapDatabaseError
+};
@@ -0,0 +1,133 @@
+const { createFakeDatabase } = require('./testing');
+const {
+    DatabaseError,
+    ConnectionError,
+    IntegrityConstraintViolationError,
+    UniqueViolationError,
+    ForeignKeyViolationError,
+    NotNullViolationError,
+    CheckViolationError,
+    TransactionRollbackError,
+    SerializationFailureError,
+    DeadlockError,
+    wrapDatabaseError
+} = require('./errors');
+
+function createDriverError(code, fields) {
+    return Object.assign(new Error(`driver error ${code}`), {
+        code,
+        severity: 'ERROR',
+        ...fields
+    });
+}
+
+function createFailingDb(driverErrors) {
+    const db = createFakeDatabase({
+        retry: {
+            maxAttempts: 2,
+            baseDelay: 0
+        }
+    });
+    db.pool.respond(() => true, () => {
+        const err = driverErrors.shift();
+        return err ? { error: err } : [];
+    });
+
+    return db;
+}
+
+describe('error classes', () => {
+    test('by SQLSTATE', () => {
+        const query = { text: 'insert' };
+        const cases = [
+            ['23505', UniqueViolationError],
+            ['23503', ForeignKeyViolationError],
+            ['23502', NotNullViolationError],
+            ['23514', CheckViolationError],
+            ['23000', IntegrityConstraintViolationError],
+            ['40001', SerializationFailureError],
+            ['40P01', DeadlockError],
+            ['40002', TransactionRollbackError],
+            ['08006', ConnectionError],
+            ['57P01', ConnectionError],
+            ['42601', DatabaseError]
+        ];
+
+        for (const [code, ErrorClass] of cases) {
+            const err = wrapDatabaseError(createDriverError(code), query);
+            expect(err).toBeInstanceOf(ErrorClass);
+            expect(err.code).toBe(code);
+        }
+        expect(wrapDatabaseError(createDriverError('23505'), query)).toBeInstanceOf(IntegrityConstraintViolationError);
+    });
+
+    test('connection errors', () => {
+        expect(wrapDatabaseError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }))).toBeInstanceOf(ConnectionError);
+        expect(wrapDatabaseError(Object.assign(new Error('write EPIPE'), { code: 'EPIPE' }))).toBeInstanceOf(ConnectionError);
+        expect(wrapDatabaseError(new Error('Connection terminated unexpectedly'))).toBeInstanceOf(ConnectionError);
+    });
+
+    test('other errors are unchanged', () => {
+        const plain = new Error('plain');
+        const typeError = Object.assign(new TypeError('bad'), { code: 'ERR_INVALID_ARG_TYPE' });
+        const wrapped = wrapDatabaseError(createDriverError('23505'));
+
+        expect(wrapDatabaseError(plain)).toBe(plain);
+        expect(wrapDatabaseError(typeError)).toBe(typeError);
+        expect(wrapDatabaseError(wrapped)).toBe(wrapped);
+        expect(wrapDatabaseError('text')).toBe('text');
+    });
+
+    test('fields', () => {
+        const driverError = createDriverError('23505', {
+            detail: 'Key (email)=(a) already exists.',
+            schema: 'public',
+            table: 'users',
+            column: undefined,
+            constraint: 'users_email_key'
+        });
+        const query = { text: 'insert' };
+        const err = wrapDatabaseError(driverError, query);
+
+        expect(err).toEqual(expect.objectContaining({
+            message: driverError.message,
+            cause: driverError,
+            severity: 'ERROR',
+            detail: 'Key (email)=(a) already exists.',
+            schema: 'public',
+            table: 'users',
+            column: undefined,
+            constraint: 'users_email_key',
+            query
+        }));
+    });
+});
+
+describe('database errors', () => {
+    test('thrown from query', async () => {
+        const db = createFailingDb([createDriverError('23505', { constraint: 'users_pkey' })]);
+
+        const err = await db.query({ text: 'insert', timeout: 1000 }).catch((e) => e);
+        expect(err).toBeInstanceOf(UniqueViolationError);
+        expect(err.constraint).toBe('users_pkey');
+        expect(err.query).toEqual({ text: 'insert' });
+        expect(err.parentStack).toEqual(expect.any(String));
+    });
+
+    test('thrown from transactions and tasks', async () => {
+        const db = createFailingDb([
+            createDriverError('23503')
+        ]);
+
+        await expect(db.task((taskDb) => taskDb.one({ text: 'select' }))).rejects.toThrow(ForeignKeyViolationError);
+
+        const txDb = createFailingDb([null, createDriverError('23502')]);
+        await expect(txDb.tx((innerDb) => innerDb.none({ text: 'insert' }))).rejects.toThrow(NotNullViolationError);
+    });
+
+    test('retries use the wrapped code', async () => {
+        const db = createFailingDb([null, createDriverError('40001')]);
+
+        expect(await db.tx((txDb) => txDb.any({ text: 'select' }))).toEqual([]);
+    });
+});
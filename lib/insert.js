@@ -0,0 +1,150 @@
+const { sql, SqlFragment, SqlRaw } = require('./sql');
+
+const maxBindParameters = 65535;
+
+/**
+ * @typedef InsertManyOptions
+ * @property {Array<string>} [columns] defaults to every key found in `rows`
+ * @property {Array<string>|string} [returning] column names or `*`
+ * @property {InsertConflictOptions|SqlFragment} [onConflict] fragments are inlined after `ON CONFLICT`
+ * @property {number} [chunkSize] rows per statement, lowered to stay under the bind parameter limit
+ */
+/**
+ * @typedef InsertConflictOptions
+ * @property {Array<string>} [target] conflict columns
+ * @property {Array<string>} [update] columns set from `EXCLUDED`, `DO NOTHING` when omitted
+ */
+
+/**
+ * @param {string|Array<string>|SqlRaw} table `name`, `schema.name` or its parts
+ * @returns {SqlRaw}
+ */
+function tableIdentifier(table) {
+    if (table instanceof SqlRaw) {
+        return table;
+    }
+
+    return sql.identifier(...(Array.isArray(table) ? table : table.split('.')));
+}
+
+/**
+ * @param {Array<string>} names
+ * @returns {SqlFragment}
+ */
+function columnList(names) {
+    return sql.join(names.map((name) => sql.identifier(name)));
+}
+
+/**
+ * @param {Array<Object>} rows
+ * @returns {Array<string>}
+ */
+function collectColumns(rows) {
+    const columns = new Set();
+    for (const row of rows) {
+        for (const key of Object.keys(row)) {
+            columns.add(key);
+        }
+    }
+
+    return Array.from(columns);
+}
+
+/**
+ * @param {InsertConflictOptions|SqlFragment} onConflict
+ * @returns {SqlFragment}
+ */
+function conflictClause(onConflict) {
+    if (onConflict instanceof SqlFragment || onConflict instanceof SqlRaw) {
+        return sql` ON CONFLICT ${onConflict}`;
+    }
+
+    const { target, update } = onConflict;
+    const targetClause = target && target.length > 0 ? sql` (${columnList(target)})` : sql``;
+    if (!update || update.length === 0) {
+        return sql` ON CONFLICT${targetClause} DO NOTHING`;
+    }
+
+    const assignments = update.map((name) => {
+        return sql`${sql.identifier(name)} = EXCLUDED.${sql.identifier(name)}`;
+    });
+
+    return sql` ON CONFLICT${targetClause} DO UPDATE SET ${sql.join(assignments)}`;
+}
+
+/**
+ * @param {Array<string>|string} returning
+ * @returns {SqlFragment}
+ */
+function returningClause(returning) {
+    if (returning === '*') {
+        return sql` RETURNING *`;
+    }
+
+    return sql` RETURNING ${columnList(Array.isArray(returning) ? returning : [returning])}`;
+}
+
+/**
+ * Builds multi-row `INSERT` statements, split so none of them exceeds
+ * PostgreSQL's bind parameter limit. `undefined` values become `DEFAULT`.
+ *
+ * @param {string|Array<string>|SqlRaw} table
+ * @param {Array<Object>} rows
+ * @param {InsertManyOptions} [options]
+ * @returns {Array<SqlFragment>}
+ */
+function createInsertQueries(table, rows, {
+    columns = collectColumns(rows),
+    returning,
+    onConflict,
+    chunkSize = Infinity
+} = {}) {
+    if (rows.length === 0) {
+        return [];
+    }
+    if (columns.length === 0) {
+        throw new TypeError('insertMany requires at least one column.');
+    }
+    if (!(chunkSize >= 1)) {
+        throw new TypeError('chunkSize must be at least 1.');
+    }
+
+    const rowsPerQuery = Math.min(Math.floor(chunkSize), Math.floor(maxBindParameters / columns.length));
+    const head = sql`INSERT INTO ${tableIdentifier(table)} (${columnList(columns)}) VALUES `;
+    const tail = sql`${onConflict ? conflictClause(onConflict) : sql``}${returning ? returningClause(returning) : sql``}`;
+
+    const queries = [];
+    for (let start = 0; start < rows.length; start += rowsPerQuery) {
+        const tuples = rows.slice(start, start + rowsPerQuery).map((row) => {
+            return sql`(${sql.join(columns.map((name) => {
+                return row[name] === undefined ? sql.raw('DEFAULT') : row[name];
+            }))})`;
+        });
+
+        queries.push(sql`${head}${sql.join(tuples)}${tail}`);
+    }
+
+    return queries;
+}
+
+/**
+ * Runs the statements one after another and concatenates their rows.
+ *
+ * @param {Queryable} db
+ * @param {Array<QueryConfig>} queries
+ * @returns {Promise<Array<*>>}
+ */
+async function runInsertQueries(db, queries) {
+    let rows = [];
+    for (const queryConfig of queries) {
+        const result = await db.query(queryConfig);
+        rows = rows.concat(result.rows);
+    }
+
+    return rows;
+}
+
+module.exports = {
+    createInsertQueries,
+    runInsertQueries
+};
@@ -0,0 +1,108 @@
+const { createInsertQueries } = require('./insert');
+const { createFakeDatabase } = require('./testing');
+const { sql } = require('./sql');
+
+function createInsertDb() {
+    const db = createFakeDatabase();
+    db.pool.respond(/RETURNING/, () => [{ id: db.pool.queries.length }]);
+
+    return db;
+}
+
+describe('insert queries', () => {
+    test('single statement', () => {
+        const [query, ...rest] = createInsertQueries('public.users', [
+            { id: 1, name: 'a' },
+            { id: 2, name: 'b', email: 'c' }
+        ]);
+
+        expect(rest.length).toBe(0);
+        expect(query.text).toBe('INSERT INTO "public"."users" ("id", "name", "email") VALUES ($1, $2, DEFAULT), ($3, $4, $5)');
+        expect(query.values).toEqual([1, 'a', 2, 'b', 'c']);
+    });
+
+    test('explicit columns, returning and conflict', () => {
+        const [query] = createInsertQueries(['users'], [{ id: 1, name: 'a', ignored: true }], {
+            columns: ['id', 'name'],
+            returning: ['id'],
+            onConflict: {
+                target: ['id'],
+                update: ['name']
+            }
+        });
+
+        expect(query.text).toBe(
+            'INSERT INTO "users" ("id", "name") VALUES ($1, $2) ON CONFLICT ("id") DO UPDATE SET "name" = EXCLUDED."name" RETURNING "id"'
+        );
+    });
+
+    test('conflict variants', () => {
+        const rows = [{ id: 1 }];
+
+        expect(createInsertQueries('t', rows, { onConflict: {}, returning: '*' })[0].text)
+            .toBe('INSERT INTO "t" ("id") VALUES ($1) ON CONFLICT DO NOTHING RETURNING *');
+        expect(createInsertQueries('t', rows, { onConflict: sql`ON CONSTRAINT t_pkey DO NOTHING`, returning: 'id' })[0].text)
+            .toBe('INSERT INTO "t" ("id") VALUES ($1) ON CONFLICT ON CONSTRAINT t_pkey DO NOTHING RETURNING "id"');
+        expect(createInsertQueries(sql.identifier('t'), rows, { onConflict: { target: ['id'], update: [] } })[0].text)
+            .toBe('INSERT INTO "t" ("id") VALUES ($1) ON CONFLICT ("id") DO NOTHING');
+    });
+
+    test('chunking', () => {
+        const rows = new Array(5).fill().map((_, i) => ({ id: i }));
+
+        const queries = createInsertQueries('t', rows, { chunkSize: 2 });
+        expect(queries.map((query) => query.values)).toEqual([[0, 1], [2, 3], [4]]);
+    });
+
+    test('bind parameter limit', () => {
+        const columns = new Array(1000).fill().map((_, i) => 'c' + i);
+        const row = Object.fromEntries(columns.map((name) => [name, 1]));
+        const rows = new Array(70).fill(row);
+
+        const queries = createInsertQueries('t', rows);
+        expect(queries.length).toBe(2);
+        expect(queries[0].values.length).toBe(65000);
+        expect(queries[1].values.length).toBe(5000);
+    });
+
+    test('invalid input', () => {
+        expect(createInsertQueries('t', [])).toEqual([]);
+        expect(() => createInsertQueries('t', [{}])).toThrow(TypeError);
+        expect(() => createInsertQueries('t', [{ id: 1 }], { chunkSize: 0 })).toThrow(TypeError);
+    });
+});
+
+describe('insert many', () => {
+    const rows = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+    test('database wraps chunks in a transaction', async () => {
+        const db = createInsertDb();
+
+        const result = await db.insertMany('t', rows, { chunkSize: 2, returning: ['id'] });
+
+        expect(result).toEqual([{ id: 2 }, { id: 3 }]);
+        expect(db.pool.texts()[0]).toBe('BEGIN');
+        expect(db.pool.texts()[3]).toBe('COMMIT');
+    });
+
+    test('database single statement', async () => {
+        const db = createInsertDb();
+
+        expect(await db.insertMany('t', rows)).toEqual([]);
+        expect(await db.insertMany('t', [])).toEqual([]);
+        expect(db.pool.texts().length).toBe(1);
+    });
+
+    test('task and transaction run on their client', async () => {
+        const db = createInsertDb();
+
+        await db.task(async (taskDb) => {
+            await taskDb.insertMany('t', rows, { chunkSize: 2 });
+        });
+        await db.tx(async (txDb) => {
+            await txDb.insertMany('t', rows, { chunkSize: 2 });
+        });
+
+        expect(db.pool.texts().map((text) => text.split(' ')[0])).toEqual(['INSERT', 'INSERT', 'BEGIN', 'INSERT', 'INSERT', 'COMMIT']);
+    });
+});
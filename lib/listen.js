@@ -0,0 +1,299 @@
+const { sql } = require('./sql');
+
+/**
+ * @typedef ListenOptions
+ * @property {boolean} [json] parse payloads with `JSON.parse` before calling the handler
+ */
+
+/**
+ * @typedef NotificationListenerOptions
+ * @property {number} [reconnectDelay] milliseconds before the first reconnect attempt, doubled on every failure
+ * @property {number} [maxReconnectDelay]
+ */
+
+/**
+ * @callback NotificationHandler
+ * @param {*} payload
+ * @param {{ channel: string, payload: string, processId: number }} message
+ */
+
+/**
+ * @typedef {Object} ListenPoolInterface
+ * @property {function(): Promise<PgPoolClient>} connect checks out a client until it is released
+ * @property {boolean} [closed] set once the pool has ended, lost connections are then not replaced
+ */
+
+/**
+ * Multiplexes `LISTEN` channels over one long-lived client that is checked
+ * out of the pool while at least one channel has subscribers. Lost
+ * connections are replaced and every channel is listened to again, until
+ * the pool is closed.
+ */
+class NotificationListener {
+    /**
+     * @param {Object} options
+     * @param {ListenPoolInterface} options.pool
+     * @param {DatabaseLoggerInterface} options.logger
+     * @param {number} [options.reconnectDelay]
+     * @param {number} [options.maxReconnectDelay]
+     */
+    constructor({
+        pool,
+        logger,
+        reconnectDelay = 1000,
+        maxReconnectDelay = 30_000
+    }) {
+        this.pool = pool;
+        this.logger = logger;
+        this.reconnectDelay = reconnectDelay;
+        this.maxReconnectDelay = maxReconnectDelay;
+
+        /** @type {Map<string, Set<{ handler: NotificationHandler, json: boolean }>>} */
+        this.channels = new Map();
+        this.client = null;
+        this.clientListeners = null;
+        /** @type {Set<string>} channels the current client listens to */
+        this.listened = new Set();
+        this.connecting = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempt = 0;
+    }
+
+    /**
+     * @param {string} channel
+     * @param {NotificationHandler} handler
+     * @param {ListenOptions} [options]
+     * @returns {Promise<function(): Promise<void>>} unsubscribe
+     */
+    async listen(channel, handler, { json = false } = {}) {
+        const subscription = {
+            handler,
+            json
+        };
+
+        let subscriptions = this.channels.get(channel);
+        if (!subscriptions) {
+            subscriptions = new Set();
+            this.channels.set(channel, subscriptions);
+        }
+        subscriptions.add(subscription);
+
+        try {
+            const client = await this.connect();
+            if (!this.listened.has(channel)) {
+                this.listened.add(channel);
+                await client.query(sql`LISTEN ${sql.identifier(channel)}`);
+            }
+        } catch (err) {
+            await this.unlisten(channel, subscription);
+            throw err;
+        }
+
+        return () => this.unlisten(channel, subscription);
+    }
+
+    /**
+     * @param {string} channel
+     * @param {Object} subscription
+     * @returns {Promise<void>}
+     */
+    async unlisten(channel, subscription) {
+        const subscriptions = this.channels.get(channel);
+        if (!subscriptions || !subscriptions.delete(subscription) || subscriptions.size > 0) {
+            return;
+        }
+        this.channels.delete(channel);
+
+        const { client } = this;
+        if (!client) {
+            return;
+        }
+
+        if (this.channels.size === 0) {
+            await this.release(client);
+            return;
+        }
+
+        this.listened.delete(channel);
+        await client.query(sql`UNLISTEN ${sql.identifier(channel)}`);
+    }
+
+    /**
+     * Drops every subscription and returns the client to the pool, e.g.
+     * before ending it.
+     *
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.channels.clear();
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        if (this.connecting) {
+            await this.connecting.catch(() => {});
+        }
+        if (this.client) {
+            await this.release(this.client);
+        }
+    }
+
+    /**
+     * @param {PgPoolClient} client
+     * @returns {Promise<void>}
+     */
+    async release(client) {
+        this.detach(client);
+        await client.query({ text: 'UNLISTEN *' }).then(() => {
+            client.release();
+        }, (err) => {
+            client.release(err);
+        });
+    }
+
+    /**
+     * @returns {Promise<PgPoolClient>}
+     */
+    connect() {
+        if (this.client) {
+            return Promise.resolve(this.client);
+        }
+
+        if (!this.connecting) {
+            this.connecting = this.createClient().finally(() => {
+                this.connecting = null;
+            });
+        }
+
+        return this.connecting;
+    }
+
+    /**
+     * @returns {Promise<PgPoolClient>}
+     */
+    async createClient() {
+        const client = await this.pool.connect();
+        const listened = new Set(this.channels.keys());
+
+        try {
+            for (const channel of listened) {
+                await client.query(sql`LISTEN ${sql.identifier(channel)}`);
+            }
+        } catch (err) {
+            client.release(err);
+            throw err;
+        }
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempt = 0;
+        this.attach(client, listened);
+
+        return client;
+    }
+
+    /**
+     * @param {PgPoolClient} client
+     * @param {Set<string>} listened
+     */
+    attach(client, listened) {
+        const onConnectionLost = (err = new Error('Notification connection ended.')) => {
+            this.handleConnectionLost(client, err);
+        };
+        this.clientListeners = {
+            notification: (message) => {
+                this.handleNotification(message);
+            },
+            error: onConnectionLost,
+            end: () => onConnectionLost()
+        };
+
+        for (const [event, listener] of Object.entries(this.clientListeners)) {
+            client.on(event, listener);
+        }
+        this.client = client;
+        this.listened = listened;
+    }
+
+    /**
+     * @param {PgPoolClient} client
+     */
+    detach(client) {
+        for (const [event, listener] of Object.entries(this.clientListeners)) {
+            client.removeListener(event, listener);
+        }
+        this.client = null;
+        this.clientListeners = null;
+        this.listened = new Set();
+    }
+
+    /**
+     * @param {PgPoolClient} client
+     * @param {Error} err
+     */
+    handleConnectionLost(client, err) {
+        this.detach(client);
+        // the broken client may still emit errors until the pool has destroyed it
+        client.on('error', () => {});
+        client.release(err);
+
+        this.logger.error('sql-listen-error', {
+            channels: Array.from(this.channels.keys()),
+            error: err
+        });
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        if (this.channels.size === 0 || this.reconnectTimer || this.pool.closed) {
+            return;
+        }
+
+        const delay = Math.min(this.maxReconnectDelay, this.reconnectDelay * 2 ** this.reconnectAttempt);
+        this.reconnectAttempt++;
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.channels.size === 0 || this.pool.closed) {
+                return;
+            }
+
+            this.connect().then(() => {
+                this.logger.debug('sql-listen-reconnect', {
+                    channels: Array.from(this.channels.keys())
+                });
+            }, (err) => {
+                this.logger.error('sql-listen-error', {
+                    channels: Array.from(this.channels.keys()),
+                    error: err
+                });
+                this.scheduleReconnect();
+            });
+        }, delay);
+    }
+
+    /**
+     * @param {{ channel: string, payload: string, processId: number }} message
+     */
+    handleNotification(message) {
+        const subscriptions = this.channels.get(message.channel);
+        if (!subscriptions) {
+            return;
+        }
+
+        for (const { handler, json } of subscriptions) {
+            Promise.resolve().then(() => {
+                return handler(json ? JSON.parse(message.payload) : message.payload, message);
+            }).catch((err) => {
+                this.logger.error('sql-notification-error', {
+                    channel: message.channel,
+                    payload: message.payload,
+                    error: err
+                });
+            });
+        }
+    }
+}
+
+module.exports = {
+    NotificationListener
+};
@@ -0,0 +1,246 @@
+const { EventEmitter } = require('events');
+const { DatabasePool } = require('./database');
+const { createFakeDatabase } = require('./testing');
+
+function createListenPool({ failConnect = 0 } = {}) {
+    const clients = [];
+
+    const pool = {
+        clients,
+        connectFailures: failConnect,
+        connectAttempts: 0,
+        use(callback) {
+            return callback(pool.queryClient);
+        },
+        queryClient: {
+            history: [],
+            async query(queryConfig) {
+                pool.queryClient.history.push(queryConfig);
+                return { rows: [] };
+            }
+        },
+        async connect() {
+            pool.connectAttempts++;
+            if (pool.connectFailures > 0) {
+                pool.connectFailures--;
+                throw new Error('connect failed');
+            }
+
+            const client = new EventEmitter();
+            client.history = [];
+            client.released = [];
+            client.query = async (queryConfig) => {
+                client.history.push(queryConfig.text);
+                return { rows: [] };
+            };
+            client.release = (err) => {
+                client.released.push(err || null);
+            };
+            clients.push(client);
+
+            return client;
+        }
+    };
+
+    return pool;
+}
+
+function createListenDb(pool) {
+    return createFakeDatabase({
+        pool,
+        listen: {
+            reconnectDelay: 1,
+            maxReconnectDelay: 2
+        }
+    });
+}
+
+function notify(client, channel, payload) {
+    client.emit('notification', {
+        processId: 1,
+        channel,
+        payload
+    });
+}
+
+function tick() {
+    return new Promise(setImmediate);
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('listen', () => {
+    test('multiplexes channels over one connection', async () => {
+        const pool = createListenPool();
+        const db = createListenDb(pool);
+        const received = [];
+
+        const unlistenA = await db.listen('jobs', (payload) => received.push(['a', payload]));
+        const unlistenB = await db.listen('jobs', (payload) => received.push(['b', payload]), { json: true });
+        const unlistenC = await db.listen('Other', (payload, message) => received.push(['c', message.channel]));
+
+        expect(pool.clients.length).toBe(1);
+        const [client] = pool.clients;
+        expect(client.history).toEqual(['LISTEN "jobs"', 'LISTEN "Other"']);
+
+        notify(client, 'jobs', '{"id":1}');
+        notify(client, 'Other', 'x');
+        notify(client, 'unknown', 'x');
+        await tick();
+        expect(received).toEqual([['a', '{"id":1}'], ['b', { id: 1 }], ['c', 'Other']]);
+
+        await unlistenA();
+        await unlistenA();
+        expect(client.history.length).toBe(2);
+
+        await unlistenB();
+        expect(client.history[2]).toBe('UNLISTEN "jobs"');
+
+        await unlistenC();
+        expect(client.history[3]).toBe('UNLISTEN *');
+        expect(client.released).toEqual([null]);
+        expect(client.listenerCount('notification')).toBe(0);
+
+        await db.listen('jobs', () => {});
+        expect(pool.clients.length).toBe(2);
+    });
+
+    test('handler errors are logged', async () => {
+        const pool = createListenPool();
+        const db = createListenDb(pool);
+
+        await db.listen('jobs', () => {}, { json: true });
+        notify(pool.clients[0], 'jobs', 'not json');
+        await tick();
+
+        expect(db.logger.logs[0][0]).toBe('sql-notification-error');
+    });
+
+    test('reconnects and listens again', async () => {
+        const pool = createListenPool();
+        const db = createListenDb(pool);
+        const received = [];
+
+        await db.listen('jobs', (payload) => received.push(payload));
+        await db.listen('other', () => {});
+
+        const [first] = pool.clients;
+        first.emit('error', new Error('connection lost'));
+        first.emit('error', new Error('late error'));
+        expect(first.released[0]).toBeInstanceOf(Error);
+
+        await wait(20);
+        expect(pool.clients.length).toBe(2);
+        const second = pool.clients[1];
+        expect(second.history).toEqual(['LISTEN "jobs"', 'LISTEN "other"']);
+
+        notify(second, 'jobs', 'after');
+        await tick();
+        expect(received).toEqual(['after']);
+        expect(db.logger.logs.map(([message]) => message)).toEqual(['sql-listen-error', 'sql-listen-reconnect']);
+
+        second.emit('end');
+        await wait(20);
+        expect(pool.clients.length).toBe(3);
+    });
+
+    test('retries failed reconnects', async () => {
+        const pool = createListenPool();
+        const db = createListenDb(pool);
+
+        await db.listen('jobs', () => {});
+        pool.connectFailures = 2;
+        pool.clients[0].emit('error', new Error('connection lost'));
+
+        await wait(50);
+        expect(pool.connectAttempts).toBe(4);
+        expect(pool.clients.length).toBe(2);
+        expect(db.logger.logs.map(([message]) => message)).toEqual([
+            'sql-listen-error',
+            'sql-listen-error',
+            'sql-listen-error',
+            'sql-listen-reconnect'
+        ]);
+    });
+
+    test('end releases the connection', async () => {
+        const pool = createListenPool();
+        pool.end = async () => {
+            pool.ended = true;
+        };
+        const db = createListenDb(pool);
+
+        await db.listen('jobs', () => {});
+        await db.unlistenAll();
+        const unlisten = await db.listen('other', () => {});
+        await db.end();
+        await unlisten();
+
+        expect(pool.clients.map(({ history }) => history)).toEqual([
+            ['LISTEN "jobs"', 'UNLISTEN *'],
+            ['LISTEN "other"', 'UNLISTEN *']
+        ]);
+        expect(pool.clients.map(({ released }) => released)).toEqual([[null], [null]]);
+        expect(pool.ended).toBe(true);
+        expect(db.notificationListener).toBeNull();
+    });
+
+    test('no reconnects once the pool is closed', async () => {
+        const pool = createListenPool();
+        const db = createListenDb(pool);
+
+        await db.listen('jobs', () => {});
+        pool.clients[0].emit('error', new Error('connection lost'));
+        pool.closed = true;
+        await wait(20);
+
+        expect(pool.connectAttempts).toBe(1);
+        expect(db.logger.logs.map(([message]) => message)).toEqual(['sql-listen-error']);
+    });
+
+    test('failed listen is removed', async () => {
+        const pool = createListenPool({ failConnect: 1 });
+        const db = createListenDb(pool);
+
+        await expect(db.listen('jobs', () => {})).rejects.toThrow('connect failed');
+        expect(db.notificationListener.channels.size).toBe(0);
+    });
+
+    test('pool checkout', async () => {
+        const client = {};
+        const pool = new DatabasePool({
+            pgPool: {
+                async connect() {
+                    return client;
+                }
+            }
+        });
+
+        expect(await pool.connect()).toBe(client);
+    });
+});
+
+describe('notify', () => {
+    test('payloads', async () => {
+        const pool = createListenPool();
+        const db = createListenDb(pool);
+
+        await db.notify('jobs', 'text');
+        await db.notify('jobs', { id: 1 });
+        await db.notify('jobs');
+        await db.tx(async (txDb) => {
+            await txDb.notify('jobs', 'in tx');
+        });
+
+        expect(pool.queryClient.history.map((queryConfig) => queryConfig.values)).toEqual([
+            ['jobs', 'text'],
+            ['jobs', '{"id":1}'],
+            ['jobs', null],
+            undefined,
+            ['jobs', 'in tx'],
+            undefined
+        ]);
+    });
+});
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { sql } = require('./sql');
+
+const minInt64 = -(2n ** 63n);
+const maxInt64 = 2n ** 63n - 1n;
+const minInt32 = -(2 ** 31);
+const maxInt32 = 2 ** 31 - 1;
+
+/**
+ * A single bigint key, or a pair of int4 keys. Strings are hashed to the
+ * matching width, so the same string always maps to the same lock.
+ *
+ * @typedef {number|bigint|string|[number|string, number|string]} AdvisoryLockKey
+ */
+
+/**
+ * @typedef AdvisoryLockOptions
+ * @property {boolean} [wait] `false` fails with {@link AdvisoryLockError} instead of blocking when the lock is held,
+ * `tryWithAdvisoryLock` resolves `false` instead
+ * @property {number} [timeout] milliseconds to wait for the lock before failing with a `QueryTimeoutError`
+ * @property {boolean} [shared]
+ */
+
+class AdvisoryLockError extends Error {
+    /**
+     * @param {AdvisoryLockKey} key
+     */
+    constructor(key) {
+        super(`Advisory lock ${JSON.stringify(key, (name, value) => typeof value === 'bigint' ? value.toString() : value)} is held by another session.`);
+        this.key = key;
+    }
+}
+
+/**
+ * @param {string} text
+ * @returns {Buffer}
+ */
+function hash(text) {
+    return crypto.createHash('sha256').update(text).digest();
+}
+
+/**
+ * @param {number|bigint|string} key
+ * @returns {string} decimal int8, passed as text so it survives JSON and `pg` serialization
+ */
+function bigintKey(key) {
+    if (typeof key === 'string') {
+        return hash(key).readBigInt64BE().toString();
+    }
+
+    const value = typeof key === 'number' && Number.isSafeInteger(key) ? BigInt(key) : key;
+    if (typeof value !== 'bigint' || value < minInt64 || value > maxInt64) {
+        throw new TypeError('Advisory lock keys must be 64-bit integers or strings.');
+    }
+
+    return value.toString();
+}
+
+/**
+ * @param {number|string} key
+ * @returns {number}
+ */
+function intKey(key) {
+    if (typeof key === 'string') {
+        return hash(key).readInt32BE();
+    }
+    if (!Number.isInteger(key) || key < minInt32 || key > maxInt32) {
+        throw new TypeError('Advisory lock key pairs must be 32-bit integers or strings.');
+    }
+
+    return key;
+}
+
+/**
+ * @param {AdvisoryLockKey} key
+ * @returns {SqlFragment} arguments of the `pg_advisory_*` functions
+ */
+function advisoryLockArgs(key) {
+    if (Array.isArray(key)) {
+        if (key.length !== 2) {
+            throw new TypeError('Advisory lock key pairs must have two elements.');
+        }
+
+        return sql`${intKey(key[0])}::int4, ${intKey(key[1])}::int4`;
+    }
+
+    return sql`${bigintKey(key)}::int8`;
+}
+
+/**
+ * {@link https://www.postgresql.org/docs/current/functions-admin.html#FUNCTIONS-ADVISORY-LOCKS}
+ *
+ * @param {string} name `lock`, `unlock`, `xact_lock`, ...
+ * @param {AdvisoryLockKey} key
+ * @param {Object} options
+ * @param {boolean} options.try
+ * @param {boolean} options.shared
+ * @returns {SqlFragment}
+ */
+function advisoryLockQuery(name, key, { try: tryLock, shared }) {
+    const functionName = `pg_${tryLock ? 'try_' : ''}advisory_${name}${shared ? '_shared' : ''}`;
+
+    return sql`SELECT ${sql.raw(functionName)}(${advisoryLockArgs(key)}) AS result`;
+}
+
+/**
+ * @param {TaskDatabase} db
+ * @param {AdvisoryLockKey} key
+ * @param {Object} options
+ * @param {boolean} options.try
+ * @param {boolean} options.shared
+ * @param {number} [options.timeout]
+ * @returns {Promise<boolean>} `false` when trying and another session holds the lock
+ */
+async function lockSession(db, key, { try: tryLock, shared, timeout }) {
+    const { result } = await db.one({
+        ...advisoryLockQuery('lock', key, {
+            try: tryLock,
+            shared
+        }),
+        timeout,
+        map: false
+    });
+
+    return result !== false;
+}
+
+/**
+ * Runs `callback` while the session lock is held, then releases it.
+ *
+ * @param {TaskDatabase} db
+ * @param {AdvisoryLockKey} key
+ * @param {DatabaseInterface_dbCallback} callback
+ * @param {boolean} shared
+ * @returns {Promise<*>}
+ */
+async function runLocked(db, key, callback, shared) {
+    let succeeded = false;
+    try {
+        const callbackResult = await callback(db);
+        succeeded = true;
+
+        return callbackResult;
+    } finally {
+        const unlock = db.one({
+            ...advisoryLockQuery('unlock', key, {
+                try: false,
+                shared
+            }),
+            signal: null,
+            map: false
+        });
+        // an unlock failure must not hide the callback's error
+        await (succeeded ? unlock : unlock.catch(() => {}));
+    }
+}
+
+/**
+ * Holds a session lock on the client of `db` while `callback` runs. The lock
+ * is released before the callback's result is returned, so the client goes
+ * back to the pool without it; if unlocking fails the error reaches the
+ * pool, which discards the client and with it the lock.
+ *
+ * @param {TaskDatabase} db
+ * @param {AdvisoryLockKey} key
+ * @param {DatabaseInterface_dbCallback} callback
+ * @param {AdvisoryLockOptions} [options]
+ * @returns {Promise<*>}
+ */
+async function runWithAdvisoryLock(db, key, callback, { wait = true, timeout, shared = false } = {}) {
+    const locked = await lockSession(db, key, {
+        try: !wait,
+        shared,
+        timeout
+    });
+    if (!locked) {
+        throw new AdvisoryLockError(key);
+    }
+
+    return runLocked(db, key, callback, shared);
+}
+
+/**
+ * {@link runWithAdvisoryLock} without waiting, skipping `callback` when
+ * another session holds the lock.
+ *
+ * @param {TaskDatabase} db
+ * @param {AdvisoryLockKey} key
+ * @param {DatabaseInterface_dbCallback} callback
+ * @param {Object} [options]
+ * @param {boolean} [options.shared]
+ * @returns {Promise<*>} the callback's result, or `false` when the lock is held
+ */
+async function tryRunWithAdvisoryLock(db, key, callback, { shared = false } = {}) {
+    const locked = await lockSession(db, key, {
+        try: true,
+        shared
+    });
+    if (!locked) {
+        return false;
+    }
+
+    return runLocked(db, key, callback, shared);
+}
+
+module.exports = {
+    AdvisoryLockError,
+    advisoryLockQuery,
+    runWithAdvisoryLock,
+    tryRunWithAdvisoryLock
+};
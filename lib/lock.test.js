@@ -0,0 +1,167 @@
+const { createFakeDatabase } = require('./testing');
+const { AdvisoryLockError, advisoryLockQuery } = require('./lock');
+const { QueryTimeoutError } = require('./cancel');
+
+function createLockDb({ held = false, failUnlock = false } = {}) {
+    const db = createFakeDatabase();
+    db.pool.respond(/^SELECT pg_/, [{ result: !held }]);
+    if (held) {
+        // waits until cancelled
+        db.pool.respond(/^SELECT pg_advisory_lock/, { latency: 1000 });
+    }
+    if (failUnlock) {
+        db.pool.respond(/^SELECT pg_advisory_unlock/, { error: new Error('unlock failed') });
+    }
+
+    return db;
+}
+
+describe('advisory lock keys', () => {
+    test('integers', () => {
+        expect(advisoryLockQuery('lock', 42, { try: false, shared: false })).toEqual(expect.objectContaining({
+            text: 'SELECT pg_advisory_lock($1::int8) AS result',
+            values: ['42']
+        }));
+        expect(advisoryLockQuery('lock', -(2n ** 63n), { try: true, shared: true }).values).toEqual(['-9223372036854775808']);
+        expect(advisoryLockQuery('xact_lock', [1, -2], { try: true, shared: true })).toEqual(expect.objectContaining({
+            text: 'SELECT pg_try_advisory_xact_lock_shared($1::int4, $2::int4) AS result',
+            values: [1, -2]
+        }));
+    });
+
+    test('strings hash deterministically', () => {
+        const single = advisoryLockQuery('lock', 'jobs', { try: false, shared: false }).values;
+        expect(single).toEqual(advisoryLockQuery('unlock', 'jobs', { try: false, shared: false }).values);
+        expect(single).not.toEqual(advisoryLockQuery('lock', 'other', { try: false, shared: false }).values);
+        expect(BigInt(single[0])).toBeGreaterThanOrEqual(-(2n ** 63n));
+
+        const [a, b] = advisoryLockQuery('lock', ['jobs', 3], { try: false, shared: false }).values;
+        expect(Number.isInteger(a) && a >= -(2 ** 31) && a < 2 ** 31).toBe(true);
+        expect(b).toBe(3);
+    });
+
+    test('invalid keys', () => {
+        const options = { try: false, shared: false };
+
+        expect(() => advisoryLockQuery('lock', 1.5, options)).toThrow(TypeError);
+        expect(() => advisoryLockQuery('lock', 2n ** 63n, options)).toThrow(TypeError);
+        expect(() => advisoryLockQuery('lock', null, options)).toThrow(TypeError);
+        expect(() => advisoryLockQuery('lock', [1], options)).toThrow(TypeError);
+        expect(() => advisoryLockQuery('lock', [1, 2 ** 31], options)).toThrow(TypeError);
+    });
+});
+
+describe('session advisory lock', () => {
+    test('unlocks before release', async () => {
+        const db = createLockDb();
+
+        const result = await db.withAdvisoryLock('jobs', async (taskDb) => {
+            await taskDb.query({ text: 'work' });
+            return 'done';
+        });
+
+        expect(result).toBe('done');
+        expect(db.pool.texts().map((text) => text.replace(/\(.*$/, ''))).toEqual([
+            'SELECT pg_advisory_lock',
+            'work',
+            'SELECT pg_advisory_unlock'
+        ]);
+        expect(db.pool.released).toEqual([null]);
+    });
+
+    test('unlocks when the callback fails', async () => {
+        const db = createLockDb({ failUnlock: true });
+
+        await expect(db.withAdvisoryLock(1, async () => {
+            throw new Error('callback failed');
+        })).rejects.toThrow('callback failed');
+
+        expect(db.pool.texts().map((text) => text.replace(/\(.*$/, ''))).toEqual([
+            'SELECT pg_advisory_lock',
+            'SELECT pg_advisory_unlock'
+        ]);
+        expect(db.pool.released[0].message).toBe('callback failed');
+    });
+
+    test('failed unlock discards the client', async () => {
+        const db = createLockDb({ failUnlock: true });
+
+        await expect(db.withAdvisoryLock(1, async () => 'done')).rejects.toThrow('unlock failed');
+        expect(db.pool.released[0].message).toBe('unlock failed');
+    });
+
+    test('shared lock inside a task', async () => {
+        const db = createLockDb();
+
+        await db.task((taskDb) => taskDb.withAdvisoryLock([1, 2], async () => {}, { shared: true }));
+
+        expect(db.pool.texts()).toEqual([
+            'SELECT pg_advisory_lock_shared($1::int4, $2::int4) AS result',
+            'SELECT pg_advisory_unlock_shared($1::int4, $2::int4) AS result'
+        ]);
+    });
+
+    test('without waiting', async () => {
+        const db = createLockDb({ held: true });
+        const callback = jest.fn();
+
+        const err = await db.withAdvisoryLock('jobs', callback, { wait: false }).catch((e) => e);
+        expect(err).toBeInstanceOf(AdvisoryLockError);
+        expect(err.key).toBe('jobs');
+        expect(callback).not.toHaveBeenCalled();
+        expect(db.pool.texts()).toEqual(['SELECT pg_try_advisory_lock($1::int8) AS result']);
+
+        expect(new AdvisoryLockError(5n).message).toBe('Advisory lock "5" is held by another session.');
+    });
+
+    test('try lock', async () => {
+        const held = createLockDb({ held: true });
+        const callback = jest.fn();
+
+        expect(await held.tryWithAdvisoryLock('jobs', callback)).toBe(false);
+        expect(callback).not.toHaveBeenCalled();
+        expect(held.pool.texts()).toEqual(['SELECT pg_try_advisory_lock($1::int8) AS result']);
+        expect(held.pool.released).toEqual([null]);
+
+        const free = createLockDb();
+        expect(await free.task((taskDb) => taskDb.tryWithAdvisoryLock(1, async () => 'done', { shared: true }))).toBe('done');
+        expect(free.pool.texts()).toEqual([
+            'SELECT pg_try_advisory_lock_shared($1::int8) AS result',
+            'SELECT pg_advisory_unlock_shared($1::int8) AS result'
+        ]);
+    });
+
+    test('timeout', async () => {
+        const db = createLockDb({ held: true });
+        const callback = jest.fn();
+
+        await expect(db.withAdvisoryLock('jobs', callback, { timeout: 10 })).rejects.toThrow(QueryTimeoutError);
+        expect(callback).not.toHaveBeenCalled();
+        expect(db.pool.released).toContainEqual(expect.any(QueryTimeoutError));
+    });
+});
+
+describe('transaction advisory lock', () => {
+    test('lock and try lock', async () => {
+        const db = createLockDb();
+
+        const acquired = await db.tx(async (txDb) => {
+            expect(await txDb.advisoryXactLock('jobs')).toBe(null);
+            return txDb.tryAdvisoryXactLock(5, { shared: true });
+        });
+
+        expect(acquired).toBe(true);
+        expect(db.pool.texts()).toEqual([
+            'BEGIN',
+            'SELECT pg_advisory_xact_lock($1::int8) AS result',
+            'SELECT pg_try_advisory_xact_lock_shared($1::int8) AS result',
+            'COMMIT'
+        ]);
+    });
+
+    test('try lock returns false when held', async () => {
+        const db = createLockDb({ held: true });
+
+        expect(await db.tx((txDb) => txDb.tryAdvisoryXactLock([1, 2]))).toBe(false);
+    });
+});
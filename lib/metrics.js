@@ -0,0 +1,237 @@
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const fingerprintRules = [
+    // savepoint and cursor names from createSavepointName
+    [/\b_[0-9a-f]{16}\b/g, '_?'],
+    [/'(?:[^']|'')*'/g, '?'],
+    [/\$\d+|\b\d+(?:\.\d+)?\b/g, '?'],
+    [/\s+/g, ' '],
+    [/\?(?: ?, ?\?)+/g, '?'],
+    [/\(\?\)(?: ?, ?\(\?\))+/g, '(?)']
+];
+
+/**
+ * Query text without literals, placeholders or variable length lists, so
+ * statements differing only in values share a label.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function fingerprintQuery(text) {
+    return fingerprintRules.reduce((result, [re, replacement]) => result.replace(re, replacement), text).trim();
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * @param {Object<string, string>} labels
+ * @returns {string} `{name="value",...}`, empty without labels
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+
+    return '{' + entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',') + '}';
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    return value === Infinity ? '+Inf' : String(value);
+}
+
+class Counter {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string} [type] `counter` or `gauge`
+     */
+    constructor(name, help, type = 'counter') {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        /** @type {Map<string, { labels: Object<string, string>, value: number }>} */
+        this.series = new Map();
+    }
+
+    /**
+     * @param {Object<string, string>} labels
+     * @param {number} [amount]
+     */
+    inc(labels, amount = 1) {
+        const key = formatLabels(labels);
+        const series = this.series.get(key);
+        if (series) {
+            series.value += amount;
+        } else {
+            this.series.set(key, {
+                labels,
+                value: amount
+            });
+        }
+    }
+
+    /**
+     * @returns {Array<string>}
+     */
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const [key, { value }] of this.series) {
+            lines.push(`${this.name}${key} ${formatValue(value)}`);
+        }
+
+        return lines;
+    }
+}
+
+class Histogram {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<number>} buckets upper bounds in ascending order
+     */
+    constructor(name, help, buckets) {
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets.concat(Infinity);
+        /** @type {Map<string, { labels: Object<string, string>, counts: Array<number>, sum: number, count: number }>} */
+        this.series = new Map();
+    }
+
+    /**
+     * @param {Object<string, string>} labels
+     * @param {number} value
+     */
+    observe(labels, value) {
+        const key = formatLabels(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = {
+                labels,
+                counts: this.buckets.map(() => 0),
+                sum: 0,
+                count: 0
+            };
+            this.series.set(key, series);
+        }
+
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) {
+                series.counts[i]++;
+            }
+        }
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * @returns {Array<string>}
+     */
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const [key, { labels, counts, sum, count }] of this.series) {
+            for (let i = 0; i < this.buckets.length; i++) {
+                const bucketLabels = formatLabels({
+                    ...labels,
+                    le: formatValue(this.buckets[i])
+                });
+                lines.push(`${this.name}_bucket${bucketLabels} ${counts[i]}`);
+            }
+            lines.push(`${this.name}_sum${key} ${sum}`, `${this.name}_count${key} ${count}`);
+        }
+
+        return lines;
+    }
+}
+
+/**
+ * In-process metrics in the Prometheus text exposition format. Pass one
+ * instance to `Database` and `DatabasePool` and serve {@link DatabaseMetrics#render}.
+ */
+class DatabaseMetrics {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.prefix] prepended to every metric name
+     * @param {Array<number>} [options.buckets] histogram upper bounds in seconds
+     */
+    constructor({
+        prefix = 'js_postgres_',
+        buckets = defaultBuckets
+    } = {}) {
+        this.queryDuration = new Histogram(`${prefix}query_duration_seconds`, 'Time spent executing queries.', buckets);
+        this.clientWaitDuration = new Histogram(`${prefix}client_wait_duration_seconds`, 'Time spent waiting for a pooled client.', buckets);
+        this.totalDuration = new Histogram(`${prefix}query_total_duration_seconds`, 'Time from calling query until it settled.', buckets);
+        this.queryErrors = new Counter(`${prefix}query_errors_total`, 'Failed queries by SQLSTATE.');
+        this.transactions = new Counter(`${prefix}transactions_total`, 'Outermost transaction attempts by outcome.');
+        this.clientsInUse = new Counter(`${prefix}pool_clients_in_use`, 'Clients checked out of the pool.', 'gauge');
+        this.clientsInUse.inc({}, 0);
+    }
+
+    /**
+     * @param {QueryConfig} pgQueryConfig
+     * @param {{ query: number, client?: number, total?: number }} duration milliseconds, as logged
+     * @param {Error} [err]
+     */
+    observeQuery(pgQueryConfig, duration, err) {
+        const labels = {
+            query: pgQueryConfig.name || fingerprintQuery(pgQueryConfig.text)
+        };
+
+        this.queryDuration.observe(labels, duration.query / 1000);
+        if (duration.client !== undefined) {
+            this.clientWaitDuration.observe(labels, duration.client / 1000);
+        }
+        if (duration.total !== undefined) {
+            this.totalDuration.observe(labels, duration.total / 1000);
+        }
+        if (err) {
+            this.queryErrors.inc({
+                code: err.code || 'unknown'
+            });
+        }
+    }
+
+    /**
+     * @param {string} result `commit` or `rollback`
+     */
+    observeTransaction(result) {
+        this.transactions.inc({
+            result
+        });
+    }
+
+    /**
+     * @param {number} change `1` on checkout, `-1` on release
+     */
+    observeClients(change) {
+        this.clientsInUse.inc({}, change);
+    }
+
+    /**
+     * @returns {string}
+     */
+    render() {
+        return [
+            this.queryDuration,
+            this.clientWaitDuration,
+            this.totalDuration,
+            this.queryErrors,
+            this.transactions,
+            this.clientsInUse
+        ].flatMap((metric) => metric.render()).join('\n') + '\n';
+    }
+}
+
+module.exports = {
+    DatabaseMetrics,
+    fingerprintQuery
+};
@@ -0,0 +1,136 @@
+const { DatabasePool } = require('./database');
+const { createFakeDatabase } = require('./testing');
+const { DatabaseMetrics, fingerprintQuery } = require('./metrics');
+
+function createMeteredDb(metrics) {
+    const client = {
+        async query(queryConfig) {
+            if (queryConfig.text === 'error') {
+                throw Object.assign(new Error('duplicate key'), { code: '23505' });
+            }
+            if (queryConfig.text === 'plain error') {
+                throw new Error('plain');
+            }
+
+            return {
+                rows: []
+            };
+        },
+        release() {}
+    };
+
+    return createFakeDatabase({
+        pool: new DatabasePool({
+            pgPool: {
+                async connect() {
+                    return client;
+                }
+            },
+            metrics
+        }),
+        metrics
+    });
+}
+
+/**
+ * @param {string} text
+ * @param {string} name
+ * @returns {Array<string>}
+ */
+function findLines(text, name) {
+    return text.split('\n').filter((line) => line.startsWith(name));
+}
+
+describe('fingerprint', () => {
+    test('values and lists', () => {
+        expect(fingerprintQuery(`SELECT *\n  FROM users WHERE id = $1 AND name = 'a''b' AND n > 2.5`))
+            .toBe('SELECT * FROM users WHERE id = ? AND name = ? AND n > ?');
+        expect(fingerprintQuery('SELECT * FROM t1 WHERE id IN ($1, $2, $3)')).toBe('SELECT * FROM t1 WHERE id IN (?)');
+        expect(fingerprintQuery('INSERT INTO t (a, b) VALUES ($1, $2), ($3, $4), ($5, $6)')).toBe('INSERT INTO t (a, b) VALUES (?)');
+        expect(fingerprintQuery('SAVEPOINT _0123456789abcdef')).toBe('SAVEPOINT _?');
+        expect(fingerprintQuery('FETCH 100 FROM _fedcba9876543210')).toBe('FETCH ? FROM _?');
+    });
+});
+
+describe('metrics', () => {
+    test('query durations by name or fingerprint', async () => {
+        const metrics = new DatabaseMetrics({ buckets: [0.1, 1] });
+        const db = createMeteredDb(metrics);
+
+        await db.query({ text: 'SELECT $1', values: [1] });
+        await db.query({ text: 'SELECT $1', values: [2] });
+        await db.query({ text: 'SELECT 1', name: 'by-name' });
+        const text = metrics.render();
+
+        expect(text).toContain('# TYPE js_postgres_query_duration_seconds histogram');
+        expect(findLines(text, 'js_postgres_query_duration_seconds_bucket{query="SELECT ?"')).toEqual([
+            'js_postgres_query_duration_seconds_bucket{query="SELECT ?",le="0.1"} 2',
+            'js_postgres_query_duration_seconds_bucket{query="SELECT ?",le="1"} 2',
+            'js_postgres_query_duration_seconds_bucket{query="SELECT ?",le="+Inf"} 2'
+        ]);
+        expect(findLines(text, 'js_postgres_query_duration_seconds_count')).toEqual([
+            'js_postgres_query_duration_seconds_count{query="SELECT ?"} 2',
+            'js_postgres_query_duration_seconds_count{query="by-name"} 1'
+        ]);
+        expect(findLines(text, 'js_postgres_client_wait_duration_seconds_count{query="by-name"}')).toEqual([
+            'js_postgres_client_wait_duration_seconds_count{query="by-name"} 1'
+        ]);
+        expect(findLines(text, 'js_postgres_query_total_duration_seconds_sum{query="by-name"}')[0])
+            .toMatch(/^js_postgres_query_total_duration_seconds_sum\{query="by-name"\} [\d.e-]+$/);
+    });
+
+    test('errors by SQLSTATE', async () => {
+        const metrics = new DatabaseMetrics();
+        const db = createMeteredDb(metrics);
+
+        await expect(db.query({ text: 'error' })).rejects.toThrow();
+        await expect(db.task((taskDb) => taskDb.query({ text: 'error' }))).rejects.toThrow();
+        await expect(db.query({ text: 'plain error' })).rejects.toThrow();
+
+        expect(findLines(metrics.render(), 'js_postgres_query_errors_total')).toEqual([
+            'js_postgres_query_errors_total{code="23505"} 2',
+            'js_postgres_query_errors_total{code="unknown"} 1'
+        ]);
+    });
+
+    test('transactions and pool clients', async () => {
+        const metrics = new DatabaseMetrics({ prefix: 'app_' });
+        const db = createMeteredDb(metrics);
+
+        await db.tx(async (txDb) => {
+            await txDb.tx(() => {});
+            expect(findLines(metrics.render(), 'app_pool_clients_in_use')).toEqual(['app_pool_clients_in_use 1']);
+        });
+        await expect(db.tx(() => {
+            throw new Error('rollback');
+        })).rejects.toThrow('rollback');
+        await db.task((taskDb) => taskDb.tx(() => {}));
+
+        const text = metrics.render();
+        expect(findLines(text, 'app_transactions_total')).toEqual([
+            'app_transactions_total{result="commit"} 2',
+            'app_transactions_total{result="rollback"} 1'
+        ]);
+        expect(text).toContain('# TYPE app_pool_clients_in_use gauge\napp_pool_clients_in_use 0\n');
+        expect(findLines(text, 'app_query_duration_seconds_count{query="BEGIN"}')).toEqual([
+            'app_query_duration_seconds_count{query="BEGIN"} 3'
+        ]);
+    });
+
+    test('copy statements and label escaping', async () => {
+        const metrics = new DatabaseMetrics();
+        const db = createMeteredDb(metrics);
+
+        await expect(db.copyFrom('COPY "a\\b" FROM STDIN', null)).rejects.toThrow();
+        await expect(db.task((taskDb) => taskDb.copyFrom('COPY t FROM STDIN', null))).rejects.toThrow();
+
+        const text = metrics.render();
+        expect(findLines(text, 'js_postgres_query_duration_seconds_count')).toEqual([
+            'js_postgres_query_duration_seconds_count{query="COPY \\"a\\\\b\\" FROM STDIN"} 1',
+            'js_postgres_query_duration_seconds_count{query="COPY t FROM STDIN"} 1'
+        ]);
+        expect(findLines(text, 'js_postgres_client_wait_duration_seconds_count')).toEqual([
+            'js_postgres_client_wait_duration_seconds_count{query="COPY \\"a\\\\b\\" FROM STDIN"} 1'
+        ]);
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * Hooks run in the order the middlewares were added. Hooks may be async.
+ *
+ * @typedef DatabaseMiddleware
+ * @property {function(QueryContext): *} [beforeQuery] may replace `context.queryConfig`, or set `context.result`
+ * to answer without running the query, which also skips the other query hooks
+ * @property {function(QueryContext): *} [afterQuery] may replace `context.result`
+ * @property {function(QueryContext): *} [onError] may replace `context.error`, or set it to `null` and
+ * provide `context.result` to recover
+ * @property {function(TransactionContext): *} [beforeTransaction] runs before `BEGIN` or `SAVEPOINT`
+ * @property {function(TransactionContext): *} [afterCommit] failures are logged as `sql-hook-error`, the transaction
+ * stays committed
+ * @property {function(TransactionContext): *} [afterRollback] `context.error` is the error that caused it
+ */
+
+/**
+ * @typedef QueryContext
+ * @property {Queryable} db
+ * @property {QueryConfig} queryConfig
+ * @property {QueryConfig} [pgQueryConfig] the compiled form sent to the driver, once the query ran
+ * @property {{ query: number, client?: number, total?: number }} duration milliseconds
+ * @property {PgResult} [result]
+ * @property {Error|null} error
+ * @property {'hit'|'miss'} [cache] for queries read through the cache store
+ * @property {boolean} copy a COPY statement, `queryConfig` has only `text` and `result` is the `CopyStats`
+ */
+
+/**
+ * @typedef TransactionContext
+ * @property {TransactionDatabase} db
+ * @property {boolean} savepoint
+ * @property {Error|null} error
+ */
+
+/**
+ * Logged form of a query: the positional config sent to the driver, plus the
+ * original named form when it was compiled from `params`.
+ *
+ * @param {QueryConfig} queryConfig
+ * @param {QueryConfig} pgQueryConfig
+ * @returns {Object}
+ */
+function createLogQuery(queryConfig, pgQueryConfig) {
+    if (queryConfig.params === undefined) {
+        return pgQueryConfig;
+    }
+
+    return {
+        ...pgQueryConfig,
+        named: {
+            text: queryConfig.text,
+            params: queryConfig.params
+        }
+    };
+}
+
+/**
+ * @param {Object} logData
+ * @param {Queryable} db
+ * @returns {Object} `logData`, with the session settings of `db` for auditing
+ */
+function addSession(logData, db) {
+    if (db.session) {
+        logData.session = db.session;
+    }
+
+    return logData;
+}
+
+/**
+ * Logs `sql-query` and `sql-error` with the query, its durations and the
+ * session settings of `withSession`. Cached reads also log whether they hit,
+ * COPY statements their `CopyStats`.
+ *
+ * @type {DatabaseMiddleware}
+ */
+const loggingMiddleware = {
+    afterQuery({ db, queryConfig, pgQueryConfig, duration, result, cache, copy }) {
+        const logData = {
+            query: createLogQuery(queryConfig, pgQueryConfig),
+            duration
+        };
+        if (cache) {
+            logData.cache = cache;
+        }
+        if (copy) {
+            logData.copy = result;
+        }
+        db.logger.debug('sql-query', addSession(logData, db));
+    },
+    onError({ db, queryConfig, pgQueryConfig, duration, error }) {
+        db.logger.error('sql-error', addSession({
+            query: createLogQuery(queryConfig, pgQueryConfig || queryConfig),
+            duration,
+            error
+        }, db));
+    }
+};
+
+/**
+ * @param {Array<DatabaseMiddleware>} middlewares
+ * @param {string} hook
+ * @param {QueryContext|TransactionContext} context
+ * @returns {Promise<void>}
+ */
+async function runHooks(middlewares, hook, context) {
+    for (const middleware of middlewares) {
+        if (middleware[hook]) {
+            await middleware[hook](context);
+        }
+    }
+}
+
+/**
+ * @param {Queryable} db
+ * @param {QueryConfig} queryConfig
+ * @param {function(QueryContext): Promise<PgResult>} execute fills in `pgQueryConfig` and `duration`
+ * @param {boolean} [copy] `queryConfig` is a COPY statement
+ * @returns {Promise<PgResult>}
+ */
+async function runQueryMiddleware(db, queryConfig, execute, copy = false) {
+    const context = {
+        db,
+        queryConfig,
+        pgQueryConfig: undefined,
+        duration: {
+            query: 0
+        },
+        result: undefined,
+        error: null,
+        cache: undefined,
+        copy
+    };
+
+    // without beforeQuery hooks the statement is sent in the same tick as the call
+    if (db.middlewares.some((middleware) => middleware.beforeQuery)) {
+        await runHooks(db.middlewares, 'beforeQuery', context);
+        if (context.result !== undefined) {
+            return context.result;
+        }
+    }
+
+    try {
+        context.result = await execute(context);
+    } catch (err) {
+        context.error = err;
+        await runHooks(db.middlewares, 'onError', context);
+        if (context.error) {
+            throw context.error;
+        }
+
+        return context.result;
+    }
+
+    await runHooks(db.middlewares, 'afterQuery', context);
+
+    return context.result;
+}
+
+module.exports = {
+    loggingMiddleware,
+    createLogQuery,
+    addSession,
+    runHooks,
+    runQueryMiddleware
+};
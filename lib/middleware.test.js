@@ -0,0 +1,226 @@
+const { createFakeDatabase } = require('./testing');
+const { loggingMiddleware } = require('./middleware');
+const { UniqueViolationError } = require('./errors');
+const { DatabaseMetrics } = require('./metrics');
+
+function createMiddlewareDb(options) {
+    const db = createFakeDatabase(options);
+    db.pool
+        .respond(() => true, ({ text, values }) => [{ text, values }])
+        .fail('error', '23505', { message: 'duplicate key' });
+
+    return db;
+}
+
+describe('query middleware', () => {
+    test('rewrite query', async () => {
+        const db = createMiddlewareDb().use({
+            async beforeQuery(context) {
+                context.queryConfig = {
+                    ...context.queryConfig,
+                    text: `/* app */ ${context.queryConfig.text}`
+                };
+            }
+        });
+
+        const row = await db.one({ text: 'select :id', params: { id: 1 } });
+
+        expect(row).toEqual({ text: '/* app */ select $1', values: [1] });
+        expect(db.logger.logs[0][1].query.named).toEqual({ text: '/* app */ select :id', params: { id: 1 } });
+    });
+
+    test('short circuit', async () => {
+        const db = createMiddlewareDb();
+        const afterQuery = jest.fn();
+        db.use({
+            beforeQuery(context) {
+                if (context.queryConfig.text === 'cached') {
+                    context.result = { rows: [{ cached: true }] };
+                }
+            },
+            afterQuery
+        });
+
+        expect(await db.one({ text: 'cached' })).toEqual({ cached: true });
+        await db.task((taskDb) => taskDb.query({ text: 'cached' }));
+
+        expect(db.pool.texts()).toEqual([]);
+        expect(db.logger.logs).toEqual([]);
+        expect(afterQuery).not.toHaveBeenCalled();
+    });
+
+    test('replace result', async () => {
+        const db = createMiddlewareDb().use({
+            afterQuery(context) {
+                context.result = {
+                    ...context.result,
+                    rows: context.result.rows.map((row) => ({ ...row, seen: true }))
+                };
+            }
+        });
+
+        expect(await db.one({ text: 'select 1' })).toEqual({ text: 'select 1', values: undefined, seen: true });
+    });
+
+    test('transform and recover errors', async () => {
+        class DuplicateUserError extends Error {}
+        const db = createMiddlewareDb().use({
+            onError(context) {
+                expect(context.error).toBeInstanceOf(UniqueViolationError);
+                if (context.queryConfig.name === 'ignore') {
+                    context.error = null;
+                    context.result = { rows: [] };
+                } else {
+                    context.error = new DuplicateUserError(context.error.message);
+                }
+            }
+        });
+
+        await expect(db.query({ text: 'error' })).rejects.toThrow(DuplicateUserError);
+        await expect(db.tx((txDb) => txDb.query({ text: 'error' }))).rejects.toThrow(DuplicateUserError);
+        expect(await db.any({ text: 'error', name: 'ignore' })).toEqual([]);
+        // the default logging middleware ran first and saw the original error
+        expect(db.logger.logs.filter(([message]) => message === 'sql-error').map(([, { error }]) => error))
+            .toEqual([expect.any(UniqueViolationError), expect.any(UniqueViolationError), expect.any(UniqueViolationError)]);
+    });
+
+    test('errors before the query is sent', async () => {
+        const db = createMiddlewareDb();
+
+        await expect(db.query({ text: 'select :missing', params: {} })).rejects.toThrow('missing');
+
+        expect(db.pool.texts()).toEqual([]);
+        expect(db.logger.logs).toEqual([['sql-error', {
+            query: {
+                text: 'select :missing',
+                params: {},
+                named: { text: 'select :missing', params: {} }
+            },
+            duration: { query: 0 },
+            error: expect.any(Error)
+        }]]);
+    });
+
+    test('replace defaults and inheritance', async () => {
+        const seen = [];
+        const db = createMiddlewareDb({
+            middlewares: [{
+                afterQuery({ db: queryDb, queryConfig }) {
+                    seen.push([queryDb.constructor.name, queryConfig.text]);
+                }
+            }]
+        });
+
+        await db.task(async (taskDb) => {
+            // added while the task runs, the task shares the list
+            db.use({
+                beforeQuery(context) {
+                    context.queryConfig = { text: context.queryConfig.text.toUpperCase() };
+                }
+            });
+            await taskDb.query({ text: 'select task' });
+        });
+        await db.tx((txDb) => txDb.query({ text: 'select tx' }));
+
+        expect(seen).toEqual([
+            ['TaskDatabase', 'SELECT TASK'],
+            ['TransactionDatabase', 'BEGIN'],
+            ['TransactionDatabase', 'SELECT TX'],
+            ['TransactionDatabase', 'COMMIT']
+        ]);
+        expect(db.logger.logs).toEqual([]);
+        expect(db.middlewares[0]).not.toBe(loggingMiddleware);
+    });
+});
+
+describe('transaction middleware', () => {
+    test('commit and rollback', async () => {
+        const events = [];
+        const record = (name) => ({ savepoint, error }) => {
+            events.push([name, savepoint, error && error.message]);
+        };
+        const db = createMiddlewareDb().use({
+            beforeTransaction: record('before'),
+            afterCommit: record('commit'),
+            afterRollback: record('rollback'),
+            afterQuery({ queryConfig }) {
+                events.push(queryConfig.text.replace(/_\w+/, '_'));
+            }
+        });
+
+        await db.tx(async (txDb) => {
+            await expect(txDb.tx(() => {
+                throw new Error('inner');
+            })).rejects.toThrow('inner');
+            await txDb.tx(() => {});
+        });
+        await expect(db.task((taskDb) => taskDb.tx(() => {
+            throw new Error('outer');
+        }))).rejects.toThrow('outer');
+
+        expect(events).toEqual([
+            ['before', false, null],
+            'BEGIN',
+            ['before', true, null],
+            'SAVEPOINT _',
+            'ROLLBACK TO SAVEPOINT _',
+            ['rollback', true, 'inner'],
+            ['before', true, null],
+            'SAVEPOINT _',
+            'RELEASE SAVEPOINT _',
+            ['commit', true, null],
+            'COMMIT',
+            ['commit', false, null],
+            ['before', false, null],
+            'BEGIN',
+            'ROLLBACK',
+            ['rollback', false, 'outer']
+        ]);
+    });
+
+    test('failing hooks', async () => {
+        const db = createMiddlewareDb().use({
+            beforeTransaction({ savepoint }) {
+                if (savepoint) {
+                    throw new Error('before');
+                }
+            },
+            afterCommit() {
+                throw new Error('after');
+            }
+        });
+
+        await expect(db.tx((txDb) => txDb.tx(() => {}))).rejects.toThrow('before');
+        expect(db.pool.texts()).toEqual(['BEGIN', 'ROLLBACK']);
+
+        expect(await db.tx(() => 'committed')).toBe('committed');
+        expect(db.pool.texts().slice(2)).toEqual(['BEGIN', 'COMMIT']);
+        expect(db.logger.logs).toContainEqual(['sql-hook-error', {
+            hook: 'afterCommit',
+            error: expect.objectContaining({ message: 'after' })
+        }]);
+    });
+
+    test('commits are recorded before the hooks run', async () => {
+        const events = [];
+        const metrics = new DatabaseMetrics();
+        const db = createMiddlewareDb({
+            metrics,
+            cacheStore: {
+                async invalidate(tags) {
+                    events.push(['invalidate', tags]);
+                }
+            }
+        }).use({
+            afterCommit({ savepoint }) {
+                events.push(['afterCommit', savepoint]);
+                throw new Error('after');
+            }
+        });
+
+        await db.tx((txDb) => txDb.invalidate('users'));
+
+        expect(events).toEqual([['invalidate', ['users']], ['afterCommit', false]]);
+        expect(metrics.render()).toContain('js_postgres_transactions_total{result="commit"} 1');
+    });
+});
@@ -0,0 +1,407 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { sql } = require('./sql');
+
+const migrationFileRe = /^(\d+)_(.+?)(?:\.(up|down)\.sql|\.js)$/;
+const defaultLockKey = 727_563_001;
+
+class MigrationError extends Error {}
+
+class MigrationChecksumError extends MigrationError {
+    /**
+     * @param {Array<{ version: number, name: string }>} migrations
+     */
+    constructor(migrations) {
+        super(`Applied migrations were edited: ${migrations.map(({ version, name }) => `${version}_${name}`).join(', ')}.`);
+        this.migrations = migrations;
+    }
+}
+
+/**
+ * @typedef Migration
+ * @property {number} version
+ * @property {string} name
+ * @property {string} checksum sha256 of the migration source, up and down steps
+ * @property {MigrationStep} [up]
+ * @property {MigrationStep} [down]
+ */
+/**
+ * @callback MigrationStep
+ * @param {TransactionDatabase} db
+ * @returns {Promise<*>}
+ */
+
+/**
+ * @typedef MigrationStatus
+ * @property {number} version
+ * @property {string} name
+ * @property {boolean} applied
+ * @property {Date|null} appliedAt
+ * @property {boolean} changed the file differs from what was applied
+ * @property {boolean} missing applied but no longer in the directory
+ */
+
+/**
+ * @typedef MigrationPlanStep
+ * @property {number} version
+ * @property {string} name
+ * @property {string} direction `up` or `down`
+ */
+
+/**
+ * @param {...string} sources
+ * @returns {string}
+ */
+function checksum(...sources) {
+    const hash = crypto.createHash('sha256');
+    for (const source of sources) {
+        hash.update(source);
+    }
+
+    return hash.digest('hex');
+}
+
+/**
+ * @param {string} text
+ * @returns {MigrationStep}
+ */
+function sqlStep(text) {
+    return (db) => db.query({ text });
+}
+
+/**
+ * Reads `NNNN_name.up.sql`/`NNNN_name.down.sql` pairs and `NNNN_name.js`
+ * modules exporting `up(db)` and `down(db)`, ordered by version.
+ *
+ * @param {string} directory
+ * @returns {Promise<Array<Migration>>}
+ */
+async function loadMigrations(directory) {
+    const files = await fs.readdir(directory);
+    const migrations = new Map();
+
+    for (const file of files.sort()) {
+        const match = migrationFileRe.exec(file);
+        if (!match) {
+            continue;
+        }
+
+        const [, versionText, name, direction] = match;
+        const version = Number(versionText);
+        const filePath = path.join(directory, file);
+        const source = await fs.readFile(filePath, 'utf8');
+
+        const kind = direction ? 'sql' : 'js';
+        let migration = migrations.get(version);
+        if (!migration) {
+            migration = {
+                version,
+                name,
+                checksum: null,
+                up: null,
+                down: null,
+                kind,
+                sources: {}
+            };
+            migrations.set(version, migration);
+        } else if (migration.name !== name || migration.kind !== kind || kind === 'js' || migration[direction]) {
+            throw new MigrationError(`Migration version ${version} is defined more than once.`);
+        }
+
+        if (direction) {
+            migration[direction] = sqlStep(source);
+            migration.sources[direction] = source;
+        } else {
+            const module = require(path.resolve(filePath));
+            migration.up = module.up || null;
+            migration.down = module.down || null;
+            migration.checksum = checksum(source);
+        }
+    }
+
+    return Array.from(migrations.values(), ({ kind, sources, ...migration }) => {
+        if (!migration.up) {
+            throw new MigrationError(`Migration ${migration.version}_${migration.name} has no up step.`);
+        }
+        if (kind === 'sql') {
+            // a down file added later changes the checksum, like any other edit
+            migration.checksum = sources.down === undefined ? checksum(sources.up) : checksum(sources.up, '\0', sources.down);
+        }
+
+        return migration;
+    }).sort((a, b) => a.version - b.version);
+}
+
+/**
+ * @param {Array<Migration>} migrations
+ * @param {Map<number, Object>} applied
+ * @param {number} to
+ * @returns {Array<{ migration: Migration, direction: string }>}
+ */
+function planUp(migrations, applied, to) {
+    return migrations.filter(({ version }) => version <= to && !applied.has(version)).map((migration) => {
+        return {
+            migration,
+            direction: 'up'
+        };
+    });
+}
+
+/**
+ * @param {Array<Migration>} migrations
+ * @param {Map<number, Object>} applied
+ * @param {number} [to] the version to keep, only the latest one is reverted when omitted
+ * @returns {Array<{ migration: Migration, direction: string }>}
+ */
+function planDown(migrations, applied, to) {
+    const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+    const versions = Array.from(applied.keys()).sort((a, b) => b - a);
+
+    return (to === undefined ? versions.slice(0, 1) : versions.filter((version) => version > to)).map((version) => {
+        const migration = byVersion.get(version);
+        if (!migration || !migration.down) {
+            throw new MigrationError(`Migration ${version}_${applied.get(version).name} has no down step.`);
+        }
+
+        return {
+            migration,
+            direction: 'down'
+        };
+    });
+}
+
+/**
+ * Applies migrations one transaction each, recording them in a table.
+ * Concurrent runners are serialized with a session advisory lock. The table
+ * is created by the first migration that runs; `status` and dry runs only
+ * read, without it nothing is applied.
+ */
+class Migrator {
+    /**
+     * @param {Object} options
+     * @param {Database} options.database
+     * @param {string} options.directory
+     * @param {string} [options.table]
+     * @param {AdvisoryLockKey} [options.lockKey]
+     */
+    constructor({
+        database,
+        directory,
+        table = 'schema_migrations',
+        lockKey = defaultLockKey
+    }) {
+        this.database = database;
+        this.directory = directory;
+        this.table = table;
+        this.lockKey = lockKey;
+    }
+
+    /**
+     * @returns {Promise<Array<MigrationStatus>>}
+     */
+    async status() {
+        return this.withLock(async (db) => {
+            const [migrations, applied] = await Promise.all([
+                loadMigrations(this.directory),
+                this.fetchApplied(db)
+            ]);
+
+            return this.createStatus(migrations, applied);
+        });
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.to] highest version to apply
+     * @param {boolean} [options.dryRun]
+     * @returns {Promise<Array<MigrationPlanStep>>}
+     */
+    up({ to = Infinity, dryRun = false } = {}) {
+        return this.run({ dryRun }, (migrations, applied) => planUp(migrations, applied, to));
+    }
+
+    /**
+     * Reverts the last applied migration, or every one above `to`.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.to] the version to keep, `0` reverts everything
+     * @param {boolean} [options.dryRun]
+     * @returns {Promise<Array<MigrationPlanStep>>}
+     */
+    down({ to, dryRun = false } = {}) {
+        return this.run({ dryRun }, (migrations, applied) => planDown(migrations, applied, to));
+    }
+
+    /**
+     * Migrates up or down until `version` is the latest applied one.
+     *
+     * @param {number} version
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun]
+     * @returns {Promise<Array<MigrationPlanStep>>}
+     */
+    to(version, { dryRun = false } = {}) {
+        return this.run({ dryRun }, (migrations, applied) => {
+            return planDown(migrations, applied, version).concat(planUp(migrations, applied, version));
+        });
+    }
+
+    /**
+     * @param {Object} options
+     * @param {boolean} options.dryRun
+     * @param {function(Array<Migration>, Map<number, Object>): Array<{ migration: Migration, direction: string }>} plan
+     * @returns {Promise<Array<MigrationPlanStep>>}
+     */
+    run({ dryRun }, plan) {
+        return this.withLock(async (db) => {
+            const migrations = await loadMigrations(this.directory);
+            const applied = await this.fetchApplied(db);
+
+            const changed = this.createStatus(migrations, applied).filter((status) => status.changed);
+            if (changed.length > 0) {
+                throw new MigrationChecksumError(changed);
+            }
+
+            const steps = plan(migrations, applied);
+            const result = [];
+            for (const { migration, direction } of steps) {
+                const step = {
+                    version: migration.version,
+                    name: migration.name,
+                    direction
+                };
+                this.database.logger.debug('sql-migration', {
+                    ...step,
+                    dryRun
+                });
+
+                if (!dryRun) {
+                    if (result.length === 0) {
+                        await this.createTable(db);
+                    }
+                    await db.tx(async (txDb) => {
+                        await migration[direction](txDb);
+                        await this.record(txDb, migration, direction);
+                    });
+                }
+                result.push(step);
+            }
+
+            return result;
+        });
+    }
+
+    /**
+     * Holds the advisory lock on one pooled client.
+     *
+     * @param {function(TaskDatabase): Promise<*>} callback
+     * @returns {Promise<*>}
+     */
+    withLock(callback) {
+        return this.database.withAdvisoryLock(this.lockKey, callback);
+    }
+
+    /**
+     * @param {Queryable} db
+     * @returns {Promise<PgResult>}
+     */
+    createTable(db) {
+        return db.query(sql`CREATE TABLE IF NOT EXISTS ${this.tableIdentifier()} (
+            version bigint PRIMARY KEY,
+            name text NOT NULL,
+            checksum text NOT NULL,
+            applied_at timestamptz NOT NULL DEFAULT now()
+        )`);
+    }
+
+    /**
+     * @returns {SqlRaw}
+     */
+    tableIdentifier() {
+        return sql.identifier(...this.table.split('.'));
+    }
+
+    /**
+     * @param {Queryable} db
+     * @returns {Promise<Map<number, { name: string, checksum: string, appliedAt: Date }>>}
+     */
+    async fetchApplied(db) {
+        const { regclass } = await db.one({
+            ...sql`SELECT to_regclass(${this.tableIdentifier().text}) AS regclass`,
+            map: false
+        });
+        if (regclass === null) {
+            return new Map();
+        }
+
+        const rows = await db.any({
+            ...sql`SELECT version, name, checksum, applied_at FROM ${this.tableIdentifier()} ORDER BY version`,
+            map: false
+        });
+
+        return new Map(rows.map((row) => {
+            return [Number(row.version), {
+                name: row.name,
+                checksum: row.checksum,
+                appliedAt: row.applied_at
+            }];
+        }));
+    }
+
+    /**
+     * @param {TransactionDatabase} db
+     * @param {Migration} migration
+     * @param {string} direction
+     * @returns {Promise<null>}
+     */
+    record(db, migration, direction) {
+        if (direction === 'up') {
+            return db.none(sql`INSERT INTO ${this.tableIdentifier()} (version, name, checksum) VALUES (${migration.version}, ${migration.name}, ${migration.checksum})`);
+        }
+
+        return db.none(sql`DELETE FROM ${this.tableIdentifier()} WHERE version = ${migration.version}`);
+    }
+
+    /**
+     * @param {Array<Migration>} migrations
+     * @param {Map<number, Object>} applied
+     * @returns {Array<MigrationStatus>}
+     */
+    createStatus(migrations, applied) {
+        const result = migrations.map(({ version, name, checksum: fileChecksum }) => {
+            const record = applied.get(version);
+            return {
+                version,
+                name,
+                applied: Boolean(record),
+                appliedAt: record ? record.appliedAt : null,
+                changed: Boolean(record) && record.checksum !== fileChecksum,
+                missing: false
+            };
+        });
+
+        const known = new Set(migrations.map(({ version }) => version));
+        for (const [version, record] of applied) {
+            if (!known.has(version)) {
+                result.push({
+                    version,
+                    name: record.name,
+                    applied: true,
+                    appliedAt: record.appliedAt,
+                    changed: false,
+                    missing: true
+                });
+            }
+        }
+
+        return result.sort((a, b) => a.version - b.version);
+    }
+}
+
+module.exports = {
+    Migrator,
+    MigrationError,
+    MigrationChecksumError,
+    loadMigrations
+};
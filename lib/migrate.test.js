@@ -0,0 +1,218 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeDatabase } = require('./testing');
+const { Migrator, MigrationError, MigrationChecksumError, loadMigrations } = require('./migrate');
+
+function createMigrationDir(files) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'js-postgres-migrate-'));
+    for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(directory, name), content);
+    }
+    return directory;
+}
+
+function createMigrationDb() {
+    const applied = new Map();
+    const executed = [];
+    const table = {
+        created: false
+    };
+    const client = {
+        async query({ text, values }) {
+            if (text.includes('pg_advisory')) {
+                executed.push(text.replace(/\(.*$/, ''));
+                return { rows: [{ result: true }] };
+            } else if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(text)) {
+                executed.push(text);
+            } else if (text.startsWith('CREATE TABLE IF NOT EXISTS')) {
+                // table is kept in memory
+                table.created = true;
+            } else if (text.startsWith('SELECT to_regclass')) {
+                return { rows: [{ regclass: table.created ? values[0] : null }] };
+            } else if (text.startsWith('SELECT version, name, checksum, applied_at')) {
+                return {
+                    rows: Array.from(applied.values()).sort((a, b) => a.version - b.version)
+                };
+            } else if (text.startsWith('INSERT INTO')) {
+                const [version, name, checksum] = values;
+                applied.set(version, { version: String(version), name, checksum, applied_at: new Date(0) });
+            } else if (text.startsWith('DELETE FROM')) {
+                applied.delete(values[0]);
+            } else if (text.includes('fail')) {
+                throw new Error('migration failed');
+            } else {
+                executed.push(text.trim());
+            }
+
+            return { rows: [] };
+        }
+    };
+
+    const database = createFakeDatabase({
+        pool: {
+            use(callback) {
+                return callback(client);
+            }
+        }
+    });
+
+    return { database, applied, executed, table, logs: database.logger.logs };
+}
+
+const files = {
+    '0001_users.up.sql': 'create users',
+    '0001_users.down.sql': 'drop users',
+    '0002_posts.js': 'exports.up = (db) => db.query({ text: "create posts" });\nexports.down = (db) => db.query({ text: "drop posts" });\n',
+    '0003_tags.up.sql': 'create tags',
+    '0003_tags.down.sql': 'drop tags',
+    'README.md': 'ignored'
+};
+
+describe('load migrations', () => {
+    test('sql pairs and js modules', async () => {
+        const migrations = await loadMigrations(createMigrationDir(files));
+
+        expect(migrations.map(({ version, name }) => [version, name])).toEqual([[1, 'users'], [2, 'posts'], [3, 'tags']]);
+        expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+        expect(migrations.every(({ up, down }) => typeof up === 'function' && typeof down === 'function')).toBe(true);
+    });
+
+    test('duplicate versions', async () => {
+        await expect(loadMigrations(createMigrationDir({
+            '0001_a.up.sql': '',
+            '0001_b.up.sql': ''
+        }))).rejects.toThrow(MigrationError);
+
+        await expect(loadMigrations(createMigrationDir({
+            '0001_a.js': '',
+            '0001_a.up.sql': ''
+        }))).rejects.toThrow(MigrationError);
+    });
+
+    test('missing up step', async () => {
+        await expect(loadMigrations(createMigrationDir({
+            '0001_a.down.sql': ''
+        }))).rejects.toThrow('has no up step');
+    });
+});
+
+describe('migrator', () => {
+    test('up, down and status', async () => {
+        const { database, applied, executed, logs } = createMigrationDb();
+        const migrator = new Migrator({ database, directory: createMigrationDir(files) });
+
+        const steps = await migrator.up();
+        expect(steps).toEqual([
+            { version: 1, name: 'users', direction: 'up' },
+            { version: 2, name: 'posts', direction: 'up' },
+            { version: 3, name: 'tags', direction: 'up' }
+        ]);
+        expect(executed).toEqual([
+            'SELECT pg_advisory_lock',
+            'BEGIN', 'create users', 'COMMIT',
+            'BEGIN', 'create posts', 'COMMIT',
+            'BEGIN', 'create tags', 'COMMIT',
+            'SELECT pg_advisory_unlock'
+        ]);
+        expect(Array.from(applied.keys())).toEqual([1, 2, 3]);
+        expect(logs.filter(([message]) => message === 'sql-migration').length).toBe(3);
+
+        expect(await migrator.up()).toEqual([]);
+
+        expect(await migrator.down()).toEqual([{ version: 3, name: 'tags', direction: 'down' }]);
+        expect(Array.from(applied.keys())).toEqual([1, 2]);
+
+        const status = await migrator.status();
+        expect(status.map(({ version, applied: isApplied }) => [version, isApplied])).toEqual([[1, true], [2, true], [3, false]]);
+        expect(status[0].appliedAt).toEqual(new Date(0));
+    });
+
+    test('to version', async () => {
+        const { database, applied } = createMigrationDb();
+        const migrator = new Migrator({ database, directory: createMigrationDir(files) });
+
+        await migrator.to(2);
+        expect(Array.from(applied.keys())).toEqual([1, 2]);
+
+        await migrator.to(3);
+        expect(Array.from(applied.keys())).toEqual([1, 2, 3]);
+
+        const steps = await migrator.to(1);
+        expect(steps.map(({ version, direction }) => [version, direction])).toEqual([[3, 'down'], [2, 'down']]);
+
+        await migrator.down({ to: 0 });
+        expect(applied.size).toBe(0);
+    });
+
+    test('dry run', async () => {
+        const { database, applied, executed, table } = createMigrationDb();
+        const migrator = new Migrator({ database, directory: createMigrationDir(files) });
+
+        expect((await migrator.up({ to: 2, dryRun: true })).length).toBe(2);
+        expect(applied.size).toBe(0);
+        expect(executed).toEqual(['SELECT pg_advisory_lock', 'SELECT pg_advisory_unlock']);
+        expect(table.created).toBe(false);
+    });
+
+    test('status without the table', async () => {
+        const { database, table } = createMigrationDb();
+        const migrator = new Migrator({ database, directory: createMigrationDir(files) });
+
+        expect((await migrator.status()).map(({ applied }) => applied)).toEqual([false, false, false]);
+        expect(await migrator.up({ to: 0 })).toEqual([]);
+        expect(table.created).toBe(false);
+    });
+
+    test('edited after apply', async () => {
+        const { database } = createMigrationDb();
+        const directory = createMigrationDir(files);
+        const migrator = new Migrator({ database, directory });
+
+        await migrator.up({ to: 1 });
+        fs.writeFileSync(path.join(directory, '0001_users.up.sql'), 'create users with more columns');
+
+        await expect(migrator.up()).rejects.toThrow(MigrationChecksumError);
+        expect((await migrator.status())[0].changed).toBe(true);
+    });
+
+    test('down steps are part of the checksum', async () => {
+        const { database } = createMigrationDb();
+        const directory = createMigrationDir(files);
+        const migrator = new Migrator({ database, directory });
+
+        await migrator.up();
+        fs.writeFileSync(path.join(directory, '0003_tags.down.sql'), 'drop tags cascade');
+
+        await expect(migrator.down()).rejects.toThrow(MigrationChecksumError);
+        expect((await migrator.status()).map(({ changed }) => changed)).toEqual([false, false, true]);
+    });
+
+    test('failed migration is rolled back and unlocks', async () => {
+        const { database, applied, executed } = createMigrationDb();
+        const migrator = new Migrator({
+            database,
+            directory: createMigrationDir({
+                '0001_ok.up.sql': 'ok',
+                '0002_bad.up.sql': 'fail'
+            })
+        });
+
+        await expect(migrator.up()).rejects.toThrow('migration failed');
+        expect(Array.from(applied.keys())).toEqual([1]);
+        expect(executed.slice(-2)).toEqual(['ROLLBACK', 'SELECT pg_advisory_unlock']);
+    });
+
+    test('missing down step and missing file', async () => {
+        const { database, applied } = createMigrationDb();
+        const directory = createMigrationDir({ '0001_a.up.sql': 'a' });
+        const migrator = new Migrator({ database, directory, table: 'public.migrations' });
+
+        await migrator.up();
+        await expect(migrator.down()).rejects.toThrow('has no down step');
+
+        applied.set(5, { version: '5', name: 'gone', checksum: 'x', applied_at: new Date(0) });
+        const status = await migrator.status();
+        expect(status[1]).toEqual(expect.objectContaining({ version: 5, missing: true }));
+    });
+});
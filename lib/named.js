@@ -0,0 +1,214 @@
+const nameStartRe = /[A-Za-z_]/;
+const nameRe = /[A-Za-z0-9_]/;
+const digitRe = /[0-9]/;
+const dollarTagRe = /^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/;
+
+class NamedParameterError extends Error {
+    /**
+     * @param {string} name
+     */
+    constructor(name) {
+        super(`Missing value for named parameter ":${name}".`);
+        this.parameter = name;
+    }
+}
+
+/**
+ * @param {string} text
+ * @param {number} start index of the opening quote
+ * @param {string} quote
+ * @param {boolean} backslashEscapes
+ * @returns {number} index after the closing quote
+ */
+function skipQuoted(text, start, quote, backslashEscapes) {
+    let i = start + 1;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (backslashEscapes && char === '\\') {
+            i += 2;
+        } else if (char === quote) {
+            if (text[i + 1] !== quote) {
+                return i + 1;
+            }
+            i += 2;
+        } else {
+            i++;
+        }
+    }
+
+    return i;
+}
+
+/**
+ * @param {string} text
+ * @param {number} start
+ * @returns {number} index after the `:name` parameter at `start`, -1 if there is none
+ */
+function matchNamedParameter(text, start) {
+    if (text[start] !== ':' || !nameStartRe.test(text[start + 1] || '')) {
+        return -1;
+    }
+
+    let end = start + 2;
+    while (end < text.length && nameRe.test(text[end])) {
+        end++;
+    }
+
+    return end;
+}
+
+/**
+ * @param {string} text
+ * @param {number} start
+ * @returns {number} index after the `$n` placeholder at `start`, -1 if there is none
+ */
+function matchPositionalParameter(text, start) {
+    // `$` continues an identifier such as `a$1`
+    if (text[start] !== '$' || nameRe.test(text[start - 1] || '')) {
+        return -1;
+    }
+
+    let end = start + 1;
+    while (end < text.length && digitRe.test(text[end])) {
+        end++;
+    }
+
+    return end === start + 1 ? -1 : end;
+}
+
+/**
+ * Splits SQL into literal chunks and the placeholders found by
+ * `matchPlaceholder`. String literals, quoted identifiers, dollar-quoted
+ * bodies, comments and `::` casts are left untouched.
+ *
+ * @param {string} text
+ * @param {function(string, number): number} matchPlaceholder
+ * @returns {{ strings: Array<string>, placeholders: Array<string> }}
+ */
+function splitPlaceholders(text, matchPlaceholder) {
+    const strings = [];
+    const placeholders = [];
+    let chunkStart = 0;
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        const next = text[i + 1];
+        const tag = char === '$' && !nameRe.test(text[i - 1] || '') ? dollarTagRe.exec(text.slice(i)) : null;
+
+        if (char === '\'') {
+            const escaped = i > 0 && (text[i - 1] === 'E' || text[i - 1] === 'e') && !nameRe.test(text[i - 2] || '');
+            i = skipQuoted(text, i, '\'', escaped);
+        } else if (char === '"') {
+            i = skipQuoted(text, i, '"', false);
+        } else if (char === '-' && next === '-') {
+            const end = text.indexOf('\n', i);
+            i = end === -1 ? text.length : end;
+        } else if (char === '/' && next === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 2;
+        } else if (tag) {
+            const end = text.indexOf(tag[0], i + tag[0].length);
+            i = end === -1 ? text.length : end + tag[0].length;
+        } else if (char === ':' && next === ':') {
+            i += 2;
+        } else {
+            const end = matchPlaceholder(text, i);
+            if (end === -1) {
+                i++;
+            } else {
+                strings.push(text.slice(chunkStart, i));
+                placeholders.push(text.slice(i, end));
+                chunkStart = end;
+                i = end;
+            }
+        }
+    }
+
+    strings.push(text.slice(chunkStart));
+
+    return {
+        strings,
+        placeholders
+    };
+}
+
+/**
+ * Splits named-parameter SQL into literal chunks and parameter names.
+ *
+ * @param {string} text
+ * @returns {{ strings: Array<string>, names: Array<string> }}
+ */
+function parseNamedText(text) {
+    const { strings, placeholders } = splitPlaceholders(text, matchNamedParameter);
+
+    return {
+        strings,
+        names: placeholders.map((placeholder) => placeholder.slice(1))
+    };
+}
+
+/**
+ * Splits positional SQL into literal chunks and the numbers of its `$n`
+ * placeholders.
+ *
+ * @param {string} text
+ * @returns {{ strings: Array<string>, positions: Array<number> }}
+ */
+function parsePositionalText(text) {
+    const { strings, placeholders } = splitPlaceholders(text, matchPositionalParameter);
+
+    return {
+        strings,
+        positions: placeholders.map((placeholder) => Number(placeholder.slice(1)))
+    };
+}
+
+/**
+ * Translates `{ text, params }` with `:name` placeholders into a positional
+ * {@link QueryConfig}. Repeated names share one `$n` value. Configs without
+ * `params` are returned as is.
+ *
+ * @param {QueryConfig} queryConfig
+ * @returns {QueryConfig}
+ */
+function compileNamedQuery(queryConfig) {
+    const { params, ...rest } = queryConfig;
+    if (params === undefined) {
+        return queryConfig;
+    }
+    if (queryConfig.values !== undefined) {
+        throw new TypeError('QueryConfig cannot have both "values" and "params".');
+    }
+
+    const { strings, names } = parseNamedText(queryConfig.text);
+    const positions = new Map();
+    const values = [];
+    let text = strings[0];
+
+    names.forEach((name, i) => {
+        if (!positions.has(name)) {
+            if (!Object.prototype.hasOwnProperty.call(params, name)) {
+                throw new NamedParameterError(name);
+            }
+            values.push(params[name]);
+            positions.set(name, values.length);
+        }
+
+        text += '$' + positions.get(name) + strings[i + 1];
+    });
+
+    return {
+        ...rest,
+        text,
+        values
+    };
+}
+
+module.exports = {
+    compileNamedQuery,
+    parsePositionalText,
+    NamedParameterError
+};
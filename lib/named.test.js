@@ -0,0 +1,93 @@
+const { compileNamedQuery, NamedParameterError } = require('./named');
+
+describe('named parameters', () => {
+    test('config without params is returned as is', () => {
+        const queryConfig = {
+            text: 'select $1',
+            values: [1]
+        };
+
+        expect(compileNamedQuery(queryConfig)).toBe(queryConfig);
+    });
+
+    test('names become positional placeholders', () => {
+        const result = compileNamedQuery({
+            text: 'select * from users where id = :id and org = :org',
+            params: {
+                id: 1,
+                org: 'a'
+            },
+            name: 'users'
+        });
+
+        expect(result).toEqual({
+            text: 'select * from users where id = $1 and org = $2',
+            values: [1, 'a'],
+            name: 'users'
+        });
+    });
+
+    test('repeated names reuse one value', () => {
+        const result = compileNamedQuery({
+            text: 'select :a, :b, :a',
+            params: {
+                a: 1,
+                b: 2
+            }
+        });
+
+        expect(result.text).toBe('select $1, $2, $1');
+        expect(result.values).toEqual([1, 2]);
+    });
+
+    test('casts, literals, identifiers and comments are ignored', () => {
+        const result = compileNamedQuery({
+            text: [
+                'select :id::int, \':not\', \'it\'\'s :not\', E\'\\\' :not\', "col:not",',
+                '$$ :not $$, $tag$ :not $tag$, $1 -- :not',
+                '/* :not */ from t where x = :x'
+            ].join('\n'),
+            params: {
+                id: 1,
+                x: 2
+            }
+        });
+
+        expect(result.text).toBe([
+            'select $1::int, \':not\', \'it\'\'s :not\', E\'\\\' :not\', "col:not",',
+            '$$ :not $$, $tag$ :not $tag$, $1 -- :not',
+            '/* :not */ from t where x = $2'
+        ].join('\n'));
+        expect(result.values).toEqual([1, 2]);
+    });
+
+    test('unterminated tokens run to the end of text', () => {
+        for (const text of ['\'abc', 'E\'abc', '$$ abc', 'select :', 'select \'abc', 'select "abc', 'select /* abc', 'select $$ abc', 'select 1 -- abc']) {
+            expect(compileNamedQuery({ text, params: {} }).text).toBe(text);
+        }
+    });
+
+    test('missing key', () => {
+        expect(() => compileNamedQuery({
+            text: 'select :id, :org',
+            params: {
+                id: 1
+            }
+        })).toThrow(NamedParameterError);
+
+        expect(() => compileNamedQuery({
+            text: 'select :id',
+            params: {}
+        })).toThrow(':id');
+    });
+
+    test('values and params together', () => {
+        expect(() => compileNamedQuery({
+            text: 'select :id',
+            values: [1],
+            params: {
+                id: 1
+            }
+        })).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { quoteIdentifier } = require('./sql');
+const { getOperation } = require('./util');
+
+/**
+ * @typedef AutoPrepareOptions
+ * @property {number} [maxStatements] prepared statements kept per connection, the least recently used are deallocated
+ */
+
+class PreparedStatementConflictError extends Error {
+    /**
+     * @param {string} statementName
+     * @param {string} text
+     * @param {string} preparedText
+     */
+    constructor(statementName, text, preparedText) {
+        super(`Prepared statement ${statementName} is already used for a different query.`);
+        this.statementName = statementName;
+        this.text = text;
+        this.preparedText = preparedText;
+    }
+}
+
+/**
+ * Stable across processes, so statements can be recognized in `pg_prepared_statements`.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function createStatementName(text) {
+    return 'js_' + crypto.createHash('sha256').update(text).digest('hex').slice(0, 24);
+}
+
+/**
+ * Names parameterized queries after their text and keeps track of the
+ * statements prepared on each connection. Queries without values, including
+ * parameterless `sql` fragments, are left unnamed: they may hold several
+ * statements, which cannot be prepared. So are cursor declarations, whose
+ * text includes a cursor name that differs on every `stream`.
+ */
+class PreparedStatementCache {
+    /**
+     * @param {AutoPrepareOptions} [options]
+     */
+    constructor({ maxStatements = 100 } = {}) {
+        if (!(Number.isInteger(maxStatements) && maxStatements > 0)) {
+            throw new TypeError('autoPrepare.maxStatements must be a positive integer.');
+        }
+
+        this.maxStatements = maxStatements;
+        /** @type {Map<string, string>} texts of names given in `QueryConfig`, shared by all connections */
+        this.names = new Map();
+        /** @type {WeakMap<PgClient, Map<string, string>>} prepared texts by name, least recently used first */
+        this.clients = new WeakMap();
+    }
+
+    /**
+     * Checked before a client is acquired, so conflicting names fail without
+     * reaching the server.
+     *
+     * @param {QueryConfig} pgQueryConfig
+     * @returns {string|null} `null` for queries that are not prepared
+     */
+    resolveName(pgQueryConfig) {
+        const { name, text } = pgQueryConfig;
+        if (name === undefined) {
+            // like the driver, which only uses the extended protocol with values
+            const { values } = pgQueryConfig;
+            return values && values.length > 0 && getOperation(text) !== 'DECLARE' ? createStatementName(text) : null;
+        }
+
+        const knownText = this.names.get(name);
+        if (knownText === undefined) {
+            this.names.set(name, text);
+        } else if (knownText !== text) {
+            throw new PreparedStatementConflictError(name, text, knownText);
+        }
+
+        return name;
+    }
+
+    /**
+     * Records the statement as prepared on `pgClient`, deallocating the least
+     * recently used one beyond `maxStatements`.
+     *
+     * @param {PgClient} pgClient
+     * @param {string} name
+     * @param {string} text
+     * @returns {Promise<void>}
+     */
+    async use(pgClient, name, text) {
+        let statements = this.clients.get(pgClient);
+        if (!statements) {
+            statements = new Map();
+            this.clients.set(pgClient, statements);
+        }
+
+        const preparedText = statements.get(name);
+        if (preparedText !== undefined && preparedText !== text) {
+            throw new PreparedStatementConflictError(name, text, preparedText);
+        }
+        statements.delete(name);
+        statements.set(name, text);
+
+        if (statements.size > this.maxStatements) {
+            const [evicted] = statements.keys();
+            statements.delete(evicted);
+            await deallocate(pgClient, evicted);
+        }
+    }
+
+    /**
+     * Called when a statement recorded by `use` failed. It stays recorded
+     * only if the driver reports it as parsed, otherwise the server never
+     * created it and deallocating it later would abort the transaction.
+     *
+     * @param {PgClient} pgClient
+     * @param {string} name
+     */
+    discardFailed(pgClient, name) {
+        const parsedStatements = pgClient.connection && pgClient.connection.parsedStatements;
+        if (parsedStatements && parsedStatements[name] !== undefined) {
+            return;
+        }
+
+        const statements = this.clients.get(pgClient);
+        if (statements) {
+            statements.delete(name);
+        }
+    }
+}
+
+/**
+ * @param {PgClient} pgClient
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+async function deallocate(pgClient, name) {
+    try {
+        await pgClient.query({
+            text: `DEALLOCATE ${quoteIdentifier(name)}`
+        });
+    } catch (err) {
+        // e.g. in an aborted transaction; the statement stays prepared and the driver keeps reusing it
+        return;
+    }
+
+    // the driver skips parsing statements it believes to be prepared
+    if (pgClient.connection && pgClient.connection.parsedStatements) {
+        delete pgClient.connection.parsedStatements[name];
+    }
+}
+
+/**
+ * @param {AutoPrepareOptions|boolean} [options]
+ * @returns {PreparedStatementCache|null}
+ */
+function createPreparedStatementCache(options) {
+    if (!options) {
+        return null;
+    }
+
+    return new PreparedStatementCache(options === true ? {} : options);
+}
+
+module.exports = {
+    PreparedStatementConflictError,
+    PreparedStatementCache,
+    createStatementName,
+    createPreparedStatementCache
+};
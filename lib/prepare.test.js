@@ -0,0 +1,200 @@
+const { createFakeDatabase } = require('./testing');
+const { sql } = require('./sql');
+const { PreparedStatementConflictError, PreparedStatementCache, createStatementName } = require('./prepare');
+
+function createPreparingClient(name, history) {
+    return {
+        connection: {
+            parsedStatements: {}
+        },
+        async query(queryConfig) {
+            history.push([name, queryConfig.name, queryConfig.text]);
+            if (queryConfig.text.startsWith('DEALLOCATE')) {
+                if (queryConfig.text.includes('fail')) {
+                    throw new Error('current transaction is aborted');
+                }
+            } else if (queryConfig.text.includes('syntax')) {
+                throw Object.assign(new Error('syntax error'), { code: '42601' });
+            } else if (queryConfig.name) {
+                this.connection.parsedStatements[queryConfig.name] = queryConfig.text;
+            }
+            if (queryConfig.text.includes('violation')) {
+                throw Object.assign(new Error('unique violation'), { code: '23505' });
+            }
+
+            return { rows: [] };
+        }
+    };
+}
+
+function createPreparingDb(autoPrepare = true) {
+    const history = [];
+    const clients = [createPreparingClient('client0', history), createPreparingClient('client1', history)];
+    let next = 0;
+
+    const db = createFakeDatabase({
+        pool: {
+            use(callback) {
+                return callback(clients[next++ % clients.length]);
+            }
+        },
+        autoPrepare
+    });
+    db.history = history;
+    db.clients = clients;
+
+    return db;
+}
+
+describe('statement names', () => {
+    test('derived from the text', () => {
+        expect(createStatementName('select $1')).toMatch(/^js_[0-9a-f]{24}$/);
+        expect(createStatementName('select $1')).toBe(createStatementName('select $1'));
+        expect(createStatementName('select $1')).not.toBe(createStatementName('select $2'));
+    });
+
+    test('only parameterized queries', () => {
+        const cache = new PreparedStatementCache();
+
+        expect(cache.resolveName({ text: 'BEGIN' })).toBeNull();
+        expect(cache.resolveName({ text: 'CREATE TABLE a(); CREATE TABLE b()', values: [] })).toBeNull();
+        expect(cache.resolveName({ text: 'select $1', values: [1] })).toBe(createStatementName('select $1'));
+        expect(cache.resolveName({ text: 'DECLARE c NO SCROLL CURSOR FOR select $1', values: [1] })).toBeNull();
+        expect(cache.resolveName({ text: 'select 1', name: 'one' })).toBe('one');
+    });
+
+    test('invalid options', () => {
+        expect(() => new PreparedStatementCache({ maxStatements: 0 })).toThrow('maxStatements');
+    });
+});
+
+describe('auto prepare', () => {
+    test('names reach the driver only', async () => {
+        const db = createPreparingDb();
+        const name = createStatementName('select $1');
+
+        await db.query({ text: 'select $1', values: [1] });
+        await db.task((taskDb) => taskDb.query({ text: 'select :id', params: { id: 2 } }));
+        await db.query({ text: 'select 1' });
+
+        expect(db.history).toEqual([
+            ['client0', name, 'select $1'],
+            ['client1', name, 'select $1'],
+            ['client0', undefined, 'select 1']
+        ]);
+        expect(db.logger.logs.map(([, { query }]) => query.name)).toEqual([undefined, undefined, undefined]);
+    });
+
+    test('least recently used statements are deallocated', async () => {
+        const db = createPreparingDb({ maxStatements: 2 });
+        const [a, b, c] = ['select $1 as a', 'select $1 as b', 'select $1 as c'].map(createStatementName);
+
+        await db.task(async (taskDb) => {
+            await taskDb.query({ text: 'select $1 as a', values: [1] });
+            await taskDb.query({ text: 'select $1 as b', values: [1] });
+            await taskDb.query({ text: 'select $1 as a', values: [1] });
+            await taskDb.query({ text: 'select $1 as c', values: [1] });
+        });
+
+        expect(db.history.map(([, , text]) => text)).toEqual([
+            'select $1 as a',
+            'select $1 as b',
+            'select $1 as a',
+            `DEALLOCATE "${b}"`,
+            'select $1 as c'
+        ]);
+        expect(Object.keys(db.clients[0].connection.parsedStatements)).toEqual([a, c]);
+    });
+
+    test('failed deallocation keeps the statement', async () => {
+        const db = createPreparingDb({ maxStatements: 1 });
+
+        await db.task(async (taskDb) => {
+            await taskDb.query({ text: 'select 1', name: 'fail' });
+            await taskDb.query({ text: 'select $1', values: [1] });
+        });
+
+        expect(db.history.map(([, , text]) => text)).toEqual(['select 1', 'DEALLOCATE "fail"', 'select $1']);
+        expect(Object.keys(db.clients[0].connection.parsedStatements)).toEqual(['fail', createStatementName('select $1')]);
+    });
+
+    test('parameterless sql fragments are not prepared', async () => {
+        const db = createPreparingDb();
+
+        await db.query(sql`CREATE TABLE a(); CREATE TABLE b()`);
+
+        expect(db.history).toEqual([['client0', undefined, 'CREATE TABLE a(); CREATE TABLE b()']]);
+    });
+
+    test('cursors are not prepared', async () => {
+        const db = createPreparingDb();
+
+        const rows = [];
+        for await (const row of db.stream({ text: 'select $1', values: [1] })) {
+            rows.push(row);
+        }
+
+        expect(rows).toEqual([]);
+
+        expect(db.history.map(([, name, text]) => [name, text.split(' ')[0]])).toEqual([
+            [undefined, 'BEGIN'],
+            [undefined, 'DECLARE'],
+            [undefined, 'FETCH'],
+            [undefined, 'CLOSE'],
+            [undefined, 'COMMIT']
+        ]);
+    });
+
+    test('statements that failed to parse are forgotten', async () => {
+        const db = createPreparingDb({ maxStatements: 1 });
+        const violation = createStatementName('insert violation $1');
+
+        await db.task(async (taskDb) => {
+            await expect(taskDb.query({ text: 'select syntax $1', values: [1] })).rejects.toThrow('syntax error');
+            await taskDb.query({ text: 'select $1', values: [1] });
+            await expect(taskDb.query({ text: 'insert violation $1', values: [1] })).rejects.toThrow('unique violation');
+            await taskDb.query({ text: 'select $1', values: [1] });
+        });
+
+        expect(db.history.map(([, , text]) => text)).toEqual([
+            'select syntax $1',
+            'select $1',
+            `DEALLOCATE "${createStatementName('select $1')}"`,
+            'insert violation $1',
+            `DEALLOCATE "${violation}"`,
+            'select $1'
+        ]);
+    });
+
+    test('conflicting names are rejected before reaching the server', async () => {
+        const db = createPreparingDb();
+
+        await db.query({ text: 'select 1', name: 'user' });
+        await expect(db.query({ text: 'select 2', name: 'user' })).rejects.toThrow(PreparedStatementConflictError);
+        await expect(db.tx((txDb) => txDb.query({ text: 'select 2', name: 'user' }))).rejects.toMatchObject({
+            statementName: 'user',
+            text: 'select 2',
+            preparedText: 'select 1'
+        });
+
+        expect(db.history.filter(([, name]) => name === 'user')).toEqual([['client0', 'user', 'select 1']]);
+    });
+
+    test('conflicts on a connection', async () => {
+        const cache = new PreparedStatementCache();
+        const client = {};
+
+        await cache.use(client, 'js_x', 'select 1');
+        await expect(cache.use(client, 'js_x', 'select 2')).rejects.toThrow(PreparedStatementConflictError);
+        await cache.use({}, 'js_x', 'select 2');
+    });
+
+    test('disabled', async () => {
+        const db = createPreparingDb(false);
+
+        await db.query({ text: 'select $1', values: [1] });
+
+        expect(db.history).toEqual([['client0', undefined, 'select $1']]);
+        expect(db.preparedStatements).toBeNull();
+    });
+});
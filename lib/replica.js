@@ -0,0 +1,204 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { wrapDatabaseError, ConnectionError } = require('./errors');
+const { getOperation } = require('./util');
+
+const readOperations = new Set(['SELECT', 'VALUES', 'TABLE', 'SHOW', 'WITH']);
+// transaction control, cursors and session state, neither a read for a replica nor a write
+const controlOperations = new Set([
+    'BEGIN', 'START', 'COMMIT', 'END', 'ROLLBACK', 'ABORT', 'SAVEPOINT', 'RELEASE', 'PREPARE',
+    'DECLARE', 'FETCH', 'MOVE', 'CLOSE', 'SET', 'RESET', 'DEALLOCATE', 'DISCARD', 'LISTEN', 'UNLISTEN'
+]);
+// data-modifying CTEs, SELECT INTO and row locks need the primary; literals may cause false positives, which only cost a primary read
+const writeRe = /\b(?:INSERT|UPDATE|DELETE|MERGE|INTO|FOR\s+(?:NO\s+KEY\s+)?UPDATE|FOR\s+(?:KEY\s+)?SHARE)\b/i;
+const strategies = new Set(['round-robin', 'least-busy']);
+
+/**
+ * @typedef ReplicaOptions
+ * @property {Array<DatabasePoolInterface>} pools
+ * @property {string} [strategy] `round-robin` or `least-busy`
+ * @property {number} [stickyMs] reads in a request context go to the primary for this long after a write
+ * @property {number} [ejectMs] how long a replica that failed to connect is skipped
+ */
+
+/**
+ * Whether a statement can run on a replica. Functions with side effects,
+ * e.g. `nextval`, are not detected, pin such calls with `primary: true`.
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isReadQuery(text) {
+    return readOperations.has(getOperation(text)) && !writeRe.test(text);
+}
+
+/**
+ * Whether a statement starts the read-your-writes window, i.e. it is
+ * neither a read nor transaction, cursor or session control.
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isWriteQuery(text) {
+    return !isReadQuery(text) && !controlOperations.has(getOperation(text));
+}
+
+/**
+ * Sends reads to replicas and everything else to the primary. Stickiness
+ * is tracked per request context, outside of one reads are never sticky.
+ */
+class ReplicaRouter {
+    /**
+     * @param {Object} options
+     * @param {DatabasePoolInterface} options.primary
+     * @param {DatabaseLoggerInterface} options.logger
+     * @param {Array<DatabasePoolInterface>} options.pools
+     * @param {string} [options.strategy]
+     * @param {number} [options.stickyMs]
+     * @param {number} [options.ejectMs]
+     */
+    constructor({
+        primary,
+        logger,
+        pools,
+        strategy = 'round-robin',
+        stickyMs = 1000,
+        ejectMs = 30000
+    }) {
+        if (!Array.isArray(pools) || pools.length === 0) {
+            throw new TypeError('replicas.pools must be a non-empty array.');
+        }
+        if (!strategies.has(strategy)) {
+            throw new TypeError(`replicas.strategy must be round-robin or least-busy, got ${strategy}.`);
+        }
+
+        this.primary = primary;
+        this.logger = logger;
+        this.replicas = pools.map((pool, index) => ({
+            index,
+            pool,
+            active: 0,
+            ejectedUntil: 0
+        }));
+        this.strategy = strategy;
+        this.stickyMs = stickyMs;
+        this.ejectMs = ejectMs;
+        this.nextIndex = 0;
+        this.storage = new AsyncLocalStorage();
+    }
+
+    /**
+     * @param {function(): *} callback
+     * @returns {*}
+     */
+    runInContext(callback) {
+        return this.storage.run({ lastWriteTime: -Infinity }, callback);
+    }
+
+    /**
+     * Starts the sticky window of the current request context.
+     */
+    markWrite() {
+        const store = this.storage.getStore();
+        if (store) {
+            store.lastWriteTime = Date.now();
+        }
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isSticky() {
+        const store = this.storage.getStore();
+        return Boolean(store) && Date.now() - store.lastWriteTime < this.stickyMs;
+    }
+
+    /**
+     * Replicas that are not ejected, in the order they should be tried.
+     *
+     * @returns {Array<Object>}
+     */
+    selectReplicas() {
+        const now = Date.now();
+        const start = this.nextIndex++ % this.replicas.length;
+        const replicas = this.replicas
+            .slice(start)
+            .concat(this.replicas.slice(0, start))
+            .filter((replica) => replica.ejectedUntil <= now);
+        if (this.strategy === 'least-busy') {
+            // stable, ties keep the round-robin order
+            replicas.sort((a, b) => a.active - b.active);
+        }
+
+        return replicas;
+    }
+
+    /**
+     * @param {QueryConfig} pgQueryConfig
+     * @param {boolean} pinned
+     * @param {function(PgClient, DatabasePoolInterface): Promise<*>} callback
+     * @param {PoolUseOptions} [options]
+     * @returns {Promise<*>}
+     */
+    async use(pgQueryConfig, pinned, callback, options) {
+        const read = isReadQuery(pgQueryConfig.text);
+        if (!read) {
+            try {
+                return await this.primary.use((client) => callback(client, this.primary), options);
+            } finally {
+                if (isWriteQuery(pgQueryConfig.text)) {
+                    this.markWrite();
+                }
+            }
+        }
+        if (pinned || this.isSticky()) {
+            return this.primary.use((client) => callback(client, this.primary), options);
+        }
+
+        for (const replica of this.selectReplicas()) {
+            replica.active++;
+            try {
+                return await replica.pool.use((client) => callback(client, replica.pool), options);
+            } catch (err) {
+                if (!(wrapDatabaseError(err) instanceof ConnectionError)) {
+                    throw err;
+                }
+
+                replica.ejectedUntil = Date.now() + this.ejectMs;
+                this.logger.error('sql-replica-ejected', {
+                    replica: replica.index,
+                    ejectMs: this.ejectMs,
+                    error: err
+                });
+            } finally {
+                replica.active--;
+            }
+        }
+
+        return this.primary.use((client) => callback(client, this.primary), options);
+    }
+}
+
+/**
+ * @param {ReplicaOptions} [options]
+ * @param {DatabasePoolInterface} primary
+ * @param {DatabaseLoggerInterface} logger
+ * @returns {ReplicaRouter|null}
+ */
+function createReplicaRouter(options, primary, logger) {
+    if (!options) {
+        return null;
+    }
+
+    return new ReplicaRouter({
+        ...options,
+        primary,
+        logger
+    });
+}
+
+module.exports = {
+    ReplicaRouter,
+    isReadQuery,
+    isWriteQuery,
+    createReplicaRouter
+};
@@ -0,0 +1,257 @@
+const { createFakeDatabase } = require('./testing');
+const { isReadQuery, isWriteQuery } = require('./replica');
+const { QueryTimeoutError } = require('./cancel');
+
+function createFakePool(name, history, { down = false, slow = false } = {}) {
+    return {
+        down,
+        use(callback) {
+            if (this.down) {
+                return Promise.reject(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+            }
+
+            return callback({
+                processID: name,
+                async query(queryConfig) {
+                    history.push([name, queryConfig.text]);
+                    if (queryConfig.text === 'syntax') {
+                        throw Object.assign(new Error('syntax error'), { code: '42601' });
+                    }
+                    if (slow && queryConfig.text.startsWith('SELECT slow')) {
+                        await new Promise((resolve) => setTimeout(resolve, 20));
+                    }
+
+                    return { rows: [{ name }], primary: queryConfig.primary };
+                }
+            });
+        }
+    };
+}
+
+function createReplicatedDb(replicas = {}, poolOptions = {}) {
+    const history = [];
+    const db = createFakeDatabase({
+        pool: createFakePool('primary', history),
+        replicas: {
+            pools: [
+                createFakePool('replica0', history, poolOptions),
+                createFakePool('replica1', history, poolOptions)
+            ],
+            ...replicas
+        }
+    });
+    db.history = history;
+
+    return db;
+}
+
+describe('read queries', () => {
+    test('classification', () => {
+        expect(isReadQuery('select 1')).toBe(true);
+        expect(isReadQuery('  TABLE users')).toBe(true);
+        expect(isReadQuery('WITH x AS (SELECT 1) SELECT * FROM x')).toBe(true);
+        expect(isReadQuery('SHOW server_version')).toBe(true);
+        expect(isReadQuery('WITH x AS (DELETE FROM t RETURNING *) SELECT * FROM x')).toBe(false);
+        expect(isReadQuery('SELECT * FROM t FOR UPDATE')).toBe(false);
+        expect(isReadQuery('SELECT * FROM t FOR NO KEY UPDATE')).toBe(false);
+        expect(isReadQuery('SELECT * INTO t2 FROM t')).toBe(false);
+        expect(isReadQuery('UPDATE t SET a = 1')).toBe(false);
+        expect(isReadQuery('')).toBe(false);
+    });
+
+    test('writes', () => {
+        expect(isWriteQuery('UPDATE t SET a = 1')).toBe(true);
+        expect(isWriteQuery('SELECT * FROM t FOR UPDATE')).toBe(true);
+        expect(isWriteQuery('select 1')).toBe(false);
+        expect(isWriteQuery('BEGIN ISOLATION LEVEL SERIALIZABLE')).toBe(false);
+        expect(isWriteQuery('DECLARE c CURSOR FOR select 1')).toBe(false);
+        expect(isWriteQuery('SET LOCAL ROLE app')).toBe(false);
+    });
+});
+
+describe('replica routing', () => {
+    test('round robin reads, writes and pinned reads on the primary', async () => {
+        const db = createReplicatedDb();
+
+        await db.any({ text: 'select 1' });
+        await db.one({ text: 'select 2' });
+        await db.any({ text: 'select 3' });
+        await db.query({ text: 'update t set a = 1' });
+        const result = await db.query({ text: 'select 4', primary: true });
+        await db.tx((txDb) => txDb.any({ text: 'select 5' }));
+        await db.task((taskDb) => taskDb.any({ text: 'select 6' }));
+
+        expect(db.history).toEqual([
+            ['replica0', 'select 1'],
+            ['replica1', 'select 2'],
+            ['replica0', 'select 3'],
+            ['primary', 'update t set a = 1'],
+            ['primary', 'select 4'],
+            ['primary', 'BEGIN'],
+            ['primary', 'select 5'],
+            ['primary', 'COMMIT'],
+            ['primary', 'select 6']
+        ]);
+        expect(result.primary).toBeUndefined();
+    });
+
+    test('notifications on the primary', async () => {
+        const db = createReplicatedDb();
+
+        await db.notify('users', { id: 1 });
+        await db.tx((txDb) => txDb.notify('users'));
+
+        expect(db.history).toEqual([
+            ['primary', 'SELECT pg_notify($1, $2)'],
+            ['primary', 'BEGIN'],
+            ['primary', 'SELECT pg_notify($1, $2)'],
+            ['primary', 'COMMIT']
+        ]);
+    });
+
+    test('least busy', async () => {
+        const db = createReplicatedDb({ strategy: 'least-busy' }, { slow: true });
+
+        const slow = db.any({ text: 'SELECT slow' });
+        await db.any({ text: 'select 1' });
+        await db.any({ text: 'select 2' });
+        await slow;
+        await db.any({ text: 'select 3' });
+
+        expect(db.history).toEqual([
+            ['replica0', 'SELECT slow'],
+            ['replica1', 'select 1'],
+            ['replica1', 'select 2'],
+            ['replica1', 'select 3']
+        ]);
+    });
+
+    test('read your writes', async () => {
+        let now = 1000;
+        const dateNow = jest.spyOn(Date, 'now').mockImplementation(() => now);
+        try {
+            const db = createReplicatedDb({ stickyMs: 500 });
+
+            await db.runInRequestContext(async () => {
+                await db.any({ text: 'select 1' });
+                await db.query({ text: 'insert into t values (1)' });
+                await db.any({ text: 'select 2' });
+                now += 500;
+                await db.any({ text: 'select 3' });
+                await db.tx((txDb) => txDb.query({ text: 'update t set a = 1' }));
+                await db.any({ text: 'select 4' });
+            });
+            await db.runInRequestContext(() => db.any({ text: 'select 5' }));
+            await db.query({ text: 'delete from t' });
+            await db.any({ text: 'select 6' });
+
+            expect(db.history.filter(([, text]) => text.startsWith('select'))).toEqual([
+                ['replica0', 'select 1'],
+                ['primary', 'select 2'],
+                ['replica1', 'select 3'],
+                ['primary', 'select 4'],
+                ['replica0', 'select 5'],
+                ['replica1', 'select 6']
+            ]);
+        } finally {
+            dateNow.mockRestore();
+        }
+    });
+
+    test('only statements that modify data are sticky', async () => {
+        const db = createReplicatedDb();
+
+        await db.runInRequestContext(async () => {
+            await db.tx({ readOnly: true }, (txDb) => txDb.any({ text: 'select 1' }));
+            await db.task((taskDb) => taskDb.tx((txDb) => txDb.any({ text: 'select 2' })));
+            for await (const row of db.stream({ text: 'select 3' })) {
+                expect(row).toEqual({ name: 'primary' });
+            }
+            await db.withAdvisoryLock('job', () => {});
+            await db.withSession({ role: 'app' }, (taskDb) => taskDb.any({ text: 'select 4' }), { transaction: false });
+            await db.any({ text: 'select 5' });
+            await db.task((taskDb) => taskDb.tx((txDb) => txDb.query({ text: 'delete from t' })));
+            await db.any({ text: 'select 6' });
+        });
+
+        expect(db.history.filter(([, text]) => /^select \d/.test(text))).toEqual([
+            ['primary', 'select 1'],
+            ['primary', 'select 2'],
+            ['primary', 'select 4'],
+            ['replica0', 'select 5'],
+            ['primary', 'select 6']
+        ]);
+    });
+
+    test('replicas that fail to connect are ejected', async () => {
+        let now = 1000;
+        const dateNow = jest.spyOn(Date, 'now').mockImplementation(() => now);
+        try {
+            const db = createReplicatedDb({ ejectMs: 100 });
+            const [replica0, replica1] = db.replicaRouter.replicas.map(({ pool }) => pool);
+            replica0.down = true;
+
+            await db.any({ text: 'select 1' });
+            await db.any({ text: 'select 2' });
+            expect(db.logger.logs.filter(([message]) => message === 'sql-replica-ejected')).toEqual([['sql-replica-ejected', {
+                replica: 0,
+                ejectMs: 100,
+                error: expect.objectContaining({ code: 'ECONNREFUSED' })
+            }]]);
+
+            replica1.down = true;
+            await db.any({ text: 'select 3' });
+
+            replica0.down = false;
+            await db.any({ text: 'select 4' });
+            now += 100;
+            await db.any({ text: 'select 5' });
+
+            expect(db.history).toEqual([
+                ['replica1', 'select 1'],
+                ['replica1', 'select 2'],
+                ['primary', 'select 3'],
+                ['primary', 'select 4'],
+                ['replica0', 'select 5']
+            ]);
+        } finally {
+            dateNow.mockRestore();
+        }
+    });
+
+    test('query errors do not eject', async () => {
+        const db = createReplicatedDb({}, { slow: true });
+
+        await expect(db.query({ text: 'syntax' })).rejects.toThrow('syntax error');
+        await expect(db.query({ text: 'SELECT slow', timeout: 1 })).rejects.toThrow(QueryTimeoutError);
+        await db.any({ text: 'select 1' });
+
+        expect(db.logger.logs.filter(([message]) => message === 'sql-replica-ejected')).toEqual([]);
+    });
+
+    test('cancels on the replica', async () => {
+        const db = createReplicatedDb({}, { slow: true });
+
+        await expect(db.query({ text: 'SELECT slow', timeout: 1 })).rejects.toThrow(QueryTimeoutError);
+        await new Promise((resolve) => setTimeout(resolve, 30));
+
+        expect(db.history).toEqual([
+            ['replica0', 'SELECT slow'],
+            ['replica0', 'SELECT pg_cancel_backend($1)']
+        ]);
+    });
+
+    test('invalid options', () => {
+        expect(() => createReplicatedDb({ pools: [] })).toThrow('replicas.pools');
+        expect(() => createReplicatedDb({ strategy: 'random' })).toThrow('replicas.strategy');
+    });
+
+    test('without replicas', async () => {
+        const db = createFakeDatabase({
+            pool: createFakePool('primary', [])
+        });
+
+        expect(await db.runInRequestContext(() => db.one({ text: 'select 1', primary: false }))).toEqual({ name: 'primary' });
+        expect(db.replicaRouter).toBeNull();
+    });
+});
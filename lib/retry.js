@@ -0,0 +1,127 @@
+/**
+ * @typedef RetryPolicy
+ * @property {number} [maxAttempts] total attempts including the first one, 1 disables retries; omitted, the
+ * policy enables retries like `retry: true`
+ * @property {Array<string>} [codes] SQLSTATE codes that trigger a retry
+ * @property {number} [baseDelay] milliseconds, doubled on every attempt
+ * @property {number} [maxDelay] milliseconds, upper bound of the backoff before jitter
+ * @property {RetryPolicy_onRetry} [onRetry]
+ */
+/**
+ * @callback RetryPolicy_onRetry
+ * @param {Error} error
+ * @param {number} attempt the attempt that failed
+ * @param {number} delay milliseconds until the next attempt
+ */
+
+/**
+ * @type {RetryPolicy}
+ */
+const defaultRetryPolicy = {
+    maxAttempts: 1,
+    codes: ['40001', '40P01'],
+    baseDelay: 20,
+    maxDelay: 1000,
+    onRetry: null
+};
+
+/**
+ * `maxAttempts` of `retry: true`, or of a policy object without one, when no
+ * policy enabled retries.
+ */
+const enabledMaxAttempts = 3;
+
+/**
+ * Merges policies from left to right on top of the defaults. `false`
+ * disables retries, `true` and policy objects without `maxAttempts` enable
+ * them with {@link enabledMaxAttempts} unless they already are, `undefined`
+ * is skipped.
+ *
+ * @param {...(RetryPolicy|boolean|undefined)} policies
+ * @returns {RetryPolicy}
+ */
+function createRetryPolicy(...policies) {
+    let result = defaultRetryPolicy;
+
+    for (const policy of policies) {
+        if (policy === false) {
+            result = {
+                ...result,
+                maxAttempts: 1
+            };
+        } else if (policy === true) {
+            if (result.maxAttempts === 1) {
+                result = {
+                    ...result,
+                    maxAttempts: enabledMaxAttempts
+                };
+            }
+        } else if (policy) {
+            result = {
+                ...result,
+                maxAttempts: result.maxAttempts === 1 ? enabledMaxAttempts : result.maxAttempts,
+                ...policy
+            };
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Exponential backoff with full jitter.
+ *
+ * @param {RetryPolicy} policy
+ * @param {number} attempt
+ * @returns {number}
+ */
+function getRetryDelay(policy, attempt) {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+    return Math.random() * delay;
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ * @param {RetryPolicy} policy
+ * @param {DatabaseLoggerInterface} logger
+ * @param {function(number): Promise<*>} callback receives the attempt number
+ * @returns {Promise<*>}
+ */
+async function runWithRetry(policy, logger, callback) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await callback(attempt);
+        } catch (err) {
+            if (attempt >= policy.maxAttempts || !policy.codes.includes(err.code)) {
+                throw err;
+            }
+
+            const delay = getRetryDelay(policy, attempt);
+            logger.debug('sql-retry', {
+                attempt,
+                maxAttempts: policy.maxAttempts,
+                delay,
+                error: err
+            });
+            if (policy.onRetry) {
+                await policy.onRetry(err, attempt, delay);
+            }
+
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    createRetryPolicy,
+    runWithRetry
+};
@@ -0,0 +1,101 @@
+const { createRetryPolicy, runWithRetry } = require('./retry');
+const { createFakeLogger } = require('./testing');
+
+function createCodeError(code) {
+    const err = new Error(code);
+    err.code = code;
+    return err;
+}
+
+describe('retry policy', () => {
+    test('defaults disable retries', () => {
+        expect(createRetryPolicy().maxAttempts).toBe(1);
+        expect(createRetryPolicy(undefined, undefined).maxAttempts).toBe(1);
+    });
+
+    test('true enables retries', () => {
+        expect(createRetryPolicy(undefined, true).maxAttempts).toBe(3);
+        expect(createRetryPolicy(false, true).maxAttempts).toBe(3);
+        expect(createRetryPolicy({ maxAttempts: 5 }, true).maxAttempts).toBe(5);
+        expect(createRetryPolicy({ baseDelay: 1 }, true)).toMatchObject({ maxAttempts: 3, baseDelay: 1 });
+    });
+
+    test('policy objects enable retries', () => {
+        expect(createRetryPolicy({ baseDelay: 1 })).toMatchObject({ maxAttempts: 3, baseDelay: 1 });
+        expect(createRetryPolicy(false, { codes: ['40001'] }).maxAttempts).toBe(3);
+        expect(createRetryPolicy({ maxAttempts: 5 }, { baseDelay: 1 }).maxAttempts).toBe(5);
+        expect(createRetryPolicy({ maxAttempts: 1, baseDelay: 1 }).maxAttempts).toBe(1);
+    });
+
+    test('policies are merged left to right', () => {
+        const policy = createRetryPolicy({ maxAttempts: 5, baseDelay: 1 }, { maxAttempts: 3 });
+
+        expect(policy.maxAttempts).toBe(3);
+        expect(policy.baseDelay).toBe(1);
+        expect(policy.codes).toEqual(['40001', '40P01']);
+    });
+
+    test('false disables retries', () => {
+        const policy = createRetryPolicy({ maxAttempts: 5, baseDelay: 1 }, false);
+
+        expect(policy.maxAttempts).toBe(1);
+        expect(policy.baseDelay).toBe(1);
+    });
+});
+
+describe('run with retry', () => {
+    test('retries matching codes until success', async () => {
+        const retries = [];
+        const policy = createRetryPolicy({
+            maxAttempts: 3,
+            baseDelay: 1,
+            onRetry(err, attempt, delay) {
+                retries.push([err.code, attempt]);
+                expect(delay).toBeLessThanOrEqual(1 * 2 ** (attempt - 1));
+            }
+        });
+        const logger = createFakeLogger();
+
+        const result = await runWithRetry(policy, logger, async (attempt) => {
+            if (attempt === 1) {
+                throw createCodeError('40001');
+            }
+            if (attempt === 2) {
+                throw createCodeError('40P01');
+            }
+            return attempt;
+        });
+
+        expect(result).toBe(3);
+        expect(retries).toEqual([['40001', 1], ['40P01', 2]]);
+        expect(logger.logs.map(([message, { attempt }]) => [message, attempt])).toEqual([['sql-retry', 1], ['sql-retry', 2]]);
+    });
+
+    test('gives up after max attempts', async () => {
+        let attempts = 0;
+        const policy = createRetryPolicy({
+            maxAttempts: 2,
+            baseDelay: 0
+        });
+
+        await expect(runWithRetry(policy, createFakeLogger(), async () => {
+            attempts++;
+            throw createCodeError('40001');
+        })).rejects.toThrow('40001');
+        expect(attempts).toBe(2);
+    });
+
+    test('other errors are not retried', async () => {
+        let attempts = 0;
+        const policy = createRetryPolicy({
+            maxAttempts: 5,
+            baseDelay: 0
+        });
+
+        await expect(runWithRetry(policy, createFakeLogger(), async () => {
+            attempts++;
+            throw createCodeError('23505');
+        })).rejects.toThrow('23505');
+        expect(attempts).toBe(1);
+    });
+});
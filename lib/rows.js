@@ -0,0 +1,55 @@
+const snakeCaseRe = /(?<=[^_])_+([a-z\d])/gi;
+
+/**
+ * @callback RowMapper
+ * @param {*} row
+ * @returns {*}
+ */
+
+/**
+ * Renames `snake_case` columns to `camelCase`, leading underscores are kept.
+ *
+ * @type {RowMapper}
+ */
+function camelCase(row) {
+    const result = {};
+    for (const key of Object.keys(row)) {
+        result[key.replace(snakeCaseRe, (match, letter) => letter.toUpperCase())] = row[key];
+    }
+
+    return result;
+}
+
+/**
+ * The database `rowMapper` skips `rowMode: 'array'` results, `map` runs
+ * after it, and `map: false` returns the rows untouched.
+ *
+ * @param {Array<*>} rows
+ * @param {QueryConfig} queryConfig
+ * @param {RowMapper|null} rowMapper
+ * @param {RowMapper|boolean} [map]
+ * @returns {Array<*>}
+ */
+function mapRows(rows, queryConfig, rowMapper, map) {
+    if (map === false) {
+        return rows;
+    }
+
+    const mappers = [];
+    if (rowMapper && queryConfig.rowMode !== 'array') {
+        mappers.push(rowMapper);
+    }
+    if (typeof map === 'function') {
+        mappers.push(map);
+    }
+    if (mappers.length === 0) {
+        return rows;
+    }
+
+    return rows.map((row) => mappers.reduce((value, mapper) => mapper(value), row));
+}
+
+module.exports = {
+    camelCase,
+    mapRows
+};
@@ -0,0 +1,104 @@
+const { createFakeDatabase } = require('./testing');
+const { camelCase } = require('./rows');
+
+function createRowsDb(rows, options) {
+    const db = createFakeDatabase(options);
+    db.history = [];
+    db.pool.respond(() => true, (queryConfig) => {
+        db.history.push(queryConfig);
+        return queryConfig.rowMode === 'array' ? rows.map(Object.values) : rows;
+    });
+
+    return db;
+}
+
+const userRow = {
+    user_id: 1,
+    first__name: 'a',
+    _private: true,
+    createdAt: 0,
+    trailing_: null
+};
+
+describe('camel case', () => {
+    test('keys', () => {
+        expect(camelCase(userRow)).toEqual({
+            userId: 1,
+            firstName: 'a',
+            _private: true,
+            createdAt: 0,
+            trailing_: null
+        });
+    });
+});
+
+describe('row mapping', () => {
+    test('database row mapper', async () => {
+        const db = createRowsDb([userRow], { rowMapper: camelCase });
+
+        expect(await db.one({ text: 'select' })).toEqual(expect.objectContaining({ userId: 1 }));
+        expect(await db.oneOrNone({ text: 'select' })).toEqual(expect.objectContaining({ userId: 1 }));
+        expect(await db.any({ text: 'select' })).toEqual([expect.objectContaining({ firstName: 'a' })]);
+        expect(await db.many({ text: 'select' })).toEqual([expect.objectContaining({ firstName: 'a' })]);
+
+        const result = await db.query({ text: 'select' });
+        expect(result.rows[0]).toBe(userRow);
+    });
+
+    test('inherited by transactions and tasks', async () => {
+        const db = createRowsDb([userRow], { rowMapper: camelCase });
+
+        const [txRow, taskRow] = await db.task(async (taskDb) => {
+            return [await taskDb.tx((txDb) => txDb.one({ text: 'select' })), await taskDb.one({ text: 'select' })];
+        });
+
+        expect(txRow.userId).toBe(1);
+        expect(taskRow.userId).toBe(1);
+    });
+
+    test('per-call map', async () => {
+        const db = createRowsDb([userRow, userRow], { rowMapper: camelCase });
+
+        expect(await db.many({
+            text: 'select',
+            map: (row) => row.userId
+        })).toEqual([1, 1]);
+        expect(await db.any({
+            text: 'select',
+            map: false
+        })).toEqual([userRow, userRow]);
+        expect(db.history[0]).not.toHaveProperty('map');
+    });
+
+    test('map without a database row mapper', async () => {
+        const db = createRowsDb([userRow]);
+
+        expect(await db.one({ text: 'select' })).toBe(userRow);
+        expect(await db.one({
+            text: 'select',
+            map: camelCase
+        })).toEqual(expect.objectContaining({ userId: 1 }));
+    });
+
+    test('internal queries ignore the row mapper', async () => {
+        const db = createRowsDb([{ result: true }], {
+            rowMapper: () => {
+                throw new Error('mapped');
+            }
+        });
+
+        expect(await db.withAdvisoryLock(1, () => 'locked')).toBe('locked');
+        expect(await db.tx((txDb) => txDb.tryAdvisoryXactLock(1))).toBe(true);
+    });
+
+    test('array rows skip the database row mapper', async () => {
+        const db = createRowsDb([{ a_b: 1, c: 2 }], { rowMapper: camelCase });
+
+        expect(await db.one({ text: 'select', rowMode: 'array' })).toEqual([1, 2]);
+        expect(await db.one({
+            text: 'select',
+            rowMode: 'array',
+            map: ([a, c]) => a + c
+        })).toBe(3);
+    });
+});
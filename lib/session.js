@@ -0,0 +1,113 @@
+const { quoteIdentifier } = require('./sql');
+
+// `role` is exempt from RESET ALL and must be reset on its own
+const resetQuery = {
+    text: 'RESET ROLE; RESET ALL',
+    signal: null
+};
+
+/**
+ * @typedef SessionOptions
+ * @property {string} [role] as `SET ROLE`
+ * @property {string|Array<string>} [searchPath] schema names, quoted as identifiers
+ * @property {Object<string, string|number|boolean>} [settings] custom settings such as
+ * `{ 'app.tenant_id': id }`, read in policies with `current_setting('app.tenant_id')`
+ */
+
+/**
+ * A single statement applying every setting through bound parameters.
+ *
+ * @param {SessionOptions} [session]
+ * @param {boolean} local `true` to undo the settings when the transaction ends
+ * @returns {QueryConfig|null} `null` when there is nothing to set
+ */
+function createSessionQuery(session, local) {
+    if (!session) {
+        return null;
+    }
+
+    const { role, searchPath, settings = {} } = session;
+    const names = [];
+    const values = [];
+    if (role !== undefined) {
+        names.push('role');
+        values.push(role);
+    }
+    if (searchPath !== undefined) {
+        names.push('search_path');
+        values.push([].concat(searchPath).map(quoteIdentifier).join(', '));
+    }
+    for (const [name, value] of Object.entries(settings)) {
+        names.push(name);
+        values.push(value);
+    }
+
+    for (let i = 0; i < names.length; i++) {
+        if (!['string', 'number', 'boolean'].includes(typeof values[i])) {
+            throw new TypeError(`Session setting ${names[i]} must be a string, number or boolean.`);
+        }
+    }
+    if (names.length === 0) {
+        return null;
+    }
+
+    return {
+        text: 'SELECT set_config(setting.name, setting.value, $3) FROM unnest($1::text[], $2::text[]) AS setting(name, value)',
+        values: [names, values.map(String), local]
+    };
+}
+
+/**
+ * @param {QueryConfig|null} sessionQuery from {@link createSessionQuery} with `local`
+ * @param {DatabaseInterface_dbCallback} callback
+ * @returns {DatabaseInterface_dbCallback}
+ */
+function createTransactionSessionCallback(sessionQuery, callback) {
+    if (!sessionQuery) {
+        return callback;
+    }
+
+    return async (db) => {
+        await db.query(sessionQuery);
+
+        return callback(db);
+    };
+}
+
+/**
+ * Task settings last until they are reset, which runs before the client goes
+ * back to the pool. If it fails the task rejects, so the pool discards the
+ * client instead of handing it out with another tenant's settings.
+ *
+ * @param {QueryConfig|null} sessionQuery from {@link createSessionQuery} without `local`
+ * @param {DatabaseInterface_dbCallback} callback
+ * @returns {DatabaseInterface_dbCallback}
+ */
+function createTaskSessionCallback(sessionQuery, callback) {
+    if (!sessionQuery) {
+        return callback;
+    }
+
+    return async (db) => {
+        let result;
+        try {
+            await db.query(sessionQuery);
+            result = await callback(db);
+        } catch (err) {
+            // the client is released with the error and discarded anyway
+            await db.query(resetQuery).catch(() => {});
+
+            throw err;
+        }
+
+        await db.query(resetQuery);
+
+        return result;
+    };
+}
+
+module.exports = {
+    createSessionQuery,
+    createTransactionSessionCallback,
+    createTaskSessionCallback
+};
@@ -0,0 +1,123 @@
+const { TransactionOptionsError } = require('./database');
+const { createFakeDatabase } = require('./testing');
+const { createSessionQuery } = require('./session');
+
+const setConfigText = 'SELECT set_config(setting.name, setting.value, $3) FROM unnest($1::text[], $2::text[]) AS setting(name, value)';
+
+function createSessionDb({ failReset = false } = {}) {
+    const db = createFakeDatabase();
+    db.pool.respond('error', { error: new Error('query failed') });
+    if (failReset) {
+        db.pool.respond('RESET ROLE; RESET ALL', { error: new Error('reset failed') });
+    }
+    db.history = () => db.pool.queries.map(({ text, values }) => values ? [text, values] : text);
+
+    return db;
+}
+
+const session = {
+    role: 'tenant_user',
+    searchPath: ['tenant_1', 'public'],
+    settings: {
+        'app.tenant_id': 42,
+        'app.audit': true
+    }
+};
+
+describe('session query', () => {
+    test('parameters', () => {
+        expect(createSessionQuery(session, true)).toEqual({
+            text: setConfigText,
+            values: [
+                ['role', 'search_path', 'app.tenant_id', 'app.audit'],
+                ['tenant_user', '"tenant_1", "public"', '42', 'true'],
+                true
+            ]
+        });
+        expect(createSessionQuery({ searchPath: 'a"b' }, false).values).toEqual([['search_path'], ['"a""b"'], false]);
+    });
+
+    test('empty and invalid', () => {
+        expect(createSessionQuery(undefined, true)).toBeNull();
+        expect(createSessionQuery({ settings: {} }, true)).toBeNull();
+        expect(() => createSessionQuery({ settings: { 'app.tenant_id': null } }, true)).toThrow('app.tenant_id');
+        expect(() => createSessionQuery({ searchPath: [''] }, true)).toThrow(TypeError);
+    });
+});
+
+describe('with session', () => {
+    test('transaction sets locally', async () => {
+        const db = createSessionDb();
+
+        await db.withSession(session, async (txDb) => {
+            await txDb.query({ text: 'select 1' });
+            await txDb.tx((savepointDb) => savepointDb.query({ text: 'select 2' }));
+        });
+
+        expect(db.history()).toEqual([
+            'BEGIN',
+            [setConfigText, [['role', 'search_path', 'app.tenant_id', 'app.audit'], ['tenant_user', '"tenant_1", "public"', '42', 'true'], true]],
+            'select 1',
+            expect.stringMatching(/^SAVEPOINT/),
+            'select 2',
+            expect.stringMatching(/^RELEASE SAVEPOINT/),
+            'COMMIT'
+        ]);
+        expect(db.logger.logs.map(([, data]) => data.session)).toEqual(db.history().map(() => session));
+    });
+
+    test('task resets before release', async () => {
+        const db = createSessionDb();
+
+        await db.withSession({ role: 'tenant_user' }, (taskDb) => taskDb.query({ text: 'select 1' }), { transaction: false });
+        await expect(db.withSession({ role: 'tenant_user' }, (taskDb) => taskDb.query({ text: 'error' }), { transaction: false }))
+            .rejects.toThrow('query failed');
+
+        expect(db.history()).toEqual([
+            [setConfigText, [['role'], ['tenant_user'], false]],
+            'select 1',
+            'RESET ROLE; RESET ALL',
+            [setConfigText, [['role'], ['tenant_user'], false]],
+            'error',
+            'RESET ROLE; RESET ALL'
+        ]);
+        expect(db.pool.released).toEqual([null, expect.any(Error)]);
+        expect(db.logger.logs[4]).toEqual(['sql-error', expect.objectContaining({ session: { role: 'tenant_user' } })]);
+    });
+
+    test('failed reset discards the client', async () => {
+        const db = createSessionDb({ failReset: true });
+
+        await expect(db.task({ session: { settings: { 'app.tenant_id': 1 } } }, () => 'result')).rejects.toThrow('reset failed');
+        await expect(db.task({ session: { settings: { 'app.tenant_id': 1 } } }, async (taskDb) => {
+            await taskDb.query({ text: 'error' });
+        })).rejects.toThrow('query failed');
+
+        expect(db.pool.released).toEqual([expect.objectContaining({ message: 'reset failed' }), expect.objectContaining({ message: 'query failed' })]);
+    });
+
+    test('transaction inside a task', async () => {
+        const db = createSessionDb();
+
+        await db.task({ session: { role: 'reader' } }, async (taskDb) => {
+            await taskDb.tx({ session: { settings: { 'app.tenant_id': 7 } } }, (txDb) => txDb.query({ text: 'select 1' }));
+            await taskDb.tx((txDb) => txDb.query({ text: 'select 2' }));
+        });
+
+        expect(db.history().filter((entry) => typeof entry !== 'string')).toEqual([
+            [setConfigText, [['role'], ['reader'], false]],
+            [setConfigText, [['app.tenant_id'], ['7'], true]]
+        ]);
+        const sessions = db.logger.logs.map(([, data]) => [data.query.text, data.session]);
+        expect(sessions).toContainEqual(['select 1', { settings: { 'app.tenant_id': 7 } }]);
+        expect(sessions).toContainEqual(['select 2', { role: 'reader' }]);
+    });
+
+    test('nested transactions cannot set a session', async () => {
+        const db = createSessionDb();
+
+        await db.tx(async (txDb) => {
+            await expect(txDb.tx({ session }, () => {})).rejects.toThrow(TransactionOptionsError);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+const { getOperation } = require('./util');
+
+const explainableOperations = new Set(['SELECT', 'VALUES', 'TABLE', 'WITH', 'INSERT', 'UPDATE', 'DELETE', 'MERGE']);
+// only these are executed by EXPLAIN ANALYZE, data-modifying statements would run twice
+const analyzableOperations = new Set(['SELECT', 'VALUES', 'TABLE']);
+
+/**
+ * @typedef SlowQueryOptions
+ * @property {number} thresholdMs `duration.query` above which `sql-slow` is logged
+ * @property {boolean} [explain] attach the `EXPLAIN (FORMAT JSON)` plan to the log data
+ * @property {boolean} [analyze] use `EXPLAIN ANALYZE` for `SELECT`, `VALUES` and `TABLE` statements
+ * @property {number} [sampleRate] fraction of slow queries that are explained
+ */
+
+/**
+ * @param {SlowQueryOptions} [options]
+ * @returns {SlowQueryOptions|null}
+ */
+function normalizeSlowQueryOptions(options) {
+    if (!options) {
+        return null;
+    }
+
+    const { thresholdMs, explain = false, analyze = false, sampleRate = 1 } = options;
+    if (!(thresholdMs >= 0)) {
+        throw new TypeError('slowQuery.thresholdMs must be a non-negative number.');
+    }
+    if (!(sampleRate >= 0 && sampleRate <= 1)) {
+        throw new TypeError('slowQuery.sampleRate must be between 0 and 1.');
+    }
+
+    return {
+        thresholdMs,
+        explain,
+        analyze,
+        sampleRate
+    };
+}
+
+/**
+ * @param {QueryConfig} pgQueryConfig
+ * @param {SlowQueryOptions} options
+ * @returns {QueryConfig|null} `null` for statements that cannot be explained
+ */
+function createExplainQuery(pgQueryConfig, { analyze }) {
+    const operation = getOperation(pgQueryConfig.text);
+    if (!explainableOperations.has(operation)) {
+        return null;
+    }
+
+    const explainOptions = analyze && analyzableOperations.has(operation) ? 'ANALYZE, FORMAT JSON' : 'FORMAT JSON';
+
+    return {
+        text: `EXPLAIN (${explainOptions}) ${pgQueryConfig.text}`,
+        values: pgQueryConfig.values,
+        types: pgQueryConfig.types
+    };
+}
+
+/**
+ * Logs `sql-slow` when a query exceeded the threshold. The plan is fetched
+ * on another pooled client, outside of any transaction the query ran in,
+ * and without delaying the caller; the event is logged once it is known.
+ *
+ * @param {Queryable} db
+ * @param {QueryConfig} pgQueryConfig the statement as sent to the driver
+ * @param {Object} logData the `sql-query` log data
+ */
+function detectSlowQuery(db, pgQueryConfig, logData) {
+    const options = db.slowQuery;
+    if (!options || !(logData.duration.query > options.thresholdMs)) {
+        return;
+    }
+
+    const slowLogData = {
+        query: logData.query,
+        duration: logData.duration,
+        thresholdMs: options.thresholdMs
+    };
+    const explainQuery = options.explain && Math.random() < options.sampleRate
+        ? createExplainQuery(pgQueryConfig, options)
+        : null;
+    if (!explainQuery) {
+        db.logger.debug('sql-slow', slowLogData);
+        return;
+    }
+
+    db.pool.use((client) => client.query(explainQuery)).then((result) => {
+        slowLogData.plan = result.rows[0]['QUERY PLAN'];
+    }, (err) => {
+        slowLogData.explainError = err;
+    }).then(() => {
+        db.logger.debug('sql-slow', slowLogData);
+    });
+}
+
+module.exports = {
+    normalizeSlowQueryOptions,
+    detectSlowQuery
+};
@@ -0,0 +1,120 @@
+const { createFakeDatabase } = require('./testing');
+
+const plan = [{ Plan: { 'Node Type': 'Seq Scan' } }];
+
+function createSlowQueryDb(slowQuery, { failExplain = false } = {}) {
+    const slowEvents = [];
+    let notifySlow = null;
+
+    const db = createFakeDatabase({
+        logger: {
+            debug(message, data) {
+                if (message === 'sql-slow') {
+                    slowEvents.push(data);
+                    if (notifySlow) {
+                        notifySlow();
+                    }
+                }
+            },
+            error() {}
+        },
+        slowQuery
+    });
+    db.pool
+        .respond(/slow/, { latency: 40 })
+        .respond(/^EXPLAIN/, failExplain ? { error: new Error('explain failed') } : [{ 'QUERY PLAN': plan }]);
+    db.slowEvents = slowEvents;
+    db.nextSlowEvent = () => new Promise((resolve) => {
+        notifySlow = resolve;
+    });
+
+    return db;
+}
+
+describe('slow queries', () => {
+    test('logged without explain', async () => {
+        const db = createSlowQueryDb({ thresholdMs: 20 });
+
+        await db.query({ text: 'select fast' });
+        await db.query({ text: 'select slow', values: [1] });
+
+        expect(db.slowEvents).toEqual([{
+            query: { text: 'select slow', values: [1] },
+            duration: expect.objectContaining({ query: expect.any(Number) }),
+            thresholdMs: 20
+        }]);
+        expect(db.slowEvents[0].duration.query).toBeGreaterThan(20);
+        expect(db.pool.queries.length).toBe(2);
+    });
+
+    test('explain on a separate client', async () => {
+        const db = createSlowQueryDb({ thresholdMs: 20, explain: true });
+        const slowEvent = db.nextSlowEvent();
+
+        await db.tx((txDb) => txDb.query({ text: 'UPDATE slow SET a = $1', values: [2] }));
+        await slowEvent;
+
+        expect(db.pool.queries.filter(({ processID }) => processID === 1).map(({ text }) => text)).toEqual(['BEGIN', 'UPDATE slow SET a = $1', 'COMMIT']);
+        expect(db.pool.queries.filter(({ processID }) => processID === 2).map(({ text, values }) => [text, values])).toEqual([
+            ['EXPLAIN (FORMAT JSON) UPDATE slow SET a = $1', [2]]
+        ]);
+        expect(db.slowEvents[0].plan).toBe(plan);
+    });
+
+    test('analyze only selects', async () => {
+        const db = createSlowQueryDb({ thresholdMs: 20, explain: true, analyze: true });
+
+        let slowEvent = db.nextSlowEvent();
+        await db.query({ text: 'select slow from t where id = :id', params: { id: 3 } });
+        await slowEvent;
+
+        slowEvent = db.nextSlowEvent();
+        await db.query({ text: 'delete from slow' });
+        await slowEvent;
+
+        slowEvent = db.nextSlowEvent();
+        await db.query({ text: 'with x as (delete from slow returning *) select * from x' });
+        await slowEvent;
+
+        expect(db.pool.queries.filter(({ text }) => text.startsWith('EXPLAIN')).map(({ text, values }) => [text, values])).toEqual([
+            ['EXPLAIN (ANALYZE, FORMAT JSON) select slow from t where id = $1', [3]],
+            ['EXPLAIN (FORMAT JSON) delete from slow', undefined],
+            ['EXPLAIN (FORMAT JSON) with x as (delete from slow returning *) select * from x', undefined]
+        ]);
+    });
+
+    test('statements that cannot be explained', async () => {
+        const db = createSlowQueryDb({ thresholdMs: 20, explain: true });
+
+        await db.query({ text: 'VACUUM slow' });
+
+        expect(db.slowEvents.length).toBe(1);
+        expect(db.slowEvents[0].plan).toBeUndefined();
+        expect(db.pool.queries.length).toBe(1);
+    });
+
+    test('explain failure and sampling', async () => {
+        const db = createSlowQueryDb({ thresholdMs: 20, explain: true, sampleRate: 0.5 }, { failExplain: true });
+        const random = jest.spyOn(Math, 'random');
+
+        try {
+            random.mockReturnValueOnce(0.7);
+            await db.query({ text: 'select slow' });
+            expect(db.pool.queries.length).toBe(1);
+
+            random.mockReturnValueOnce(0.2);
+            const slowEvent = db.nextSlowEvent();
+            await db.query({ text: 'select slow' });
+            await slowEvent;
+
+            expect(db.slowEvents[1].explainError.message).toBe('explain failed');
+        } finally {
+            random.mockRestore();
+        }
+    });
+
+    test('invalid options', () => {
+        expect(() => createSlowQueryDb({})).toThrow('thresholdMs');
+        expect(() => createSlowQueryDb({ thresholdMs: 1, sampleRate: 2 })).toThrow('sampleRate');
+    });
+});
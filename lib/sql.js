@@ -0,0 +1,174 @@
+const { parsePositionalText } = require('./named');
+
+const fragmentParts = Symbol('fragmentParts');
+
+class SqlFragment {
+    /**
+     * @param {Array<string>} strings
+     * @param {Array<*>} args
+     */
+    constructor(strings, args) {
+        this[fragmentParts] = {
+            strings,
+            args
+        };
+
+        const { text, values } = compileFragment(this);
+        this.text = text;
+        this.values = values;
+    }
+}
+
+class SqlRaw {
+    /**
+     * @param {string} text
+     */
+    constructor(text) {
+        this.text = text;
+    }
+}
+
+/**
+ * @param {SqlFragment} fragment
+ * @returns {QueryConfig}
+ */
+function compileFragment(fragment) {
+    const values = [];
+    const text = compileParts(fragment[fragmentParts], values);
+
+    return {
+        text,
+        values
+    };
+}
+
+/**
+ * @param {Object} parts
+ * @param {Array<string>} parts.strings
+ * @param {Array<*>} parts.args
+ * @param {Array<*>} values
+ * @returns {string}
+ */
+function compileParts({ strings, args }, values) {
+    let text = strings[0];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg instanceof SqlFragment) {
+            text += compileParts(arg[fragmentParts], values);
+        } else if (arg instanceof SqlRaw) {
+            text += arg.text;
+        } else {
+            values.push(arg);
+            text += '$' + values.length;
+        }
+
+        text += strings[i + 1];
+    }
+
+    return text;
+}
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function quoteIdentifier(name) {
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new TypeError('Identifier must be a non-empty string.');
+    }
+
+    return '"' + name.replace(/"/g, '""') + '"';
+}
+
+/**
+ * Tagged template producing a {@link QueryConfig}. Interpolated values become
+ * positional parameters, nested fragments are inlined and renumbered.
+ *
+ * @param {TemplateStringsArray} strings
+ * @param {...*} args
+ * @returns {SqlFragment}
+ */
+function sql(strings, ...args) {
+    return new SqlFragment(Array.from(strings), args);
+}
+
+/**
+ * @param {Array<*>} items
+ * @param {SqlFragment|string} [separator]
+ * @returns {SqlFragment}
+ */
+sql.join = function join(items, separator = ', ') {
+    if (items.length === 0) {
+        return new SqlFragment([''], []);
+    }
+
+    const glue = typeof separator === 'string' ? new SqlRaw(separator) : separator;
+    const strings = [''];
+    const args = [];
+
+    items.forEach((item, i) => {
+        if (i > 0) {
+            args.push(glue);
+            strings.push('');
+        }
+        args.push(item);
+        strings.push('');
+    });
+
+    return new SqlFragment(strings, args);
+};
+
+/**
+ * Quotes one or more identifier parts, e.g. `sql.identifier('public', 'users')`
+ * becomes `"public"."users"`.
+ *
+ * @param {...string} names
+ * @returns {SqlRaw}
+ */
+sql.identifier = function identifier(...names) {
+    if (names.length === 0) {
+        throw new TypeError('At least one identifier part is required.');
+    }
+
+    return new SqlRaw(names.map(quoteIdentifier).join('.'));
+};
+
+/**
+ * Inlines text verbatim. Never pass user input here.
+ *
+ * @param {string} text
+ * @returns {SqlRaw}
+ */
+sql.raw = function raw(text) {
+    return new SqlRaw(String(text));
+};
+
+/**
+ * Converts a hand-written positional {@link QueryConfig} into a fragment so
+ * it can be embedded into other `sql` templates and renumbered. `$n` inside
+ * literals, dollar quotes and comments is left as is.
+ *
+ * @param {QueryConfig} queryConfig
+ * @returns {SqlFragment}
+ */
+sql.fragment = function fragment({ text, values = [] }) {
+    const { strings, positions } = parsePositionalText(text);
+    const args = positions.map((position) => {
+        if (!(position - 1 in values)) {
+            throw new RangeError(`Placeholder $${position} has no value.`);
+        }
+
+        return values[position - 1];
+    });
+
+    return new SqlFragment(strings, args);
+};
+
+module.exports = {
+    sql,
+    SqlFragment,
+    SqlRaw,
+    quoteIdentifier
+};
@@ -0,0 +1,80 @@
+const { sql, SqlFragment } = require('./sql');
+
+describe('sql', () => {
+    test('plain text', () => {
+        const query = sql`select 1`;
+
+        expect(query).toBeInstanceOf(SqlFragment);
+        expect(query.text).toBe('select 1');
+        expect(query.values).toEqual([]);
+    });
+
+    test('values become placeholders', () => {
+        const query = sql`select * from users where id = ${1} and org = ${'a'}`;
+
+        expect(query.text).toBe('select * from users where id = $1 and org = $2');
+        expect(query.values).toEqual([1, 'a']);
+    });
+
+    test('nested fragments are renumbered', () => {
+        const condition = sql`org = ${'a'} and active = ${true}`;
+        const query = sql`select * from users where id = ${1} and ${condition} limit ${10}`;
+
+        expect(query.text).toBe('select * from users where id = $1 and org = $2 and active = $3 limit $4');
+        expect(query.values).toEqual([1, 'a', true, 10]);
+    });
+
+    test('join', () => {
+        const query = sql`select * from users where id in (${sql.join([1, 2, 3])})`;
+
+        expect(query.text).toBe('select * from users where id in ($1, $2, $3)');
+        expect(query.values).toEqual([1, 2, 3]);
+    });
+
+    test('join fragments with fragment separator', () => {
+        const conditions = sql.join([
+            sql`a = ${1}`,
+            sql`b = ${2}`
+        ], sql` and `);
+
+        expect(sql`select * from t where ${conditions}`.text).toBe('select * from t where a = $1 and b = $2');
+    });
+
+    test('join empty list', () => {
+        expect(sql.join([]).text).toBe('');
+    });
+
+    test('identifier', () => {
+        const query = sql`select * from ${sql.identifier('public', 'user"s')}`;
+
+        expect(query.text).toBe('select * from "public"."user""s"');
+        expect(query.values).toEqual([]);
+
+        expect(() => sql.identifier()).toThrow(TypeError);
+        expect(() => sql.identifier('')).toThrow(TypeError);
+    });
+
+    test('raw', () => {
+        const query = sql`select * from users order by id ${sql.raw('desc')}`;
+
+        expect(query.text).toBe('select * from users order by id desc');
+    });
+
+    test('fragment from query config', () => {
+        const legacy = sql.fragment({
+            text: 'org = $2 and id = $1 and parent = $1',
+            values: [1, 'a']
+        });
+        const query = sql`select * from users where active = ${true} and ${legacy}`;
+
+        expect(query.text).toBe('select * from users where active = $1 and org = $2 and id = $3 and parent = $4');
+        expect(query.values).toEqual([true, 'a', 1, 1]);
+
+        expect(sql.fragment({ text: 'select 1' }).text).toBe('select 1');
+        expect(() => sql.fragment({ text: 'select $1' })).toThrow(RangeError);
+        expect(sql.fragment({ text: 'select \'$1\', $1, $$ $1 $$, a$1 -- $2', values: [9] })).toMatchObject({
+            text: 'select \'$1\', $1, $$ $1 $$, a$1 -- $2',
+            values: [9]
+        });
+    });
+});
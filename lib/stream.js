@@ -0,0 +1,197 @@
+const { Readable } = require('stream');
+const { createSavepointName } = require('./savepoint');
+const { compileNamedQuery } = require('./named');
+const { nanosToMillis, splitOptions } = require('./util');
+
+const hrtime = process.hrtime.bigint;
+const defaultBatchSize = 1000;
+
+/**
+ * @typedef StreamOptions
+ * @property {number} [batchSize] rows per `FETCH`
+ * @property {AbortSignal} [signal] cancels the running `FETCH` and ends the stream with an error
+ */
+
+/**
+ * @returns {{ promise: Promise<*>, resolve: Function, reject: Function }}
+ */
+function createDeferred() {
+    const deferred = {};
+    deferred.promise = new Promise((resolve, reject) => {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+    });
+    // rejections are rethrown to whoever awaits the promise, never left unhandled
+    deferred.promise.catch(() => {});
+
+    return deferred;
+}
+
+/**
+ * Declares a cursor on `db`, which must be inside a transaction, and yields
+ * its rows in batches. The cursor is closed when iteration stops early.
+ *
+ * @param {Queryable} db
+ * @param {QueryConfig} queryConfig
+ * @param {StreamOptions} options
+ * @returns {AsyncGenerator<Array<*>>}
+ */
+async function* fetchCursor(db, queryConfig, { batchSize, signal }) {
+    const [cursorQueryConfig] = splitOptions(queryConfig, ['timeout', 'signal']);
+    const { text, values, rowMode, types } = compileNamedQuery(cursorQueryConfig);
+    const cursorName = createSavepointName();
+
+    await db.query({
+        text: `DECLARE ${cursorName} NO SCROLL CURSOR FOR ${text}`,
+        values,
+        signal
+    });
+
+    let failed = false;
+    try {
+        for (let batch = 1; ; batch++) {
+            const fetchStartTime = hrtime();
+            let result;
+            try {
+                result = await db.query({
+                    text: `FETCH ${batchSize} FROM ${cursorName}`,
+                    rowMode,
+                    types,
+                    signal
+                });
+            } catch (err) {
+                failed = true;
+                throw err;
+            }
+
+            db.logger.debug('sql-stream-batch', {
+                query: queryConfig,
+                batch,
+                rows: result.rows.length,
+                duration: {
+                    fetch: nanosToMillis(hrtime() - fetchStartTime)
+                }
+            });
+
+            if (result.rows.length > 0) {
+                yield result.rows;
+            }
+            if (result.rows.length < batchSize) {
+                return;
+            }
+        }
+    } finally {
+        // a failed FETCH aborts the transaction, its rollback drops the cursor
+        if (!failed) {
+            await db.query({
+                text: `CLOSE ${cursorName}`,
+                signal: null
+            });
+        }
+    }
+}
+
+/**
+ * Exposes batches produced inside `runScope` to a consumer outside of it. The
+ * scope, and with it the pooled client, stays open until the consumer has
+ * finished, stopped early or failed.
+ *
+ * @param {function(function(Queryable): Promise<*>): Promise<*>} runScope
+ * @param {function(Queryable): AsyncGenerator<Array<*>>} iterate
+ * @returns {AsyncGenerator<*>}
+ */
+async function* iterateInScope(runScope, iterate) {
+    let next = createDeferred();
+    let scopeError = null;
+
+    const scopeDone = runScope(async (db) => {
+        for await (const batch of iterate(db)) {
+            const ack = createDeferred();
+            next.resolve({
+                batch,
+                ack
+            });
+
+            if (!await ack.promise) {
+                return;
+            }
+        }
+    }).then(() => {
+        next.resolve(null);
+    }, (err) => {
+        scopeError = err;
+        next.reject(err);
+    });
+
+    let message = null;
+    try {
+        while ((message = await next.promise)) {
+            next = createDeferred();
+            yield* message.batch;
+            message.ack.resolve(true);
+            message = null;
+        }
+    } finally {
+        if (message) {
+            message.ack.resolve(false);
+        }
+        await scopeDone;
+        if (scopeError) {
+            throw scopeError;
+        }
+    }
+}
+
+/**
+ * One-shot row stream. `for await` stops synchronously with the cleanup, so
+ * after a `break` the cursor is closed and the client released.
+ */
+class CursorStream {
+    /**
+     * @param {AsyncGenerator<*>} iterator
+     * @param {number} batchSize
+     */
+    constructor(iterator, batchSize) {
+        this.iterator = iterator;
+        this.batchSize = batchSize;
+    }
+
+    /**
+     * @returns {AsyncGenerator<*>}
+     */
+    [Symbol.asyncIterator]() {
+        return this.iterator;
+    }
+
+    /**
+     * @returns {Readable} object mode stream of rows
+     */
+    toReadable() {
+        return Readable.from(this.iterator, {
+            objectMode: true,
+            highWaterMark: this.batchSize
+        });
+    }
+}
+
+/**
+ * @param {function(function(Queryable): Promise<*>): Promise<*>} runScope runs the callback inside a transaction
+ * @param {QueryConfig} queryConfig
+ * @param {StreamOptions} [options]
+ * @returns {CursorStream}
+ */
+function createCursorStream(runScope, queryConfig, { batchSize = defaultBatchSize, signal } = {}) {
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw new TypeError('batchSize must be a positive integer.');
+    }
+
+    return new CursorStream(
+        iterateInScope(runScope, (db) => fetchCursor(db, queryConfig, { batchSize, signal })),
+        batchSize
+    );
+}
+
+module.exports = {
+    CursorStream,
+    createCursorStream
+};
@@ -0,0 +1,152 @@
+const { createFakeDatabase } = require('./testing');
+const { QueryAbortedError } = require('./cancel');
+
+const declareRe = /^DECLARE (\w+) NO SCROLL CURSOR FOR (.*)$/;
+const fetchRe = /^FETCH (\d+) FROM (\w+)$/;
+
+function createCursorDb(rowCount, { failAtFetch = 0 } = {}) {
+    let offset = 0;
+    let fetches = 0;
+
+    const db = createFakeDatabase();
+    db.pool.respond(fetchRe, ({ text }) => {
+        fetches++;
+        if (fetches === failAtFetch) {
+            return { error: new Error('fetch failed') };
+        }
+
+        const rows = [];
+        const end = Math.min(rowCount, offset + Number(fetchRe.exec(text)[1]));
+        for (; offset < end; offset++) {
+            rows.push({ value: offset });
+        }
+        return rows;
+    });
+    db.texts = () => db.pool.texts().map((text) => text.replace(/_[0-9a-f]{16}/, 'c'));
+
+    return db;
+}
+
+async function collect(stream) {
+    const rows = [];
+    for await (const row of stream) {
+        rows.push(row.value);
+    }
+    return rows;
+}
+
+describe('stream', () => {
+    test('reads all rows in batches', async () => {
+        const db = createCursorDb(5);
+
+        const rows = await collect(db.stream({
+            text: 'select * from t where a = :a',
+            params: { a: 1 }
+        }, { batchSize: 2 }));
+
+        expect(rows).toEqual([0, 1, 2, 3, 4]);
+        expect(db.texts()).toEqual([
+            'BEGIN',
+            'DECLARE c NO SCROLL CURSOR FOR select * from t where a = $1',
+            'FETCH 2 FROM c',
+            'FETCH 2 FROM c',
+            'FETCH 2 FROM c',
+            'CLOSE c',
+            'COMMIT'
+        ]);
+        expect(db.pool.queries[1].values).toEqual([1]);
+        expect(db.pool.released).toEqual([null]);
+
+        const batches = db.logger.logs.filter(([message]) => message === 'sql-stream-batch');
+        expect(batches.map(([, data]) => data.rows)).toEqual([2, 2, 1]);
+        expect(batches[0][1].duration.fetch).toBeGreaterThan(0);
+    });
+
+    test('exact multiple of batch size', async () => {
+        const db = createCursorDb(4);
+
+        expect(await collect(db.stream({ text: 'select 1' }, { batchSize: 2 }))).toEqual([0, 1, 2, 3]);
+        expect(db.texts().filter((text) => text.startsWith('FETCH')).length).toBe(3);
+    });
+
+    test('early break closes the cursor', async () => {
+        const db = createCursorDb(100);
+
+        for await (const row of db.stream({ text: 'select 1' }, { batchSize: 10 })) {
+            if (row.value === 3) {
+                break;
+            }
+        }
+
+        const texts = db.texts();
+        expect(texts.slice(-2)).toEqual(['CLOSE c', 'COMMIT']);
+        expect(db.pool.released).toEqual([null]);
+    });
+
+    test('fetch error rolls back and releases with error', async () => {
+        const db = createCursorDb(100, { failAtFetch: 2 });
+
+        await expect(collect(db.stream({ text: 'select 1' }, { batchSize: 10 }))).rejects.toThrow('fetch failed');
+
+        const texts = db.texts();
+        expect(texts).not.toContain('CLOSE c');
+        expect(texts[texts.length - 1]).toBe('ROLLBACK');
+        expect(db.pool.released[0]).toBeInstanceOf(Error);
+    });
+
+    test('abort', async () => {
+        const db = createCursorDb(100);
+        const controller = new AbortController();
+
+        await expect((async () => {
+            for await (const row of db.stream({ text: 'select 1' }, { batchSize: 10, signal: controller.signal })) {
+                if (row.value === 15) {
+                    controller.abort();
+                }
+            }
+        })()).rejects.toThrow(QueryAbortedError);
+
+        expect(db.texts()[db.texts().length - 1]).toBe('ROLLBACK');
+    });
+
+    test('task and transaction', async () => {
+        const db = createCursorDb(3);
+
+        await db.task(async (taskDb) => {
+            expect(await collect(taskDb.stream({ text: 'select 1' }))).toEqual([0, 1, 2]);
+        });
+        expect(db.texts()[0]).toBe('BEGIN');
+
+        const txDb = createCursorDb(3);
+        await txDb.tx(async (innerDb) => {
+            expect(await collect(innerDb.stream({ text: 'select 1' }))).toEqual([0, 1, 2]);
+        });
+        expect(txDb.texts()).toEqual([
+            'BEGIN',
+            'DECLARE c NO SCROLL CURSOR FOR select 1',
+            'FETCH 1000 FROM c',
+            'CLOSE c',
+            'COMMIT'
+        ]);
+    });
+
+    test('readable stream', async () => {
+        const db = createCursorDb(3);
+        const rows = [];
+
+        await new Promise((resolve, reject) => {
+            db.stream({ text: 'select 1' }).toReadable()
+                .on('data', (row) => rows.push(row.value))
+                .on('end', resolve)
+                .on('error', reject);
+        });
+
+        expect(rows).toEqual([0, 1, 2]);
+    });
+
+    test('invalid batch size', () => {
+        const db = createCursorDb(0);
+
+        expect(() => db.stream({ text: 'select 1' }, { batchSize: 0 })).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,469 @@
+const { Database } = require('./database');
+
+/**
+ * Matches statements by their text with runs of whitespace collapsed, by
+ * regular expression, or by a predicate of the driver's query config.
+ *
+ * @typedef {string|RegExp|function(QueryConfig): boolean} QueryMatcher
+ */
+
+/**
+ * @typedef FakeResponse
+ * @property {Array<*>} [rows]
+ * @property {number} [rowCount] defaults to the number of rows
+ * @property {Object|Error} [error] thrown instead of a result; objects are turned into driver errors, e.g.
+ * `{ code: '23505', constraint: 'users_email_key' }`
+ * @property {number} [latency] milliseconds before the response, cancellable by `pg_cancel_backend`
+ * @property {boolean} [once] only answers the next matching statement
+ */
+
+/**
+ * @typedef RecordedQuery
+ * @property {string} text
+ * @property {Array<*>} [values]
+ * @property {string} [name]
+ * @property {number} processID fake backend pid of the client that ran the statement
+ * @property {Error} [error] set once the statement failed
+ */
+
+/**
+ * @typedef RecordedTransaction
+ * @property {'open'|'committed'|'rolled back'} status
+ * @property {Array<string>} queries statements run at this level
+ * @property {Array<RecordedTransaction>} savepoints
+ */
+
+const controlRe = /^(BEGIN|COMMIT|ROLLBACK|SAVEPOINT|RELEASE SAVEPOINT|ROLLBACK TO SAVEPOINT)\b/;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {QueryMatcher} matcher
+ * @param {QueryConfig} queryConfig
+ * @returns {boolean}
+ */
+function matchQuery(matcher, queryConfig) {
+    if (typeof matcher === 'string') {
+        return normalizeText(matcher) === normalizeText(queryConfig.text);
+    }
+    if (matcher instanceof RegExp) {
+        return matcher.test(queryConfig.text);
+    }
+
+    return Boolean(matcher(queryConfig));
+}
+
+/**
+ * Shaped like the errors of `pg`, so `wrapDatabaseError` maps the SQLSTATE
+ * to the same classes as in production.
+ *
+ * @param {Object|Error} error
+ * @returns {Error}
+ */
+function createDriverError(error) {
+    if (error instanceof Error) {
+        return error;
+    }
+
+    const { message = `fake error ${error.code}`, ...fields } = error;
+    return Object.assign(new Error(message), {
+        severity: 'ERROR',
+        ...fields
+    });
+}
+
+/**
+ * In-memory `DatabasePoolInterface` for tests. Every `use` checks out a new
+ * fake client; all statements are recorded, including the `BEGIN`,
+ * `SAVEPOINT` and `COMMIT` of transactions.
+ */
+class FakePool {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.strict] statements without a response are rejected, transaction control
+     * statements always succeed
+     */
+    constructor({ strict = false } = {}) {
+        this.strict = strict;
+        /** @type {Array<{ matcher: QueryMatcher, response: FakeResponse|Array<*>|Function }>} */
+        this.responses = [];
+        /** @type {Array<RecordedQuery>} */
+        this.queries = [];
+        /** @type {Map<number, function(Error): void>} rejects the delayed statement of a client */
+        this.running = new Map();
+        this.nextProcessID = 1;
+        this.active = 0;
+        /** @type {Array<Error|null>} outcome of each finished `use`, `null` when the callback succeeded */
+        this.released = [];
+    }
+
+    /**
+     * The most recently registered matching response answers.
+     *
+     * @param {QueryMatcher} matcher
+     * @param {FakeResponse|Array<*>|function(QueryConfig): (FakeResponse|Array<*>|Promise<FakeResponse|Array<*>>)} response
+     * rows, a response, or a function computing either
+     * @returns {FakePool}
+     */
+    respond(matcher, response) {
+        this.responses.unshift({
+            matcher,
+            response
+        });
+
+        return this;
+    }
+
+    /**
+     * @param {QueryMatcher} matcher
+     * @param {string} code SQLSTATE, or a socket error code such as `ECONNRESET`
+     * @param {Object} [fields] e.g. `message`, `constraint`, `latency` or `once`
+     * @returns {FakePool}
+     */
+    fail(matcher, code, { latency, once, ...fields } = {}) {
+        return this.respond(matcher, {
+            error: {
+                code,
+                ...fields
+            },
+            latency,
+            once
+        });
+    }
+
+    /**
+     * Forgets the recorded statements, keeping the responses.
+     */
+    clear() {
+        this.queries = [];
+    }
+
+    /**
+     * @returns {Array<string>} texts of the recorded statements
+     */
+    texts() {
+        return this.queries.map(({ text }) => text);
+    }
+
+    /**
+     * @param {function(PgClient): Promise<*>} callback
+     * @returns {Promise<*>}
+     */
+    async use(callback) {
+        const processID = this.nextProcessID++;
+        this.active++;
+        try {
+            const result = await callback({
+                processID,
+                query: (queryConfig) => this.query(processID, queryConfig)
+            });
+            this.released.push(null);
+
+            return result;
+        } catch (err) {
+            this.released.push(err);
+
+            throw err;
+        } finally {
+            this.active--;
+        }
+    }
+
+    /**
+     * @param {number} processID
+     * @param {QueryConfig} queryConfig
+     * @returns {Promise<PgResult>}
+     */
+    async query(processID, queryConfig) {
+        const { text, values, name } = queryConfig;
+        const query = {
+            text,
+            values,
+            name,
+            processID
+        };
+        this.queries.push(query);
+
+        if (text === 'SELECT pg_cancel_backend($1)') {
+            return this.cancelRunning(values[0]);
+        }
+
+        try {
+            return await this.answer(processID, queryConfig);
+        } catch (err) {
+            query.error = err;
+            throw err;
+        }
+    }
+
+    /**
+     * @param {number} processID
+     * @param {QueryConfig} queryConfig
+     * @returns {Promise<PgResult>}
+     */
+    async answer(processID, queryConfig) {
+        let response = this.takeResponse(queryConfig);
+        if (typeof response === 'function') {
+            response = await response(queryConfig);
+        }
+        if (Array.isArray(response)) {
+            response = { rows: response };
+        }
+        const { rows = [], rowCount = rows.length, error, latency = 0 } = response;
+
+        if (latency > 0) {
+            await new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => {
+                    this.running.delete(processID);
+                    resolve();
+                }, latency);
+                this.running.set(processID, (err) => {
+                    clearTimeout(timeout);
+                    this.running.delete(processID);
+                    reject(err);
+                });
+            });
+        }
+        if (error) {
+            throw createDriverError(error);
+        }
+
+        return {
+            rows,
+            rowCount
+        };
+    }
+
+    /**
+     * @param {QueryConfig} queryConfig
+     * @returns {FakeResponse|Array<*>|Function}
+     */
+    takeResponse(queryConfig) {
+        const index = this.responses.findIndex(({ matcher }) => matchQuery(matcher, queryConfig));
+        if (index === -1) {
+            if (this.strict && !controlRe.test(queryConfig.text)) {
+                return {
+                    error: new Error(`FakePool has no response for ${normalizeText(queryConfig.text)}`)
+                };
+            }
+
+            return {};
+        }
+
+        const { response } = this.responses[index];
+        if (response.once) {
+            this.responses.splice(index, 1);
+        }
+
+        return response;
+    }
+
+    /**
+     * @param {number} processID
+     * @returns {PgResult}
+     */
+    cancelRunning(processID) {
+        const reject = this.running.get(processID);
+        if (reject) {
+            reject(createDriverError({
+                code: '57014',
+                message: 'canceling statement due to user request'
+            }));
+        }
+
+        return {
+            rows: [{ pg_cancel_backend: Boolean(reject) }],
+            rowCount: 1
+        };
+    }
+
+    /**
+     * Transactions in the order they began, with their nested savepoints,
+     * e.g. to assert that a retry ran the transaction twice.
+     *
+     * @returns {Array<RecordedTransaction>}
+     */
+    transactions() {
+        const transactions = [];
+        /** @type {Map<number, Array<RecordedTransaction>>} open levels of each client, innermost last */
+        const stacks = new Map();
+
+        for (const { text, processID, error } of this.queries) {
+            const stack = stacks.get(processID) || [];
+            stacks.set(processID, stack);
+            const current = stack[stack.length - 1];
+
+            if (text.startsWith('BEGIN')) {
+                const transaction = {
+                    status: 'open',
+                    queries: [],
+                    savepoints: []
+                };
+                transactions.push(transaction);
+                stack.splice(0, stack.length, transaction);
+            } else if (!current || (error && controlRe.test(text))) {
+                // a failed COMMIT or RELEASE is followed by a rollback
+                continue;
+            } else if (text.startsWith('SAVEPOINT')) {
+                const savepoint = {
+                    status: 'open',
+                    queries: [],
+                    savepoints: []
+                };
+                current.savepoints.push(savepoint);
+                stack.push(savepoint);
+            } else if (text.startsWith('RELEASE SAVEPOINT') || text.startsWith('ROLLBACK TO SAVEPOINT')) {
+                current.status = text.startsWith('RELEASE') ? 'committed' : 'rolled back';
+                stack.pop();
+            } else if (text === 'COMMIT' || text === 'ROLLBACK') {
+                stack[0].status = text === 'COMMIT' ? 'committed' : 'rolled back';
+                stack.length = 0;
+            } else {
+                current.queries.push(text);
+            }
+        }
+
+        return transactions;
+    }
+}
+
+/**
+ * @typedef {DatabaseLoggerInterface} FakeLogger
+ * @property {Array<[string, Object]>} logs messages and data of both levels, in order
+ */
+
+/**
+ * @returns {FakeLogger} a logger recording instead of printing
+ */
+function createFakeLogger() {
+    const logs = [];
+
+    return {
+        logs,
+        debug(message, data) {
+            logs.push([message, data]);
+        },
+        error(message, data) {
+            logs.push([message, data]);
+        }
+    };
+}
+
+/**
+ * @param {Object} [options] `Database` options
+ * @param {DatabasePoolInterface} [options.pool] defaults to a new {@link FakePool}
+ * @param {DatabaseLoggerInterface} [options.logger] defaults to a {@link FakeLogger}, see `db.logger.logs`
+ * @returns {Database}
+ */
+function createFakeDatabase({ pool = new FakePool(), logger = createFakeLogger(), ...options } = {}) {
+    return new Database({
+        logger,
+        pool,
+        ...options
+    });
+}
+
+/**
+ * @param {Object} utils `this.utils` of a jest matcher
+ * @param {FakePool} pool
+ * @returns {string}
+ */
+function printQueries(utils, pool) {
+    if (pool.queries.length === 0) {
+        return 'No statements were executed.';
+    }
+
+    return 'Executed:\n' + pool.queries.map(({ text, values }) => {
+        return '  ' + utils.printReceived(values === undefined ? text : [text, values]);
+    }).join('\n');
+}
+
+/**
+ * @param {FakePool|Database} received
+ * @returns {FakePool}
+ */
+function getFakePool(received) {
+    const pool = received instanceof FakePool ? received : received && received.pool;
+    if (!(pool instanceof FakePool)) {
+        throw new TypeError('Expected a FakePool or a Database using one.');
+    }
+
+    return pool;
+}
+
+/**
+ * @param {function(QueryConfig): boolean} equals `this.equals` of a jest matcher
+ * @param {QueryMatcher|{ text: QueryMatcher, values: Array<*> }} expected
+ * @param {RecordedQuery} query
+ * @returns {boolean}
+ */
+function matchRecordedQuery(equals, expected, query) {
+    if (expected && typeof expected === 'object' && !(expected instanceof RegExp)) {
+        return matchQuery(expected.text, query) && (expected.values === undefined || equals(query.values, expected.values));
+    }
+
+    return matchQuery(expected, query);
+}
+
+/**
+ * Jest matchers for a `FakePool`, or a `Database` using one:
+ * `expect.extend(matchers)`.
+ */
+const matchers = {
+    /**
+     * @param {FakePool|Database} received
+     * @param {QueryMatcher|{ text: QueryMatcher, values: Array<*> }} expected
+     * @param {number} [times] exact number of executions, by default at least one
+     */
+    toHaveExecuted(received, expected, times) {
+        const pool = getFakePool(received);
+        const count = pool.queries.filter((query) => matchRecordedQuery(this.equals, expected, query)).length;
+        const pass = times === undefined ? count > 0 : count === times;
+        const expectation = times === undefined ? '' : ` ${times} time(s), executed ${count}`;
+
+        return {
+            pass,
+            message: () => `expected ${this.utils.printExpected(expected)}${pass ? ' not' : ''} to be executed${expectation}\n\n` +
+                printQueries(this.utils, pool)
+        };
+    },
+
+    /**
+     * @param {FakePool|Database} received
+     */
+    toHaveCommitted(received) {
+        const pool = getFakePool(received);
+        const pass = pool.transactions().some(({ status }) => status === 'committed');
+
+        return {
+            pass,
+            message: () => `expected${pass ? ' no' : ' a'} committed transaction\n\n${printQueries(this.utils, pool)}`
+        };
+    },
+
+    /**
+     * @param {FakePool|Database} received
+     */
+    toHaveRolledBack(received) {
+        const pool = getFakePool(received);
+        const pass = pool.transactions().some(({ status }) => status === 'rolled back');
+
+        return {
+            pass,
+            message: () => `expected${pass ? ' no' : ' a'} rolled back transaction\n\n${printQueries(this.utils, pool)}`
+        };
+    }
+};
+
+module.exports = {
+    FakePool,
+    createFakeLogger,
+    createFakeDatabase,
+    matchers
+};
@@ -0,0 +1,163 @@
+const { UniqueViolationError, ConnectionError } = require('./errors');
+const { QueryTimeoutError } = require('./cancel');
+const { FakePool, createFakeDatabase, matchers } = require('./testing');
+
+expect.extend(matchers);
+
+describe('fake pool', () => {
+    test('responses by text, regular expression and predicate', async () => {
+        const db = createFakeDatabase();
+        db.pool
+            .respond('select * from users where id = $1', [{ id: 1 }])
+            .respond(/from orders/, { rows: [{ id: 2 }], rowCount: 5 })
+            .respond((queryConfig) => queryConfig.values && queryConfig.values[0] === 'x', async ({ values }) => [{ value: values[0] }]);
+
+        expect(await db.one({ text: 'select *\n    from users\n    where id = $1', values: [1] })).toEqual({ id: 1 });
+        expect(await db.query({ text: 'select * from orders' })).toEqual({ rows: [{ id: 2 }], rowCount: 5 });
+        expect(await db.one({ text: 'select $1', values: ['x'] })).toEqual({ value: 'x' });
+        expect(await db.any({ text: 'select 1' })).toEqual([]);
+    });
+
+    test('latest and once responses first', async () => {
+        const db = createFakeDatabase();
+        db.pool
+            .respond(/users/, [{ id: 1 }])
+            .respond(/users/, { rows: [{ id: 2 }], once: true });
+
+        expect(await db.one({ text: 'select users' })).toEqual({ id: 2 });
+        expect(await db.one({ text: 'select users' })).toEqual({ id: 1 });
+    });
+
+    test('errors are wrapped by SQLSTATE', async () => {
+        const db = createFakeDatabase();
+        db.pool
+            .fail('insert into users', '23505', { constraint: 'users_email_key' })
+            .fail('select 1', 'ECONNRESET', { message: 'read ECONNRESET' });
+
+        await expect(db.query({ text: 'insert into users' })).rejects.toThrow(UniqueViolationError);
+        await expect(db.query({ text: 'insert into users' })).rejects.toMatchObject({ constraint: 'users_email_key' });
+        await expect(db.query({ text: 'select 1' })).rejects.toThrow(ConnectionError);
+    });
+
+    test('strict', async () => {
+        const db = createFakeDatabase({ pool: new FakePool({ strict: true }) });
+
+        await expect(db.tx((txDb) => txDb.query({ text: 'select 1' }))).rejects.toThrow('FakePool has no response for select 1');
+        expect(db).toHaveRolledBack();
+    });
+
+    test('texts, released clients and logs', async () => {
+        const db = createFakeDatabase();
+        db.pool.fail('error', '23505');
+
+        await db.query({ text: 'select 1' });
+        await expect(db.query({ text: 'error' })).rejects.toThrow(UniqueViolationError);
+
+        expect(db.pool.texts()).toEqual(['select 1', 'error']);
+        expect(db.pool.released).toEqual([null, expect.objectContaining({ code: '23505' })]);
+        expect(db.logger.logs.map(([message]) => message)).toEqual(['sql-query', 'sql-error']);
+    });
+
+    test('latency is cancelled through pg_cancel_backend', async () => {
+        const db = createFakeDatabase();
+        db.pool
+            .respond('slow', { latency: 1000 })
+            .respond('fast', { latency: 1 });
+
+        await expect(db.query({ text: 'slow', timeout: 10 })).rejects.toThrow(QueryTimeoutError);
+        await db.query({ text: 'fast', timeout: 500 });
+
+        expect(db.pool.queries).toEqual([
+            { text: 'slow', values: undefined, name: undefined, processID: 1, error: expect.objectContaining({ code: '57014' }) },
+            { text: 'SELECT pg_cancel_backend($1)', values: [1], name: undefined, processID: 2 },
+            { text: 'fast', values: undefined, name: undefined, processID: 3 }
+        ]);
+        expect(db.pool.active).toBe(0);
+    });
+
+    test('cancelled statements reject with query_canceled', async () => {
+        const pool = new FakePool().respond('slow', { latency: 1000 });
+
+        await pool.use(async (client) => {
+            const slow = client.query({ text: 'slow' });
+            await pool.use((cancelClient) => cancelClient.query({ text: 'SELECT pg_cancel_backend($1)', values: [client.processID] }));
+
+            await expect(slow).rejects.toMatchObject({ code: '57014' });
+        });
+        await expect(createFakeDatabase({ pool }).query({ text: 'slow', timeout: 5 })).rejects.toThrow(QueryTimeoutError);
+    });
+});
+
+describe('transactions', () => {
+    test('structure', async () => {
+        const db = createFakeDatabase();
+
+        await db.tx(async (txDb) => {
+            await txDb.query({ text: 'insert into users' });
+            await txDb.tx((savepointDb) => savepointDb.query({ text: 'insert into audit' }));
+            await expect(txDb.tx(async (savepointDb) => {
+                await savepointDb.query({ text: 'insert into orders' });
+                throw new Error('rollback');
+            })).rejects.toThrow('rollback');
+        });
+        await db.query({ text: 'select 1' });
+
+        expect(db.pool.transactions()).toEqual([
+            {
+                status: 'committed',
+                queries: ['insert into users'],
+                savepoints: [
+                    { status: 'committed', queries: ['insert into audit'], savepoints: [] },
+                    { status: 'rolled back', queries: ['insert into orders'], savepoints: [] }
+                ]
+            }
+        ]);
+        expect(db).toHaveCommitted();
+        expect(db).not.toHaveRolledBack();
+    });
+
+    test('retries', async () => {
+        const db = createFakeDatabase({ retry: { maxAttempts: 2, baseDelay: 0 } });
+        db.pool.fail('COMMIT', '40001', { once: true });
+
+        await db.tx((txDb) => txDb.query({ text: 'update users' }));
+
+        expect(db.pool.transactions().map(({ status }) => status)).toEqual(['rolled back', 'committed']);
+        expect(db).toHaveExecuted('update users', 2);
+    });
+});
+
+describe('matchers', () => {
+    test('toHaveExecuted', async () => {
+        const db = createFakeDatabase();
+
+        await db.query({ text: 'select $1', values: [1] });
+
+        expect(db).toHaveExecuted('select $1');
+        expect(db.pool).toHaveExecuted(/^select/, 1);
+        expect(db).toHaveExecuted({ text: 'select $1', values: [1] });
+        expect(db).not.toHaveExecuted({ text: 'select $1', values: [2] });
+        expect(db).not.toHaveExecuted('BEGIN');
+        expect(() => expect(db).toHaveExecuted('select 2')).toThrow('Executed:');
+        expect(() => expect(db).toHaveExecuted('select $1', 2)).toThrow('executed 1');
+    });
+
+    test('messages', () => {
+        const pool = new FakePool();
+
+        expect(() => expect(pool).toHaveExecuted('select 1')).toThrow('No statements were executed.');
+        expect(() => expect(pool).toHaveCommitted()).toThrow('expected a committed transaction');
+        expect(() => expect({}).toHaveRolledBack()).toThrow(TypeError);
+    });
+
+    test('clear', async () => {
+        const db = createFakeDatabase();
+        db.pool.respond('select 1', [{ one: 1 }]);
+
+        await db.query({ text: 'select 1' });
+        db.pool.clear();
+
+        expect(db).not.toHaveExecuted('select 1');
+        expect(await db.one({ text: 'select 1' })).toEqual({ one: 1 });
+    });
+});
@@ -0,0 +1,123 @@
+const { getOperation } = require('./util');
+
+/** Values of the OpenTelemetry `SpanKind` enum. */
+const spanKinds = {
+    internal: 0,
+    client: 2
+};
+/** Value of the OpenTelemetry `SpanStatusCode.ERROR`. */
+const spanStatusError = 2;
+
+/**
+ * Subset of the OpenTelemetry tracer API. Parents are passed as spans rather
+ * than contexts, see {@link createOpenTelemetryTracer}.
+ *
+ * @typedef {Object} DatabaseTracerInterface
+ * @property {function(string, { kind: number, attributes: Object }, DatabaseSpanInterface=): DatabaseSpanInterface} startSpan
+ */
+/**
+ * @typedef {Object} DatabaseSpanInterface
+ * @property {function(string, Object=): void} addEvent
+ * @property {function({ code: number, message: string }): void} setStatus
+ * @property {function(Error): void} recordException
+ * @property {function(): void} end
+ */
+
+/**
+ * Adapts an OpenTelemetry tracer, `api` is the `@opentelemetry/api` module.
+ *
+ * @param {Object} tracer
+ * @param {Object} api
+ * @returns {DatabaseTracerInterface}
+ */
+function createOpenTelemetryTracer(tracer, { trace, context }) {
+    return {
+        startSpan(name, options, parent) {
+            return tracer.startSpan(name, options, parent ? trace.setSpan(context.active(), parent) : undefined);
+        }
+    };
+}
+
+/**
+ * @param {DatabaseTracerInterface|null} tracer
+ * @param {string} name
+ * @param {DatabaseSpanInterface|null} [parent]
+ * @returns {DatabaseSpanInterface|null}
+ */
+function startScopeSpan(tracer, name, parent) {
+    if (!tracer) {
+        return null;
+    }
+
+    return tracer.startSpan(name, {
+        kind: spanKinds.internal,
+        attributes: {
+            'db.system': 'postgresql'
+        }
+    }, parent || undefined);
+}
+
+/**
+ * @param {DatabaseTracerInterface|null} tracer
+ * @param {QueryConfig} pgQueryConfig the statement as sent to the driver
+ * @param {DatabaseSpanInterface|null} [parent]
+ * @returns {DatabaseSpanInterface|null}
+ */
+function startQuerySpan(tracer, pgQueryConfig, parent) {
+    if (!tracer) {
+        return null;
+    }
+
+    const operation = getOperation(pgQueryConfig.text);
+    const attributes = {
+        'db.system': 'postgresql',
+        'db.statement': pgQueryConfig.text
+    };
+    if (operation) {
+        attributes['db.operation'] = operation;
+    }
+
+    return tracer.startSpan(operation || 'query', {
+        kind: spanKinds.client,
+        attributes
+    }, parent || undefined);
+}
+
+/**
+ * @param {DatabaseSpanInterface|null} span
+ * @param {number} duration milliseconds spent waiting for a pooled client
+ */
+function addPoolWaitEvent(span, duration) {
+    if (span) {
+        span.addEvent('pool-wait', {
+            duration
+        });
+    }
+}
+
+/**
+ * @param {DatabaseSpanInterface|null} span
+ * @param {Error} [err]
+ */
+function endSpan(span, err) {
+    if (!span) {
+        return;
+    }
+
+    if (err) {
+        span.recordException(err);
+        span.setStatus({
+            code: spanStatusError,
+            message: err.message
+        });
+    }
+    span.end();
+}
+
+module.exports = {
+    createOpenTelemetryTracer,
+    startScopeSpan,
+    startQuerySpan,
+    addPoolWaitEvent,
+    endSpan
+};
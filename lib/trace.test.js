@@ -0,0 +1,198 @@
+const { createFakeDatabase } = require('./testing');
+const { createOpenTelemetryTracer } = require('./trace');
+
+function createRecorder() {
+    const spans = [];
+
+    return {
+        spans,
+        startSpan(name, { kind, attributes }, parent) {
+            const span = {
+                name,
+                kind,
+                attributes,
+                parent,
+                events: [],
+                status: null,
+                exception: null,
+                ended: false,
+                addEvent(eventName, eventAttributes) {
+                    span.events.push([eventName, eventAttributes]);
+                },
+                setStatus(status) {
+                    span.status = status;
+                },
+                recordException(err) {
+                    span.exception = err;
+                },
+                end() {
+                    span.ended = true;
+                }
+            };
+            spans.push(span);
+
+            return span;
+        }
+    };
+}
+
+function createTracedDb() {
+    const tracer = createRecorder();
+    const db = createFakeDatabase({ tracer });
+    db.pool.fail('error', '42601', { message: 'syntax error' });
+
+    return [db, tracer.spans];
+}
+
+describe('tracing', () => {
+    test('query spans', async () => {
+        const [db, spans] = createTracedDb();
+
+        await db.query({ text: ' select 1' });
+
+        expect(spans).toEqual([expect.objectContaining({
+            name: 'SELECT',
+            kind: 2,
+            parent: undefined,
+            attributes: {
+                'db.system': 'postgresql',
+                'db.statement': ' select 1',
+                'db.operation': 'SELECT'
+            },
+            events: [['pool-wait', { duration: expect.any(Number) }]],
+            status: null,
+            ended: true
+        })]);
+    });
+
+    test('named parameters are traced in positional form', async () => {
+        const [db, spans] = createTracedDb();
+
+        await db.query({ text: '(select :a)', params: { a: 1 } });
+
+        expect(spans[0].name).toBe('query');
+        expect(spans[0].attributes).toEqual({
+            'db.system': 'postgresql',
+            'db.statement': '(select $1)'
+        });
+    });
+
+    test('errors', async () => {
+        const [db, spans] = createTracedDb();
+
+        const err = await db.query({ text: 'error' }).catch((e) => e);
+        expect(spans[0].exception).toBe(err);
+        expect(spans[0].status).toEqual({ code: 2, message: 'syntax error' });
+        expect(spans[0].ended).toBe(true);
+    });
+
+    test('transaction nesting', async () => {
+        const [db, spans] = createTracedDb();
+
+        await db.tx(async (txDb) => {
+            await txDb.query({ text: 'update' });
+            await txDb.tx((savepointDb) => savepointDb.query({ text: 'insert' }));
+        });
+
+        const names = spans.map(({ name }) => name);
+        expect(names).toEqual(['transaction', 'BEGIN', 'UPDATE', 'savepoint', 'SAVEPOINT', 'INSERT', 'RELEASE', 'COMMIT']);
+
+        const [tx, begin, update, savepoint, savepointBegin, insert, release, commit] = spans;
+        expect(tx.parent).toBe(undefined);
+        expect(tx.kind).toBe(0);
+        expect(tx.events).toEqual([['pool-wait', { duration: expect.any(Number) }]]);
+        for (const span of [begin, update, savepoint, commit]) {
+            expect(span.parent).toBe(tx);
+        }
+        for (const span of [savepointBegin, insert, release]) {
+            expect(span.parent).toBe(savepoint);
+        }
+        expect(spans.every(({ ended }) => ended)).toBe(true);
+    });
+
+    test('failed transaction', async () => {
+        const [db, spans] = createTracedDb();
+
+        await expect(db.tx((txDb) => txDb.tx(() => {
+            throw new Error('callback failed');
+        }))).rejects.toThrow('callback failed');
+
+        const byName = Object.fromEntries(spans.map((span) => [span.name, span]));
+        expect(byName.savepoint.status).toEqual({ code: 2, message: 'callback failed' });
+        expect(byName.transaction.status).toEqual({ code: 2, message: 'callback failed' });
+        expect(byName.ROLLBACK.parent).toBe(byName.transaction);
+    });
+
+    test('task nesting', async () => {
+        const [db, spans] = createTracedDb();
+
+        await expect(db.task(async (taskDb) => {
+            await taskDb.tx((txDb) => txDb.query({ text: 'select' }));
+            await taskDb.copyFrom('COPY t FROM STDIN', null).catch(() => {});
+            await taskDb.query({ text: 'error' });
+        })).rejects.toThrow('syntax error');
+
+        const [task, tx, begin, select, commit, copy, error] = spans;
+        expect(spans.map(({ name }) => name)).toEqual(['task', 'transaction', 'BEGIN', 'SELECT', 'COMMIT', 'COPY', 'ERROR']);
+        expect(tx.parent).toBe(task);
+        expect([begin, select, commit].every((span) => span.parent === tx)).toBe(true);
+        expect(copy.parent).toBe(task);
+        expect(copy.status.code).toBe(2);
+        expect(error.parent).toBe(task);
+        expect(task.status).toEqual({ code: 2, message: 'syntax error' });
+    });
+
+    test('failed task transaction', async () => {
+        const [db, spans] = createTracedDb();
+
+        await expect(db.task((taskDb) => taskDb.tx((txDb) => txDb.query({ text: 'error' })))).rejects.toThrow('syntax error');
+        expect(spans[1].name).toBe('transaction');
+        expect(spans[1].status.code).toBe(2);
+    });
+
+    test('copy from the database', async () => {
+        const [db, spans] = createTracedDb();
+
+        await expect(db.copyFrom('COPY t FROM STDIN', null)).rejects.toThrow();
+        expect(spans[0]).toEqual(expect.objectContaining({
+            name: 'COPY',
+            events: [['pool-wait', { duration: expect.any(Number) }]],
+            status: expect.objectContaining({ code: 2 })
+        }));
+    });
+
+    test('untraced savepoints reuse the transaction database', async () => {
+        const db = createFakeDatabase();
+
+        await db.tx(async (txDb) => {
+            await txDb.tx((savepointDb) => {
+                expect(savepointDb).toBe(txDb);
+            });
+        });
+    });
+});
+
+describe('open telemetry adapter', () => {
+    test('parents become contexts', () => {
+        const activeContext = { active: true };
+        const otelTracer = {
+            startSpan: jest.fn(() => 'span')
+        };
+        const api = {
+            trace: {
+                setSpan: jest.fn((context, span) => ({ context, span }))
+            },
+            context: {
+                active: () => activeContext
+            }
+        };
+        const tracer = createOpenTelemetryTracer(otelTracer, api);
+        const options = { kind: 2, attributes: {} };
+
+        expect(tracer.startSpan('SELECT', options)).toBe('span');
+        expect(otelTracer.startSpan).toHaveBeenLastCalledWith('SELECT', options, undefined);
+
+        tracer.startSpan('BEGIN', options, 'parent');
+        expect(otelTracer.startSpan).toHaveBeenLastCalledWith('BEGIN', options, { context: activeContext, span: 'parent' });
+    });
+});
@@ -0,0 +1,54 @@
+const operationRe = /^\s*([a-z]+)/i;
+
+/**
+ * @returns {void}
+ */
+function noop() {}
+
+/**
+ * @param {bigint} value
+ * @returns {number}
+ */
+function nanosToMillis(value) {
+    return Number(value) / 1_000_000;
+}
+
+/**
+ * @param {string} text
+ * @returns {string|null} leading keyword of the statement, upper case, e.g. `SELECT`
+ */
+function getOperation(text) {
+    const match = operationRe.exec(text);
+    return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Separates per-call options of this library, such as `cache` or `timeout`,
+ * which the driver should not see. Options left `undefined` are omitted.
+ *
+ * @param {QueryConfig} queryConfig
+ * @param {Array<string>} keys
+ * @returns {[QueryConfig, Object]} the config without the options, the same object if it had none, and the options
+ */
+function splitOptions(queryConfig, keys) {
+    const present = keys.filter((key) => queryConfig[key] !== undefined);
+    if (present.length === 0) {
+        return [queryConfig, {}];
+    }
+
+    const rest = { ...queryConfig };
+    const options = {};
+    for (const key of present) {
+        options[key] = rest[key];
+        delete rest[key];
+    }
+
+    return [rest, options];
+}
+
+module.exports = {
+    noop,
+    nanosToMillis,
+    getOperation,
+    splitOptions
+};
@@ -0,0 +1,29 @@
+const { nanosToMillis, getOperation, splitOptions } = require('./util');
+
+describe('split options', () => {
+    test('config without options is returned as is', () => {
+        const queryConfig = { text: 'select 1', cache: undefined };
+
+        expect(splitOptions(queryConfig, ['cache', 'timeout'])).toEqual([queryConfig, {}]);
+        expect(splitOptions(queryConfig, ['cache', 'timeout'])[0]).toBe(queryConfig);
+    });
+
+    test('options are removed from config', () => {
+        expect(splitOptions({ text: 'select 1', timeout: 5, signal: null, primary: true }, ['timeout', 'signal'])).toEqual([
+            { text: 'select 1', primary: true },
+            { timeout: 5, signal: null }
+        ]);
+    });
+});
+
+describe('statements', () => {
+    test('operation', () => {
+        expect(getOperation('  select 1')).toBe('SELECT');
+        expect(getOperation('(select 1)')).toBeNull();
+        expect(getOperation('')).toBeNull();
+    });
+
+    test('durations', () => {
+        expect(nanosToMillis(1_500_000n)).toBe(1.5);
+    });
+});
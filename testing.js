@@ -0,0 +1,8 @@
+const { FakePool, createFakeLogger, createFakeDatabase, matchers } = require('./lib/testing');
+
+module.exports = {
+    FakePool,
+    createFakeLogger,
+    createFakeDatabase,
+    matchers
+};